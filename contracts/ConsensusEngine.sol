@@ -4,27 +4,68 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "./StatusReport.sol";
 import "./ReputationSystem.sol";
+import "./NodeRegistry.sol";
+import "./RewardDistribution.sol";
 
 /**
  * @title ConsensusEngine
  * @dev Contract for aggregating and validating node reports to determine website status consensus
  */
 contract ConsensusEngine is Ownable {
+    // Upper bound on the factor stake can multiply a node's vote weight by
+    uint256 public constant MAX_STAKE_MULTIPLIER = 3;
+    
+    // Default latency outlier parameters: 3 median absolute deviations, and never within 500ms of the median
+    uint256 public constant DEFAULT_LATENCY_OUTLIER_MULTIPLIER = 3;
+    uint256 public constant DEFAULT_LATENCY_OUTLIER_MIN_DEVIATION = 500;
+    
+    // Default cap on the reports in a round, which bounds the gas paid by the report that closes it
+    // (measured at about 88k gas per report in the round on top of the round's own cost:
+    // 1.11M gas for 8 reports, 1.82M gas for 16; see the Gas tests)
+    uint256 public constant DEFAULT_MAX_REPORTS_PER_ROUND = 16;
+    
     // Minimum number of reports needed to reach consensus
     uint256 public minReportsForConsensus;
     
     // Percentage threshold for consensus agreement (out of 100)
     uint256 public consensusThreshold;
     
-    // Time window for reports to be considered in the same consensus round (in seconds)
+    // Time a consensus round stays open before it can be closed without consensus (in seconds)
     uint256 public consensusTimeWindow;
     
+    // Maximum number of reports (or commitments, under commit-reveal) a round accepts
+    uint256 public maxReportsPerRound;
+    
     // Reference to the StatusReport contract
     StatusReport public statusReportContract;
     
     // Reference to the ReputationSystem contract
     ReputationSystem public reputationSystemContract;
     
+    // Reference to the NodeRegistry contract whose stake weights votes (stake weighting is off if unset)
+    NodeRegistry public nodeRegistryContract;
+    
+    // Reference to the RewardDistribution contract that rewards rounds as they reach consensus (rewards are distributed manually if unset)
+    RewardDistribution public rewardDistributionContract;
+    
+    // Amount of stake that adds the node's reputation to its vote weight once more (0 disables stake weighting)
+    uint256 public stakeWeightUnit;
+    
+    // Multiple of the median absolute deviation beyond which an agreeing report's response time is an outlier (0 disables outlier flagging)
+    uint256 public latencyOutlierMultiplier;
+    
+    // Deviation from the consensus response time that is never flagged as an outlier (in milliseconds)
+    uint256 public latencyOutlierMinDeviation;
+    
+    // Whether reports must be committed as a hash and revealed later to join a round
+    bool public commitRevealEnabled;
+    
+    // Length of a commit-reveal round's commit phase, counted from its first commit (in seconds)
+    uint256 public commitPhaseDuration;
+    
+    // Length of a commit-reveal round's reveal phase, which follows the commit phase (in seconds)
+    uint256 public revealPhaseDuration;
+    
     // Structure to store consensus data for a website
     struct ConsensusData {
         StatusReport.Status status;
@@ -32,6 +73,30 @@ contract ConsensusEngine is Ownable {
         uint256 timestamp;
         uint256 reportCount;
         bool isValid;
+        uint256 round;
+    }
+    
+    // Structure to store the running vote totals of a round, updated as each report is added
+    struct Tally {
+        uint256 onlineWeight;
+        uint256 offlineWeight;
+        uint256 degradedWeight;
+        uint256 voteCount;
+    }
+    
+    // Structure to store a numbered consensus round of a website
+    struct Round {
+        uint256 startTime;
+        uint256[] reportIds;
+        uint256[] nodeIds;
+        bool closed;
+        bool consensusReached;
+        StatusReport.Status status;
+        bool commitReveal;
+        uint256 commitEnd;
+        uint256 revealEnd;
+        uint256[] committedNodeIds;
+        Tally tally;
     }
     
     // Mapping from website ID to latest consensus data
@@ -40,13 +105,47 @@ contract ConsensusEngine is Ownable {
     // Mapping from website ID to array of node IDs that contributed to the last consensus
     mapping(uint256 => uint256[]) public consensusContributors;
     
+    // Mapping from website ID to its latest round number (rounds are numbered from 1; 0 means none opened yet)
+    mapping(uint256 => uint256) public currentRound;
+    
+    // Mapping from website ID to round number to round data
+    mapping(uint256 => mapping(uint256 => Round)) internal rounds;
+    
+    // Mapping from website ID to round number to node ID to whether the node has reported in the round
+    mapping(uint256 => mapping(uint256 => mapping(uint256 => bool))) public hasReportedInRound;
+    
+    // Mapping from website ID to round number to node ID to the status the node reported in the round
+    mapping(uint256 => mapping(uint256 => mapping(uint256 => StatusReport.Status))) public reportedStatus;
+    
+    // Mapping from website ID to round number to node ID to the response time the node reported in the round
+    mapping(uint256 => mapping(uint256 => mapping(uint256 => uint256))) public reportedResponseTime;
+    
+    // Mapping from website ID to round number to node ID to whether the node's response time was flagged as an outlier
+    mapping(uint256 => mapping(uint256 => mapping(uint256 => bool))) public latencyOutliers;
+    
+    // Mapping from report ID to whether the report has been added to a round
+    mapping(uint256 => bool) public processedReports;
+    
+    // Mapping from website ID to round number to node ID to the node's report commitment
+    mapping(uint256 => mapping(uint256 => mapping(uint256 => bytes32))) public commitments;
+    
     // Events
+    event RoundOpened(uint256 indexed websiteId, uint256 indexed round, uint256 startTime);
+    event RoundReportAdded(uint256 indexed websiteId, uint256 indexed round, uint256 reportId, uint256 nodeId);
+    event RoundClosed(uint256 indexed websiteId, uint256 indexed round, bool consensusReached);
+    event RevealMissed(uint256 indexed websiteId, uint256 indexed round, uint256 indexed nodeId);
+    event LatencyOutlierFlagged(uint256 indexed websiteId, uint256 indexed round, uint256 indexed nodeId, uint256 responseTime);
+    
     event ConsensusReached(
         uint256 indexed websiteId,
+        uint256 indexed round,
         StatusReport.Status status,
         uint256 responseTime,
         uint256 reportCount,
-        uint256 timestamp
+        uint256 timestamp,
+        uint256 onlineWeight,
+        uint256 offlineWeight,
+        uint256 degradedWeight
     );
     
     event ConsensusParametersChanged(
@@ -55,13 +154,30 @@ contract ConsensusEngine is Ownable {
         uint256 timeWindow
     );
     
+    event RewardDistributionFailed(uint256 indexed websiteId, uint256 indexed round);
+    
+    event NodeRegistryContractChanged(address oldAddress, address newAddress);
+    event RewardDistributionContractChanged(address oldAddress, address newAddress);
+    event StakeWeightUnitChanged(uint256 oldUnit, uint256 newUnit);
+    event CommitRevealParametersChanged(bool enabled, uint256 commitPhaseDuration, uint256 revealPhaseDuration);
+    event LatencyOutlierParametersChanged(uint256 multiplier, uint256 minDeviation);
+    event MaxReportsPerRoundChanged(uint256 oldMax, uint256 newMax);
+    
+    /**
+     * @dev Restrict a function to the StatusReport contract
+     */
+    modifier onlyStatusReport() {
+        require(msg.sender == address(statusReportContract), "ConsensusEngine: Caller is not the StatusReport contract");
+        _;
+    }
+    
     /**
      * @dev Initialize the contract
      * @param _statusReportAddress Address of the StatusReport contract
      * @param _reputationSystemAddress Address of the ReputationSystem contract
      * @param _minReportsForConsensus Minimum number of reports needed for consensus
      * @param _consensusThreshold Percentage threshold for consensus agreement
-     * @param _consensusTimeWindow Time window for considering reports in the same round
+     * @param _consensusTimeWindow Time a round stays open before it can be closed without consensus
      */
     constructor(
         address _statusReportAddress,
@@ -74,175 +190,616 @@ contract ConsensusEngine is Ownable {
         require(_reputationSystemAddress != address(0), "ConsensusEngine: Invalid reputation system address");
         require(_consensusThreshold <= 100, "ConsensusEngine: Threshold must be <= 100");
         require(_minReportsForConsensus > 0, "ConsensusEngine: Min reports must be > 0");
+        require(_minReportsForConsensus <= DEFAULT_MAX_REPORTS_PER_ROUND, "ConsensusEngine: Min reports exceed the round size");
         
         statusReportContract = StatusReport(_statusReportAddress);
         reputationSystemContract = ReputationSystem(_reputationSystemAddress);
         minReportsForConsensus = _minReportsForConsensus;
         consensusThreshold = _consensusThreshold;
         consensusTimeWindow = _consensusTimeWindow;
+        maxReportsPerRound = DEFAULT_MAX_REPORTS_PER_ROUND;
+        latencyOutlierMultiplier = DEFAULT_LATENCY_OUTLIER_MULTIPLIER;
+        latencyOutlierMinDeviation = DEFAULT_LATENCY_OUTLIER_MIN_DEVIATION;
     }
     
     /**
-     * @dev Process a new report and update consensus if possible
+     * @dev Add a new report to its website's open consensus round and close the round if possible
+     * A round opens with its first report and accepts at most one report per node. It closes with
+     * consensus as soon as it has minReportsForConsensus reports whose weighted agreement reaches the
+     * threshold. A round that is still open after consensusTimeWindow closes without consensus, either
+     * through closeRound or when the website's next report arrives. A round accepts at most
+     * maxReportsPerRound reports.
+     * Adding a report to the tally costs the same gas however many reports the round has. The report
+     * that closes the round also does O(maxReportsPerRound) work: the median, outliers, reputation and
+     * rewards go over every report in the round.
+     * Reports submitted through a StatusReport contract wired to this engine are added by recordReport;
+     * this is for reports that were not, e.g. ones submitted before the engine was set.
+     * Not available while commit-reveal is enabled; reports then join rounds through recordReveal.
      * @param reportId The ID of the report to process
      */
     function processReport(uint256 reportId) external {
-        // Get report details
+        require(!commitRevealEnabled, "ConsensusEngine: Reports must be committed and revealed");
+        require(!processedReports[reportId], "ConsensusEngine: Report already processed");
+        
+        // Get the report's vote
         (
             uint256 websiteId,
             uint256 nodeId,
             StatusReport.Status status,
             uint256 responseTime,
-            uint256 timestamp,
-            string memory statusMessage
-        ) = statusReportContract.getReportDetails(reportId);
+            uint256 timestamp
+        ) = statusReportContract.getReportVote(reportId);
         
-        // Simplified consensus algorithm for MVP
-        // In a production system, this would be more sophisticated
+        require(block.timestamp - timestamp <= consensusTimeWindow, "ConsensusEngine: Report is too old");
         
-        // Get recent reports for this website
-        uint256[] memory recentReportIds = statusReportContract.getRecentReports(websiteId, 10);
+        uint256 round = _openRound(websiteId, false);
         
-        if (recentReportIds.length < minReportsForConsensus) {
-            // Not enough reports to reach consensus
-            return;
+        require(!rounds[websiteId][round].commitReveal, "ConsensusEngine: Reports must be committed and revealed");
+        require(rounds[websiteId][round].reportIds.length < maxReportsPerRound, "ConsensusEngine: Round is full");
+        
+        _addReport(websiteId, round, reportId, nodeId, status, responseTime);
+        
+        if (rounds[websiteId][round].reportIds.length >= minReportsForConsensus) {
+            _tryReachConsensus(websiteId, round);
+        }
+    }
+    
+    /**
+     * @dev Add a newly submitted report to its website's open consensus round
+     * Called by StatusReport for every report submitted outside commit-reveal. Unlike processReport it
+     * does not revert: a report submitted while commit-reveal is enabled, by a node that already
+     * reported in the open round, or to a full round, is stored without joining consensus. A report the
+     * open round rejects is marked processed, so that it cannot be added to a later round instead.
+     * @param reportId The ID of the report
+     * @return added Whether the report was added to a round
+     */
+    function recordReport(uint256 reportId) external onlyStatusReport returns (bool) {
+        if (commitRevealEnabled) {
+            return false;
+        }
+        
+        (
+            uint256 websiteId,
+            uint256 nodeId,
+            StatusReport.Status status,
+            uint256 responseTime,
+        ) = statusReportContract.getReportVote(reportId);
+        
+        uint256 round = _openRound(websiteId, false);
+        
+        Round storage current = rounds[websiteId][round];
+        
+        if (
+            current.commitReveal ||
+            hasReportedInRound[websiteId][round][nodeId] ||
+            current.reportIds.length >= maxReportsPerRound
+        ) {
+            processedReports[reportId] = true;
+            return false;
+        }
+        
+        _addReport(websiteId, round, reportId, nodeId, status, responseTime);
+        
+        if (current.reportIds.length >= minReportsForConsensus) {
+            _tryReachConsensus(websiteId, round);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * @dev Record a node's commitment to a report in its website's open commit-reveal round
+     * The commitment is computeCommitment(websiteId, nodeId, status, responseTime, salt). A round opens
+     * with its first commit and accepts commits until its commit phase ends.
+     * @param websiteId The ID of the website
+     * @param nodeId The ID of the committing node
+     * @param commitment The node's commitment
+     * @return round The round the commitment was recorded in
+     */
+    function recordCommit(uint256 websiteId, uint256 nodeId, bytes32 commitment) external onlyStatusReport returns (uint256) {
+        (uint256 round, string memory rejection) = _recordCommit(websiteId, nodeId, commitment);
+        require(bytes(rejection).length == 0, rejection);
+        
+        return round;
+    }
+    
+    /**
+     * @dev Record a node's commitment like recordCommit, without reverting when the round rejects it
+     * Called by StatusReport for batch commits, so that one website whose round is past its commit
+     * phase, already has the node's commitment or is full does not revert the others.
+     * @param websiteId The ID of the website
+     * @param nodeId The ID of the committing node
+     * @param commitment The node's commitment
+     * @return round The round the commitment was recorded in, or 0 if the round rejected it
+     */
+    function tryRecordCommit(uint256 websiteId, uint256 nodeId, bytes32 commitment) external onlyStatusReport returns (uint256) {
+        (uint256 round, string memory rejection) = _recordCommit(websiteId, nodeId, commitment);
+        
+        return bytes(rejection).length == 0 ? round : 0;
+    }
+    
+    /**
+     * @dev Record a node's commitment in its website's open commit-reveal round, if the round accepts it
+     * @param websiteId The ID of the website
+     * @param nodeId The ID of the committing node
+     * @param commitment The node's commitment
+     * @return round The open round
+     * @return rejection Why the round rejected the commitment, or an empty string if it was recorded
+     */
+    function _recordCommit(
+        uint256 websiteId,
+        uint256 nodeId,
+        bytes32 commitment
+    ) internal returns (uint256 round, string memory rejection) {
+        require(commitRevealEnabled, "ConsensusEngine: Commit-reveal is not enabled");
+        require(commitment != bytes32(0), "ConsensusEngine: Invalid commitment");
+        
+        round = _openRound(websiteId, true);
+        Round storage current = rounds[websiteId][round];
+        
+        if (!current.commitReveal) {
+            return (round, "ConsensusEngine: Round does not accept commits");
+        }
+        if (block.timestamp > current.commitEnd) {
+            return (round, "ConsensusEngine: Commit phase has ended");
+        }
+        if (commitments[websiteId][round][nodeId] != bytes32(0)) {
+            return (round, "ConsensusEngine: Node already committed in this round");
+        }
+        if (current.committedNodeIds.length >= maxReportsPerRound) {
+            return (round, "ConsensusEngine: Round is full");
+        }
+        
+        commitments[websiteId][round][nodeId] = commitment;
+        current.committedNodeIds.push(nodeId);
+        
+        return (round, "");
+    }
+    
+    /**
+     * @dev Add a revealed report to its website's commit-reveal round
+     * The report must match the node's commitment and be revealed during the round's reveal phase.
+     * The round closes once every committed node has revealed, or when the reveal phase is over.
+     * @param reportId The ID of the revealed report
+     * @param salt The salt the report was committed with
+     */
+    function recordReveal(uint256 reportId, bytes32 salt) external onlyStatusReport {
+        (
+            uint256 websiteId,
+            uint256 nodeId,
+            StatusReport.Status status,
+            uint256 responseTime,
+        ) = statusReportContract.getReportVote(reportId);
+        
+        uint256 round = currentRound[websiteId];
+        Round storage current = rounds[websiteId][round];
+        
+        require(round != 0 && current.commitReveal && !current.closed, "ConsensusEngine: No round to reveal in");
+        require(
+            block.timestamp > current.commitEnd && block.timestamp <= current.revealEnd,
+            "ConsensusEngine: Not in the reveal phase"
+        );
+        
+        bytes32 commitment = commitments[websiteId][round][nodeId];
+        require(commitment != bytes32(0), "ConsensusEngine: No commitment");
+        require(
+            computeCommitment(websiteId, nodeId, status, responseTime, salt) == commitment,
+            "ConsensusEngine: Commitment mismatch"
+        );
+        
+        _addReport(websiteId, round, reportId, nodeId, status, responseTime);
+        
+        if (current.reportIds.length == current.committedNodeIds.length) {
+            _finalizeRound(websiteId, round);
         }
+    }
+    
+    /**
+     * @dev Close a website's open round once it has timed out
+     * A commit-reveal round is tallied over its revealed reports and its unrevealed commits are penalized.
+     * @param websiteId The ID of the website
+     */
+    function closeRound(uint256 websiteId) external {
+        uint256 round = currentRound[websiteId];
+        
+        require(round != 0 && !rounds[websiteId][round].closed, "ConsensusEngine: No open round");
+        require(_hasTimedOut(websiteId, round), "ConsensusEngine: Round has not timed out");
+        
+        _finalizeRound(websiteId, round);
+    }
+    
+    /**
+     * @dev Compute the commitment to a report
+     * @param websiteId The ID of the website
+     * @param nodeId The ID of the node
+     * @param status The reported status
+     * @param responseTime The reported response time in milliseconds
+     * @param salt A random value kept secret until the reveal
+     * @return commitment The commitment
+     */
+    function computeCommitment(
+        uint256 websiteId,
+        uint256 nodeId,
+        StatusReport.Status status,
+        uint256 responseTime,
+        bytes32 salt
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(websiteId, nodeId, status, responseTime, salt));
+    }
+    
+    /**
+     * @dev Get the website's open round, closing a timed-out round and opening the next one if needed
+     * @param websiteId The ID of the website
+     * @param commitReveal Whether a newly opened round takes commits
+     * @return round The open round number
+     */
+    function _openRound(uint256 websiteId, bool commitReveal) internal returns (uint256) {
+        uint256 round = currentRound[websiteId];
         
-        // Count reports for each status
-        uint256 onlineCount = 0;
-        uint256 offlineCount = 0;
-        uint256 degradedCount = 0;
-        uint256 totalResponseTime = 0;
-        uint256[] memory contributorNodeIds = new uint256[](recentReportIds.length);
-        uint256 contributorCount = 0;
-        
-        for (uint256 i = 0; i < recentReportIds.length; i++) {
-            (
-                ,
-                uint256 rNodeId,
-                StatusReport.Status rStatus,
-                uint256 rResponseTime,
-                uint256 rTimestamp,
-                string memory rStatusMessage
-            ) = statusReportContract.getReportDetails(recentReportIds[i]);
+        // Close a timed-out round before opening the next one
+        if (round != 0 && !rounds[websiteId][round].closed && _hasTimedOut(websiteId, round)) {
+            _finalizeRound(websiteId, round);
+        }
+        
+        if (round == 0 || rounds[websiteId][round].closed) {
+            round++;
+            currentRound[websiteId] = round;
             
-            // Only consider reports within the time window
-            if (block.timestamp - rTimestamp <= consensusTimeWindow) {
-                if (rStatus == StatusReport.Status.Online) {
-                    onlineCount++;
-                } else if (rStatus == StatusReport.Status.Offline) {
-                    offlineCount++;
-                } else if (rStatus == StatusReport.Status.Degraded) {
-                    degradedCount++;
-                }
-                
-                totalResponseTime += rResponseTime;
-                
-                // Add node to contributors if not already added
-                bool alreadyContributor = false;
-                for (uint256 j = 0; j < contributorCount; j++) {
-                    if (contributorNodeIds[j] == rNodeId) {
-                        alreadyContributor = true;
-                        break;
-                    }
-                }
+            Round storage opened = rounds[websiteId][round];
+            opened.startTime = block.timestamp;
+            
+            if (commitReveal) {
+                opened.commitReveal = true;
+                opened.commitEnd = block.timestamp + commitPhaseDuration;
+                opened.revealEnd = opened.commitEnd + revealPhaseDuration;
+            }
+            
+            emit RoundOpened(websiteId, round, block.timestamp);
+        }
+        
+        return round;
+    }
+    
+    /**
+     * @dev Add a report to a round, at most one per node, and add its vote to the round's tally
+     * The vote is weighted by the node's vote weight at the time the report is added.
+     * @param websiteId The ID of the website
+     * @param round The round number
+     * @param reportId The ID of the report
+     * @param nodeId The ID of the reporting node
+     * @param status The reported status
+     * @param responseTime The reported response time in milliseconds
+     */
+    function _addReport(
+        uint256 websiteId,
+        uint256 round,
+        uint256 reportId,
+        uint256 nodeId,
+        StatusReport.Status status,
+        uint256 responseTime
+    ) internal {
+        require(!hasReportedInRound[websiteId][round][nodeId], "ConsensusEngine: Node already reported in this round");
+        
+        Round storage current = rounds[websiteId][round];
+        hasReportedInRound[websiteId][round][nodeId] = true;
+        reportedStatus[websiteId][round][nodeId] = status;
+        reportedResponseTime[websiteId][round][nodeId] = responseTime;
+        processedReports[reportId] = true;
+        current.reportIds.push(reportId);
+        current.nodeIds.push(nodeId);
+        
+        // Unknown reports join the round but do not vote
+        if (status != StatusReport.Status.Unknown) {
+            Tally storage tally = current.tally;
+            uint256 weight = getVoteWeight(nodeId);
+            tally.voteCount++;
+            
+            if (status == StatusReport.Status.Online) {
+                tally.onlineWeight += weight;
+            } else if (status == StatusReport.Status.Offline) {
+                tally.offlineWeight += weight;
+            } else {
+                tally.degradedWeight += weight;
+            }
+        }
+        
+        emit RoundReportAdded(websiteId, round, reportId, nodeId);
+    }
+    
+    /**
+     * @dev Close a round, with consensus if its reports reach it, and penalize unrevealed commits
+     * @param websiteId The ID of the website
+     * @param round The round number
+     */
+    function _finalizeRound(uint256 websiteId, uint256 round) internal {
+        Round storage current = rounds[websiteId][round];
+        
+        if (current.reportIds.length < minReportsForConsensus || !_tryReachConsensus(websiteId, round)) {
+            current.closed = true;
+            
+            emit RoundClosed(websiteId, round, false);
+        }
+        
+        // Committing without revealing counts as an incorrect report
+        for (uint256 i = 0; i < current.committedNodeIds.length; i++) {
+            uint256 nodeId = current.committedNodeIds[i];
+            
+            if (!hasReportedInRound[websiteId][round][nodeId]) {
+                reputationSystemContract.recordIncorrectReport(nodeId);
                 
-                if (!alreadyContributor) {
-                    contributorNodeIds[contributorCount] = rNodeId;
-                    contributorCount++;
-                }
+                emit RevealMissed(websiteId, round, nodeId);
             }
         }
+    }
+    
+    /**
+     * @dev Close a round with consensus if its tally reaches the threshold
+     * The consensus response time is the median over the reports that agree with the majority status.
+     * Each node in the round that reported a known status then has its reputation updated once for the
+     * round: an agreeing report whose response time is an outlier counts as incorrect.
+     * Closing loops over every report in the round, so its gas grows with the round's size; it is
+     * bounded by maxReportsPerRound.
+     * @param websiteId The ID of the website
+     * @param round The round number
+     * @return reached Whether the round closed with consensus
+     */
+    function _tryReachConsensus(uint256 websiteId, uint256 round) internal returns (bool) {
+        Round storage current = rounds[websiteId][round];
+        Tally memory tally = current.tally;
+        uint256 onlineWeight = tally.onlineWeight;
+        uint256 offlineWeight = tally.offlineWeight;
+        uint256 degradedWeight = tally.degradedWeight;
+        uint256 totalCount = tally.voteCount;
         
-        // Determine the majority status
+        // Determine the majority status by weight
         StatusReport.Status majorityStatus;
-        uint256 maxCount = 0;
+        uint256 maxWeight = 0;
         
-        if (onlineCount > maxCount) {
-            maxCount = onlineCount;
+        if (onlineWeight > maxWeight) {
+            maxWeight = onlineWeight;
             majorityStatus = StatusReport.Status.Online;
         }
         
-        if (offlineCount > maxCount) {
-            maxCount = offlineCount;
+        if (offlineWeight > maxWeight) {
+            maxWeight = offlineWeight;
             majorityStatus = StatusReport.Status.Offline;
         }
         
-        if (degradedCount > maxCount) {
-            maxCount = degradedCount;
+        if (degradedWeight > maxWeight) {
+            maxWeight = degradedWeight;
             majorityStatus = StatusReport.Status.Degraded;
         }
         
-        // Calculate the total report count
-        uint256 totalCount = onlineCount + offlineCount + degradedCount;
+        // Calculate the total vote weight
+        uint256 totalWeight = onlineWeight + offlineWeight + degradedWeight;
+        
+        // Keep the round open until the threshold is reached or it times out
+        if (totalCount < minReportsForConsensus || totalWeight == 0 ||
+            (maxWeight * 100 / totalWeight) < consensusThreshold) {
+            return false;
+        }
+        
+        // The consensus response time is the median over the reports that agree with the majority status
+        uint256[] memory agreeingTimes = new uint256[](current.nodeIds.length);
+        uint256 agreeingCount = 0;
+        
+        for (uint256 i = 0; i < current.nodeIds.length; i++) {
+            uint256 nodeId = current.nodeIds[i];
+            
+            if (reportedStatus[websiteId][round][nodeId] == majorityStatus) {
+                agreeingTimes[agreeingCount] = reportedResponseTime[websiteId][round][nodeId];
+                agreeingCount++;
+            }
+        }
+        
+        uint256 medianResponseTime = _median(agreeingTimes, agreeingCount);
+        uint256 maxDeviation = _maxLatencyDeviation(agreeingTimes, agreeingCount, medianResponseTime);
+        
+        current.closed = true;
+        current.consensusReached = true;
+        current.status = majorityStatus;
         
-        // Check if consensus threshold is reached
-        if (totalCount >= minReportsForConsensus && 
-            (maxCount * 100 / totalCount) >= consensusThreshold) {
+        // Update consensus data
+        websiteConsensus[websiteId] = ConsensusData({
+            status: majorityStatus,
+            responseTime: medianResponseTime,
+            timestamp: block.timestamp,
+            reportCount: totalCount,
+            isValid: true,
+            round: round
+        });
+        
+        consensusContributors[websiteId] = current.nodeIds;
+        
+        // Compare each node's report with consensus
+        for (uint256 i = 0; i < current.nodeIds.length; i++) {
+            uint256 nodeId = current.nodeIds[i];
             
-            // Consensus reached
-            uint256 avgResponseTime = totalResponseTime / totalCount;
+            uint256 responseTime = reportedResponseTime[websiteId][round][nodeId];
+            StatusReport.Status status = reportedStatus[websiteId][round][nodeId];
             
-            // Update consensus data
-            websiteConsensus[websiteId] = ConsensusData({
-                status: majorityStatus,
-                responseTime: avgResponseTime,
-                timestamp: block.timestamp,
-                reportCount: totalCount,
-                isValid: true
-            });
+            if (status == StatusReport.Status.Unknown) {
+                // An Unknown report did not vote, so it is neither correct nor incorrect
+                continue;
+            }
             
-            // Store contributors
-            delete consensusContributors[websiteId];
-            for (uint256 i = 0; i < contributorCount; i++) {
-                consensusContributors[websiteId].push(contributorNodeIds[i]);
+            if (status != majorityStatus) {
+                // Incorrect report, decrease reputation
+                reputationSystemContract.recordIncorrectReport(nodeId);
+            } else if (_absDiff(responseTime, medianResponseTime) > maxDeviation) {
+                // Correct status with an outlying response time, decrease reputation
+                latencyOutliers[websiteId][round][nodeId] = true;
+                reputationSystemContract.recordIncorrectReport(nodeId);
                 
-                // Compare each node's report with consensus
-                uint256 nodeIdToCheck = contributorNodeIds[i];
-                bool foundReport = false;
-                
-                // Find the report from this node
-                for (uint256 j = 0; j < recentReportIds.length; j++) {
-                    (
-                        uint256 reportWebsiteId,
-                        uint256 reportNodeId,
-                        StatusReport.Status reportStatus,
-                        uint256 reportResponseTime,
-                        uint256 reportTimestamp,
-                        string memory reportStatusMessage
-                    ) = statusReportContract.getReportDetails(recentReportIds[j]);
-                    
-                    if (reportNodeId == nodeIdToCheck && block.timestamp - reportTimestamp <= consensusTimeWindow) {
-                        foundReport = true;
-                        
-                        if (reportStatus == majorityStatus) {
-                            // Correct report, increase reputation
-                            reputationSystemContract.recordCorrectReport(nodeIdToCheck);
-                        } else {
-                            // Incorrect report, decrease reputation
-                            reputationSystemContract.recordIncorrectReport(nodeIdToCheck);
-                        }
-                        
-                        break;
-                    }
-                }
+                emit LatencyOutlierFlagged(websiteId, round, nodeId, responseTime);
+            } else {
+                // Correct report, increase reputation
+                reputationSystemContract.recordCorrectReport(nodeId);
+            }
+        }
+        
+        emit ConsensusReached(
+            websiteId,
+            round,
+            majorityStatus,
+            medianResponseTime,
+            totalCount,
+            block.timestamp,
+            onlineWeight,
+            offlineWeight,
+            degradedWeight
+        );
+        
+        emit RoundClosed(websiteId, round, true);
+        
+        _distributeRewards(websiteId, round);
+        
+        return true;
+    }
+    
+    /**
+     * @dev Get the largest deviation from the median response time that is not an outlier
+     * An outlier deviates by more than latencyOutlierMultiplier times the median absolute deviation,
+     * and by more than latencyOutlierMinDeviation.
+     * @param values The response times (the first count entries are used)
+     * @param count The number of response times
+     * @param median The median of the response times
+     * @return maxDeviation The largest deviation that is not an outlier
+     */
+    function _maxLatencyDeviation(uint256[] memory values, uint256 count, uint256 median) internal view returns (uint256) {
+        if (latencyOutlierMultiplier == 0) {
+            return type(uint256).max;
+        }
+        
+        uint256[] memory deviations = new uint256[](count);
+        
+        for (uint256 i = 0; i < count; i++) {
+            deviations[i] = _absDiff(values[i], median);
+        }
+        
+        uint256 medianDeviation = _median(deviations, count);
+        
+        // Saturate rather than overflow, so that an extreme response time cannot keep the round from closing
+        if (medianDeviation > type(uint256).max / latencyOutlierMultiplier) {
+            return type(uint256).max;
+        }
+        
+        uint256 maxDeviation = medianDeviation * latencyOutlierMultiplier;
+        
+        return maxDeviation > latencyOutlierMinDeviation ? maxDeviation : latencyOutlierMinDeviation;
+    }
+    
+    /**
+     * @dev Get the median of the first count values, sorting them in place
+     * The median of an even number of values is the mean of the middle two.
+     * @param values The values
+     * @param count The number of values
+     * @return median The median, or 0 if there are no values
+     */
+    function _median(uint256[] memory values, uint256 count) internal pure returns (uint256) {
+        if (count == 0) {
+            return 0;
+        }
+        
+        // Insertion sort; rounds hold few reports
+        for (uint256 i = 1; i < count; i++) {
+            uint256 value = values[i];
+            uint256 j = i;
+            
+            while (j > 0 && values[j - 1] > value) {
+                values[j] = values[j - 1];
+                j--;
             }
             
-            emit ConsensusReached(
-                websiteId,
-                majorityStatus,
-                avgResponseTime,
-                totalCount,
-                block.timestamp
-            );
+            values[j] = value;
         }
+        
+        uint256 middle = count / 2;
+        
+        if (count % 2 == 1) {
+            return values[middle];
+        }
+        
+        // Sorted, so the difference cannot underflow and the sum is never formed
+        return values[middle - 1] + (values[middle] - values[middle - 1]) / 2;
+    }
+    
+    /**
+     * @dev Get the absolute difference of two values
+     */
+    function _absDiff(uint256 a, uint256 b) internal pure returns (uint256) {
+        return a > b ? a - b : b - a;
+    }
+    
+    /**
+     * @dev Reward the nodes of a round that reached consensus, if a RewardDistribution contract is set
+     * A failed distribution does not undo the consensus; the round can still be rewarded by calling
+     * RewardDistribution.distributeRewards directly while it is the website's latest consensus.
+     * @param websiteId The ID of the website
+     * @param round The round number
+     */
+    function _distributeRewards(uint256 websiteId, uint256 round) internal {
+        if (address(rewardDistributionContract) == address(0)) {
+            return;
+        }
+        
+        try rewardDistributionContract.distributeRewards(websiteId, round) {
+        } catch {
+            emit RewardDistributionFailed(websiteId, round);
+        }
+    }
+    
+    /**
+     * @dev Check whether a round is past its reveal phase, or open for longer than consensusTimeWindow without commit-reveal
+     * @param websiteId The ID of the website
+     * @param round The round number
+     */
+    function _hasTimedOut(uint256 websiteId, uint256 round) internal view returns (bool) {
+        Round storage current = rounds[websiteId][round];
+        
+        if (current.commitReveal) {
+            return block.timestamp > current.revealEnd;
+        }
+        
+        return block.timestamp > current.startTime + consensusTimeWindow;
+    }
+    
+    /**
+     * @dev Get the weight of a node's vote in consensus
+     * The weight is the node's reputation score, or the initial score for a node without reputation yet.
+     * A node whose score has dropped to 0 still has a weight of 1, so a round cannot be left without any weight.
+     * With stake weighting on, every `stakeWeightUnit` of stake adds the score once more, up to MAX_STAKE_MULTIPLIER times the score.
+     * @param nodeId The ID of the node
+     * @return weight The vote weight
+     */
+    function getVoteWeight(uint256 nodeId) public view returns (uint256) {
+        (uint256 score, , , uint256 lastUpdateTime) = reputationSystemContract.getNodeReputation(nodeId);
+        
+        if (lastUpdateTime == 0) {
+            score = reputationSystemContract.INITIAL_REPUTATION();
+        } else if (score == 0) {
+            score = 1;
+        }
+        
+        if (address(nodeRegistryContract) == address(0) || stakeWeightUnit == 0) {
+            return score;
+        }
+        
+        (uint256 staked, , , ) = nodeRegistryContract.getNodeStake(nodeId);
+        uint256 multiplier = 1 + staked / stakeWeightUnit;
+        
+        if (multiplier > MAX_STAKE_MULTIPLIER) {
+            multiplier = MAX_STAKE_MULTIPLIER;
+        }
+        
+        return score * multiplier;
     }
     
     /**
      * @dev Get the latest consensus data for a website
      * @param websiteId The ID of the website
      * @return status The consensus status
-     * @return responseTime The average response time
+     * @return responseTime The median response time of the reports that agreed with the consensus status
      * @return timestamp The timestamp of the consensus
      * @return reportCount The number of reports that contributed to the consensus
      * @return isValid Whether valid consensus data exists
@@ -274,11 +831,156 @@ contract ConsensusEngine is Ownable {
         return consensusContributors[websiteId];
     }
     
+    /**
+     * @dev Get a consensus round of a website
+     * @param websiteId The ID of the website
+     * @param round The round number
+     * @return startTime The time the round opened
+     * @return reportCount The number of reports in the round
+     * @return closed Whether the round is closed
+     * @return consensusReached Whether the round closed with consensus
+     * @return status The consensus status, if reached
+     */
+    function getRound(uint256 websiteId, uint256 round) external view returns (
+        uint256 startTime,
+        uint256 reportCount,
+        bool closed,
+        bool consensusReached,
+        StatusReport.Status status
+    ) {
+        Round storage data = rounds[websiteId][round];
+        
+        return (
+            data.startTime,
+            data.reportIds.length,
+            data.closed,
+            data.consensusReached,
+            data.status
+        );
+    }
+    
+    /**
+     * @dev Get the running vote totals of a consensus round of a website
+     * @param websiteId The ID of the website
+     * @param round The round number
+     * @return onlineWeight The vote weight of the Online reports
+     * @return offlineWeight The vote weight of the Offline reports
+     * @return degradedWeight The vote weight of the Degraded reports
+     * @return voteCount The number of reports with a known status
+     */
+    function getRoundTally(uint256 websiteId, uint256 round) external view returns (
+        uint256 onlineWeight,
+        uint256 offlineWeight,
+        uint256 degradedWeight,
+        uint256 voteCount
+    ) {
+        Tally storage tally = rounds[websiteId][round].tally;
+        
+        return (
+            tally.onlineWeight,
+            tally.offlineWeight,
+            tally.degradedWeight,
+            tally.voteCount
+        );
+    }
+    
+    /**
+     * @dev Get the commit-reveal schedule of a consensus round of a website
+     * @param websiteId The ID of the website
+     * @param round The round number
+     * @return commitReveal Whether the round takes commits
+     * @return commitEnd The end of the commit phase
+     * @return revealEnd The end of the reveal phase
+     * @return commitCount The number of commits in the round
+     */
+    function getRoundPhases(uint256 websiteId, uint256 round) external view returns (
+        bool commitReveal,
+        uint256 commitEnd,
+        uint256 revealEnd,
+        uint256 commitCount
+    ) {
+        Round storage data = rounds[websiteId][round];
+        
+        return (
+            data.commitReveal,
+            data.commitEnd,
+            data.revealEnd,
+            data.committedNodeIds.length
+        );
+    }
+    
+    /**
+     * @dev Get the reports in a consensus round of a website
+     * @param websiteId The ID of the website
+     * @param round The round number
+     * @return reportIds Array of report IDs in the round
+     */
+    function getRoundReports(uint256 websiteId, uint256 round) external view returns (uint256[] memory) {
+        return rounds[websiteId][round].reportIds;
+    }
+    
+    /**
+     * @dev Get the nodes that reported in a consensus round of a website
+     * @param websiteId The ID of the website
+     * @param round The round number
+     * @return nodeIds Array of node IDs in the round
+     */
+    function getRoundContributors(uint256 websiteId, uint256 round) external view returns (uint256[] memory) {
+        return rounds[websiteId][round].nodeIds;
+    }
+    
+    /**
+     * @dev Get the nodes whose reports were judged correct in a consensus round of a website
+     * These are the nodes that reported the consensus status with a response time that was not an outlier.
+     * @param websiteId The ID of the website
+     * @param round The round number
+     * @return nodeIds Array of node IDs (empty if the round did not reach consensus)
+     */
+    function getRoundAgreeingNodes(uint256 websiteId, uint256 round) external view returns (uint256[] memory) {
+        Round storage current = rounds[websiteId][round];
+        
+        if (!current.consensusReached) {
+            return new uint256[](0);
+        }
+        
+        uint256 count = 0;
+        
+        for (uint256 i = 0; i < current.nodeIds.length; i++) {
+            if (_agreedWithConsensus(websiteId, round, current.nodeIds[i])) {
+                count++;
+            }
+        }
+        
+        uint256[] memory agreeing = new uint256[](count);
+        uint256 index = 0;
+        
+        for (uint256 i = 0; i < current.nodeIds.length; i++) {
+            if (_agreedWithConsensus(websiteId, round, current.nodeIds[i])) {
+                agreeing[index] = current.nodeIds[i];
+                index++;
+            }
+        }
+        
+        return agreeing;
+    }
+    
+    /**
+     * @dev Check whether a node reported a closed round's consensus status with a response time that was not an outlier
+     * @param websiteId The ID of the website
+     * @param round The round number
+     * @param nodeId The ID of the node
+     * @return agreed Whether the node's report was judged correct
+     */
+    function _agreedWithConsensus(uint256 websiteId, uint256 round, uint256 nodeId) internal view returns (bool) {
+        return reportedStatus[websiteId][round][nodeId] == rounds[websiteId][round].status &&
+            !latencyOutliers[websiteId][round][nodeId];
+    }
+    
     /**
      * @dev Set consensus parameters
      * @param _minReportsForConsensus Minimum number of reports needed for consensus
      * @param _consensusThreshold Percentage threshold for consensus agreement
-     * @param _consensusTimeWindow Time window for considering reports in the same round
+     * @param _consensusTimeWindow Time a round stays open before it can be closed without consensus
      */
     function setConsensusParameters(
         uint256 _minReportsForConsensus,
@@ -287,6 +989,7 @@ contract ConsensusEngine is Ownable {
     ) external onlyOwner {
         require(_consensusThreshold <= 100, "ConsensusEngine: Threshold must be <= 100");
         require(_minReportsForConsensus > 0, "ConsensusEngine: Min reports must be > 0");
+        require(_minReportsForConsensus <= maxReportsPerRound, "ConsensusEngine: Min reports exceed the round size");
         
         minReportsForConsensus = _minReportsForConsensus;
         consensusThreshold = _consensusThreshold;
@@ -298,4 +1001,89 @@ contract ConsensusEngine is Ownable {
             _consensusTimeWindow
         );
     }
+    
+    /**
+     * @dev Set the maximum number of reports a round accepts
+     * The report that closes a round goes over every report in it, so this bounds its O(n) gas.
+     * Rounds that are already open keep the reports they have.
+     * @param _maxReportsPerRound The maximum number of reports (or commitments) per round
+     */
+    function setMaxReportsPerRound(uint256 _maxReportsPerRound) external onlyOwner {
+        require(_maxReportsPerRound >= minReportsForConsensus, "ConsensusEngine: Round size below min reports");
+        
+        uint256 oldMax = maxReportsPerRound;
+        maxReportsPerRound = _maxReportsPerRound;
+        
+        emit MaxReportsPerRoundChanged(oldMax, _maxReportsPerRound);
+    }
+    
+    /**
+     * @dev Set whether reports are committed and revealed, and the length of each phase
+     * Rounds that are already open keep their schedule.
+     * @param _enabled Whether commit-reveal is enabled
+     * @param _commitPhaseDuration Length of the commit phase (in seconds)
+     * @param _revealPhaseDuration Length of the reveal phase (in seconds)
+     */
+    function setCommitRevealParameters(
+        bool _enabled,
+        uint256 _commitPhaseDuration,
+        uint256 _revealPhaseDuration
+    ) external onlyOwner {
+        require(!_enabled || (_commitPhaseDuration > 0 && _revealPhaseDuration > 0), "ConsensusEngine: Phase durations must be > 0");
+        
+        commitRevealEnabled = _enabled;
+        commitPhaseDuration = _commitPhaseDuration;
+        revealPhaseDuration = _revealPhaseDuration;
+        
+        emit CommitRevealParametersChanged(_enabled, _commitPhaseDuration, _revealPhaseDuration);
+    }
+    
+    /**
+     * @dev Set when an agreeing report's response time is flagged as an outlier
+     * @param _latencyOutlierMultiplier Multiple of the median absolute deviation beyond which a response time is an outlier (0 disables flagging)
+     * @param _latencyOutlierMinDeviation Deviation from the consensus response time that is never an outlier (in milliseconds)
+     */
+    function setLatencyOutlierParameters(uint256 _latencyOutlierMultiplier, uint256 _latencyOutlierMinDeviation) external onlyOwner {
+        latencyOutlierMultiplier = _latencyOutlierMultiplier;
+        latencyOutlierMinDeviation = _latencyOutlierMinDeviation;
+        
+        emit LatencyOutlierParametersChanged(_latencyOutlierMultiplier, _latencyOutlierMinDeviation);
+    }
+    
+    /**
+     * @dev Set the NodeRegistry contract whose stake weights votes
+     * @param _nodeRegistryContract The address of the NodeRegistry contract
+     */
+    function setNodeRegistryContract(address _nodeRegistryContract) external onlyOwner {
+        require(_nodeRegistryContract != address(0), "ConsensusEngine: Invalid node registry address");
+        
+        address oldAddress = address(nodeRegistryContract);
+        nodeRegistryContract = NodeRegistry(_nodeRegistryContract);
+        
+        emit NodeRegistryContractChanged(oldAddress, _nodeRegistryContract);
+    }
+    
+    /**
+     * @dev Set the RewardDistribution contract that rewards rounds as they reach consensus
+     * @param _rewardDistributionContract The address of the RewardDistribution contract
+     */
+    function setRewardDistributionContract(address _rewardDistributionContract) external onlyOwner {
+        require(_rewardDistributionContract != address(0), "ConsensusEngine: Invalid reward distribution address");
+        
+        address oldAddress = address(rewardDistributionContract);
+        rewardDistributionContract = RewardDistribution(_rewardDistributionContract);
+        
+        emit RewardDistributionContractChanged(oldAddress, _rewardDistributionContract);
+    }
+    
+    /**
+     * @dev Set the amount of stake that adds a node's reputation to its vote weight once more
+     * @param _stakeWeightUnit The stake weight unit in token wei (0 disables stake weighting)
+     */
+    function setStakeWeightUnit(uint256 _stakeWeightUnit) external onlyOwner {
+        uint256 oldUnit = stakeWeightUnit;
+        stakeWeightUnit = _stakeWeightUnit;
+        
+        emit StakeWeightUnitChanged(oldUnit, _stakeWeightUnit);
+    }
 } 
\ No newline at end of file
@@ -2,12 +2,16 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
  * @title NodeRegistry
  * @dev Contract for registering and managing validator nodes
  */
 contract NodeRegistry is Ownable {
+    using SafeERC20 for IERC20;
+    
     // Structure to store node information
     struct Node {
         string name;
@@ -19,6 +23,18 @@ contract NodeRegistry is Ownable {
         uint256 reportsSubmitted;
     }
     
+    // Structure to store stake that is waiting out the unbonding period
+    struct Unbonding {
+        uint256 amount;
+        uint256 releaseTime;
+    }
+    
+    // Structure to store a single slashing event
+    struct Slash {
+        uint256 amount;
+        uint256 timestamp;
+    }
+    
     // Mapping from node ID to Node struct
     mapping(uint256 => Node) public nodes;
     
@@ -28,25 +44,82 @@ contract NodeRegistry is Ownable {
     // Total number of registered nodes
     uint256 public nodeCount;
     
-    // Minimum stake required to register a node (could be linked to token contract)
+    // Token staked by node operators
+    IERC20 public stakeToken;
+    
+    // Minimum stake required to register a node and keep it active
     uint256 public minimumStake;
     
+    // Time stake stays locked after an unstake request (in seconds)
+    uint256 public unbondingPeriod;
+    
+    // Mapping from node ID to the amount of stake locked for the node
+    mapping(uint256 => uint256) public nodeStakes;
+    
+    // Mapping from node ID to stake waiting to be withdrawn
+    mapping(uint256 => Unbonding) public unbondings;
+    
+    // Mapping from node ID to the node's slashing history
+    mapping(uint256 => Slash[]) public slashHistory;
+    
+    // Mapping from node ID to the total amount slashed from the node
+    mapping(uint256 => uint256) public totalSlashed;
+    
+    // Mapping from node ID to addresses allowed to submit reports on the node's behalf
+    mapping(uint256 => mapping(address => bool)) public nodeDelegates;
+    
+    // StatusReport contract, the only caller allowed to record reports
+    address public statusReportContract;
+    
+    // ReputationSystem contract, the only caller allowed to slash stake
+    address public reputationSystemContract;
+    
     // Events
     event NodeRegistered(uint256 indexed nodeId, string name, address indexed owner);
     event NodeUpdated(uint256 indexed nodeId, string name, bool active);
     event NodeStatusChanged(uint256 indexed nodeId, bool active);
     event MinimumStakeChanged(uint256 oldStake, uint256 newStake);
+    event NodeDelegateUpdated(uint256 indexed nodeId, address indexed delegate, bool authorized);
+    event StatusReportContractChanged(address oldAddress, address newAddress);
+    event ReputationSystemContractChanged(address oldAddress, address newAddress);
+    event StakeIncreased(uint256 indexed nodeId, uint256 amount, uint256 totalStake);
+    event UnstakeRequested(uint256 indexed nodeId, uint256 amount, uint256 releaseTime);
+    event StakeWithdrawn(uint256 indexed nodeId, address indexed to, uint256 amount);
+    event StakeSlashed(uint256 indexed nodeId, uint256 amount, uint256 remainingStake);
+    event UnbondingPeriodChanged(uint256 oldPeriod, uint256 newPeriod);
+    
+    /**
+     * @dev Restrict a function to the StatusReport contract
+     */
+    modifier onlyStatusReport() {
+        require(msg.sender == statusReportContract, "NodeRegistry: Caller is not the StatusReport contract");
+        _;
+    }
+    
+    /**
+     * @dev Restrict a function to the ReputationSystem contract
+     */
+    modifier onlyReputationSystem() {
+        require(msg.sender == reputationSystemContract, "NodeRegistry: Caller is not the ReputationSystem contract");
+        _;
+    }
     
     /**
      * @dev Initialize the contract
+     * @param _stakeTokenAddress Address of the token staked by node operators
      * @param _minimumStake The minimum stake required to register a node
      */
-    constructor(uint256 _minimumStake) Ownable(msg.sender) {
+    constructor(address _stakeTokenAddress, uint256 _minimumStake) Ownable(msg.sender) {
+        require(_stakeTokenAddress != address(0), "NodeRegistry: Invalid stake token address");
+        
+        stakeToken = IERC20(_stakeTokenAddress);
         minimumStake = _minimumStake;
+        unbondingPeriod = 7 days;
     }
     
     /**
-     * @dev Register a new validator node
+     * @dev Register a new validator node, locking the minimum stake
+     * The caller must first approve this contract to transfer `minimumStake` tokens.
      * @param name The name of the node
      * @param endpoint The API endpoint of the node
      * @return nodeId The ID of the registered node
@@ -55,9 +128,6 @@ contract NodeRegistry is Ownable {
         require(bytes(name).length > 0, "NodeRegistry: Name cannot be empty");
         require(bytes(endpoint).length > 0, "NodeRegistry: Endpoint cannot be empty");
         
-        // In a real implementation, check if the caller has staked the minimum amount
-        // require(stakeToken.balanceOf(msg.sender) >= minimumStake, "NodeRegistry: Insufficient stake");
-        
         uint256 nodeId = nodeCount;
         
         nodes[nodeId] = Node({
@@ -75,6 +145,10 @@ contract NodeRegistry is Ownable {
         
         emit NodeRegistered(nodeId, name, msg.sender);
         
+        if (minimumStake > 0) {
+            _addStake(nodeId, minimumStake);
+        }
+        
         return nodeId;
     }
     
@@ -104,6 +178,7 @@ contract NodeRegistry is Ownable {
             node.endpoint = endpoint;
         }
         
+        require(!active || nodeStakes[nodeId] >= minimumStake, "NodeRegistry: Insufficient stake");
         node.active = active;
         
         emit NodeUpdated(nodeId, node.name, active);
@@ -119,6 +194,7 @@ contract NodeRegistry is Ownable {
         Node storage node = nodes[nodeId];
         
         require(node.owner == msg.sender, "NodeRegistry: Not the node owner");
+        require(!active || nodeStakes[nodeId] >= minimumStake, "NodeRegistry: Insufficient stake");
         
         node.active = active;
         
@@ -126,14 +202,149 @@ contract NodeRegistry is Ownable {
     }
     
     /**
-     * @dev Update node's report statistics
+     * @dev Lock additional stake for a node
+     * The caller must first approve this contract to transfer `amount` tokens.
+     * @param nodeId The ID of the node
+     * @param amount The amount of tokens to stake
+     */
+    function increaseStake(uint256 nodeId, uint256 amount) external {
+        require(nodeId < nodeCount, "NodeRegistry: Invalid node ID");
+        require(nodes[nodeId].owner == msg.sender, "NodeRegistry: Not the node owner");
+        require(amount > 0, "NodeRegistry: Amount must be > 0");
+        
+        _addStake(nodeId, amount);
+    }
+    
+    /**
+     * @dev Start unbonding part of a node's stake
+     * The node is deactivated if its remaining stake falls below the minimum.
+     * Requesting more while an unbonding is pending adds to it and restarts the period.
+     * @param nodeId The ID of the node
+     * @param amount The amount of tokens to unstake
+     */
+    function requestUnstake(uint256 nodeId, uint256 amount) external {
+        require(nodeId < nodeCount, "NodeRegistry: Invalid node ID");
+        require(nodes[nodeId].owner == msg.sender, "NodeRegistry: Not the node owner");
+        require(amount > 0, "NodeRegistry: Amount must be > 0");
+        require(amount <= nodeStakes[nodeId], "NodeRegistry: Amount exceeds stake");
+        
+        nodeStakes[nodeId] -= amount;
+        
+        Unbonding storage unbonding = unbondings[nodeId];
+        unbonding.amount += amount;
+        unbonding.releaseTime = block.timestamp + unbondingPeriod;
+        
+        emit UnstakeRequested(nodeId, amount, unbonding.releaseTime);
+        
+        _deactivateIfUnderstaked(nodeId);
+    }
+    
+    /**
+     * @dev Withdraw a node's unbonded stake once the unbonding period has passed
      * @param nodeId The ID of the node
      */
-    function recordReport(uint256 nodeId) external {
+    function withdrawStake(uint256 nodeId) external {
         require(nodeId < nodeCount, "NodeRegistry: Invalid node ID");
+        require(nodes[nodeId].owner == msg.sender, "NodeRegistry: Not the node owner");
         
-        // In a production environment, only allow the ReportContract to call this
-        // require(msg.sender == reportContractAddress, "NodeRegistry: Not authorized");
+        Unbonding storage unbonding = unbondings[nodeId];
+        require(unbonding.amount > 0, "NodeRegistry: Nothing to withdraw");
+        require(block.timestamp >= unbonding.releaseTime, "NodeRegistry: Stake is still unbonding");
+        
+        uint256 amount = unbonding.amount;
+        delete unbondings[nodeId];
+        
+        stakeToken.safeTransfer(msg.sender, amount);
+        
+        emit StakeWithdrawn(nodeId, msg.sender, amount);
+    }
+    
+    /**
+     * @dev Slash a percentage of a node's stake, including stake that is still unbonding
+     * Slashed tokens are sent to the registry owner.
+     * @param nodeId The ID of the node
+     * @param percentage The percentage of the stake to slash (out of 100)
+     * @return amount The amount of tokens slashed
+     */
+    function slashStake(uint256 nodeId, uint256 percentage) external onlyReputationSystem returns (uint256 amount) {
+        require(nodeId < nodeCount, "NodeRegistry: Invalid node ID");
+        require(percentage <= 100, "NodeRegistry: Percentage must be <= 100");
+        
+        uint256 staked = nodeStakes[nodeId];
+        Unbonding storage unbonding = unbondings[nodeId];
+        
+        amount = (staked + unbonding.amount) * percentage / 100;
+        if (amount == 0) {
+            return 0;
+        }
+        
+        // Take from the active stake first, then from unbonding stake
+        uint256 fromStake = amount < staked ? amount : staked;
+        nodeStakes[nodeId] = staked - fromStake;
+        unbonding.amount -= amount - fromStake;
+        
+        slashHistory[nodeId].push(Slash({
+            amount: amount,
+            timestamp: block.timestamp
+        }));
+        totalSlashed[nodeId] += amount;
+        
+        stakeToken.safeTransfer(owner(), amount);
+        
+        emit StakeSlashed(nodeId, amount, nodeStakes[nodeId]);
+        
+        _deactivateIfUnderstaked(nodeId);
+        
+        return amount;
+    }
+    
+    /**
+     * @dev Transfer stake from the caller and credit it to a node
+     * @param nodeId The ID of the node
+     * @param amount The amount of tokens to stake
+     */
+    function _addStake(uint256 nodeId, uint256 amount) internal {
+        stakeToken.safeTransferFrom(msg.sender, address(this), amount);
+        nodeStakes[nodeId] += amount;
+        
+        emit StakeIncreased(nodeId, amount, nodeStakes[nodeId]);
+    }
+    
+    /**
+     * @dev Deactivate a node whose stake has fallen below the minimum
+     * @param nodeId The ID of the node
+     */
+    function _deactivateIfUnderstaked(uint256 nodeId) internal {
+        Node storage node = nodes[nodeId];
+        
+        if (node.active && nodeStakes[nodeId] < minimumStake) {
+            node.active = false;
+            emit NodeStatusChanged(nodeId, false);
+        }
+    }
+    
+    /**
+     * @dev Authorize or revoke a delegate key that may submit reports for a node
+     * @param nodeId The ID of the node
+     * @param delegate The address of the delegate key
+     * @param authorized Whether the delegate is authorized
+     */
+    function setNodeDelegate(uint256 nodeId, address delegate, bool authorized) external {
+        require(nodeId < nodeCount, "NodeRegistry: Invalid node ID");
+        require(nodes[nodeId].owner == msg.sender, "NodeRegistry: Not the node owner");
+        require(delegate != address(0), "NodeRegistry: Invalid delegate address");
+        
+        nodeDelegates[nodeId][delegate] = authorized;
+        
+        emit NodeDelegateUpdated(nodeId, delegate, authorized);
+    }
+    
+    /**
+     * @dev Update node's report statistics
+     * @param nodeId The ID of the node
+     */
+    function recordReport(uint256 nodeId) external onlyStatusReport {
+        require(nodeId < nodeCount, "NodeRegistry: Invalid node ID");
         
         Node storage node = nodes[nodeId];
         node.lastReportTime = block.timestamp;
@@ -151,6 +362,43 @@ contract NodeRegistry is Ownable {
         emit MinimumStakeChanged(oldStake, _minimumStake);
     }
     
+    /**
+     * @dev Set the StatusReport contract allowed to record reports
+     * @param _statusReportContract The address of the StatusReport contract
+     */
+    function setStatusReportContract(address _statusReportContract) external onlyOwner {
+        require(_statusReportContract != address(0), "NodeRegistry: Invalid status report address");
+        
+        address oldAddress = statusReportContract;
+        statusReportContract = _statusReportContract;
+        
+        emit StatusReportContractChanged(oldAddress, _statusReportContract);
+    }
+    
+    /**
+     * @dev Set the ReputationSystem contract allowed to slash stake
+     * @param _reputationSystemContract The address of the ReputationSystem contract
+     */
+    function setReputationSystemContract(address _reputationSystemContract) external onlyOwner {
+        require(_reputationSystemContract != address(0), "NodeRegistry: Invalid reputation system address");
+        
+        address oldAddress = reputationSystemContract;
+        reputationSystemContract = _reputationSystemContract;
+        
+        emit ReputationSystemContractChanged(oldAddress, _reputationSystemContract);
+    }
+    
+    /**
+     * @dev Set how long unstaked tokens stay locked before they can be withdrawn
+     * @param _unbondingPeriod The new unbonding period in seconds
+     */
+    function setUnbondingPeriod(uint256 _unbondingPeriod) external onlyOwner {
+        uint256 oldPeriod = unbondingPeriod;
+        unbondingPeriod = _unbondingPeriod;
+        
+        emit UnbondingPeriodChanged(oldPeriod, _unbondingPeriod);
+    }
+    
     /**
      * @dev Get all nodes owned by a specific address
      * @param owner The address of the node owner
@@ -160,6 +408,29 @@ contract NodeRegistry is Ownable {
         return nodesByOwner[owner];
     }
     
+    /**
+     * @dev Check whether an address is the owner or an authorized delegate of a node
+     * @param nodeId The ID of the node
+     * @param account The address to check
+     * @return authorized Whether the address may act for the node (false for unknown nodes)
+     */
+    function isNodeOperator(uint256 nodeId, address account) external view returns (bool) {
+        if (nodeId >= nodeCount) {
+            return false;
+        }
+        
+        return nodes[nodeId].owner == account || nodeDelegates[nodeId][account];
+    }
+    
+    /**
+     * @dev Check whether a node is active
+     * @param nodeId The ID of the node
+     * @return active Whether the node exists and is active
+     */
+    function isNodeActive(uint256 nodeId) external view returns (bool) {
+        return nodeId < nodeCount && nodes[nodeId].active;
+    }
+    
     /**
      * @dev Get the details of a node
      * @param nodeId The ID of the node
@@ -193,4 +464,51 @@ contract NodeRegistry is Ownable {
             node.reportsSubmitted
         );
     }
+    
+    /**
+     * @dev Get the stake details of a node
+     * @param nodeId The ID of the node
+     * @return staked The amount of stake locked for the node
+     * @return unbondingAmount The amount of stake waiting to be withdrawn
+     * @return unbondingReleaseTime The time the unbonding stake can be withdrawn
+     * @return slashed The total amount slashed from the node
+     */
+    function getNodeStake(uint256 nodeId) external view returns (
+        uint256 staked,
+        uint256 unbondingAmount,
+        uint256 unbondingReleaseTime,
+        uint256 slashed
+    ) {
+        require(nodeId < nodeCount, "NodeRegistry: Invalid node ID");
+        Unbonding storage unbonding = unbondings[nodeId];
+        
+        return (
+            nodeStakes[nodeId],
+            unbonding.amount,
+            unbonding.releaseTime,
+            totalSlashed[nodeId]
+        );
+    }
+    
+    /**
+     * @dev Get the slashing history of a node
+     * @param nodeId The ID of the node
+     * @return amounts The amount slashed in each event
+     * @return timestamps The time of each event
+     */
+    function getSlashHistory(uint256 nodeId) external view returns (
+        uint256[] memory amounts,
+        uint256[] memory timestamps
+    ) {
+        Slash[] storage history = slashHistory[nodeId];
+        amounts = new uint256[](history.length);
+        timestamps = new uint256[](history.length);
+        
+        for (uint256 i = 0; i < history.length; i++) {
+            amounts[i] = history[i].amount;
+            timestamps[i] = history[i].timestamp;
+        }
+        
+        return (amounts, timestamps);
+    }
 } 
\ No newline at end of file
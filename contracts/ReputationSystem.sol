@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./NodeRegistry.sol";
 
 /**
  * @title ReputationSystem
@@ -13,6 +14,14 @@ contract ReputationSystem is Ownable {
     uint256 public constant MAX_REPUTATION = 100;
     uint256 public constant INITIAL_REPUTATION = 50;
     
+    // Fixed-point precision of the scores kept in checkpoints, so that decay is not lost to rounding
+    uint256 public constant SCORE_PRECISION = 1e18;
+    
+    // Default scoring parameters: +1 per correct report, -2 per incorrect report, and a 30-day decay half-life
+    uint256 public constant DEFAULT_CORRECT_REPORT_REWARD = 1;
+    uint256 public constant DEFAULT_INCORRECT_REPORT_PENALTY = 2;
+    uint256 public constant DEFAULT_DECAY_HALF_LIFE = 30 days;
+    
     // Minimum reputation required to receive rewards
     uint256 public minReputationForRewards;
     
@@ -24,12 +33,59 @@ contract ReputationSystem is Ownable {
         uint256 lastUpdateTime;
     }
     
-    // Mapping from node ID to reputation data
+    // Structure to store a node's score at the time of an update, with the half-life it decays at from then on
+    struct ScoreCheckpoint {
+        uint64 timestamp;
+        uint64 decayHalfLife;
+        uint128 score;
+    }
+    
+    // Mapping from node ID to reputation data (score is the rounded score at lastUpdateTime, before decay)
     mapping(uint256 => NodeReputation) public nodeReputations;
     
+    // Mapping from node ID to its scores after each update, in SCORE_PRECISION units and in time order
+    mapping(uint256 => ScoreCheckpoint[]) internal scoreCheckpoints;
+    
+    // Score added for a correct report
+    uint256 public correctReportReward;
+    
+    // Score removed for an incorrect report
+    uint256 public incorrectReportPenalty;
+    
+    // Time over which a score's distance from INITIAL_REPUTATION halves (in seconds; 0 disables decay)
+    uint256 public decayHalfLife;
+    
+    // ConsensusEngine contract, the only caller allowed to change reputations
+    address public consensusEngineContract;
+    
+    // NodeRegistry contract whose stake is slashed for repeated incorrect reports (slashing is off if unset)
+    NodeRegistry public nodeRegistryContract;
+    
+    // Number of consecutive incorrect reports that triggers a slash
+    uint256 public slashingThreshold;
+    
+    // Percentage of the node's stake slashed each time the threshold is reached (out of 100)
+    uint256 public slashPercentage;
+    
+    // Mapping from node ID to incorrect reports since its last correct report or slash
+    mapping(uint256 => uint256) public consecutiveIncorrectReports;
+    
     // Events
     event ReputationUpdated(uint256 indexed nodeId, uint256 oldScore, uint256 newScore);
     event MinReputationForRewardsChanged(uint256 oldThreshold, uint256 newThreshold);
+    event ConsensusEngineContractChanged(address oldAddress, address newAddress);
+    event NodeRegistryContractChanged(address oldAddress, address newAddress);
+    event SlashingParametersChanged(uint256 threshold, uint256 percentage);
+    event ScoringParametersChanged(uint256 correctReportReward, uint256 incorrectReportPenalty, uint256 decayHalfLife);
+    event NodeSlashed(uint256 indexed nodeId, uint256 incorrectReports, uint256 amount);
+    
+    /**
+     * @dev Restrict a function to the ConsensusEngine contract
+     */
+    modifier onlyConsensusEngine() {
+        require(msg.sender == consensusEngineContract, "ReputationSystem: Caller is not the ConsensusEngine contract");
+        _;
+    }
     
     /**
      * @dev Initialize the contract
@@ -38,13 +94,18 @@ contract ReputationSystem is Ownable {
     constructor(uint256 _minReputationForRewards) Ownable(msg.sender) {
         require(_minReputationForRewards <= MAX_REPUTATION, "ReputationSystem: Threshold too high");
         minReputationForRewards = _minReputationForRewards;
+        slashingThreshold = 3;
+        slashPercentage = 10;
+        correctReportReward = DEFAULT_CORRECT_REPORT_REWARD;
+        incorrectReportPenalty = DEFAULT_INCORRECT_REPORT_PENALTY;
+        decayHalfLife = DEFAULT_DECAY_HALF_LIFE;
     }
     
     /**
      * @dev Initialize a new node's reputation
      * @param nodeId The ID of the node
      */
-    function initializeNodeReputation(uint256 nodeId) public {
+    function initializeNodeReputation(uint256 nodeId) public onlyConsensusEngine {
         require(nodeReputations[nodeId].lastUpdateTime == 0, "ReputationSystem: Already initialized");
         
         nodeReputations[nodeId] = NodeReputation({
@@ -54,6 +115,8 @@ contract ReputationSystem is Ownable {
             lastUpdateTime: block.timestamp
         });
         
+        _checkpoint(nodeId, INITIAL_REPUTATION * SCORE_PRECISION);
+        
         emit ReputationUpdated(nodeId, 0, INITIAL_REPUTATION);
     }
     
@@ -61,7 +124,7 @@ contract ReputationSystem is Ownable {
      * @dev Record a correct report from a node
      * @param nodeId The ID of the node
      */
-    function recordCorrectReport(uint256 nodeId) external {
+    function recordCorrectReport(uint256 nodeId) external onlyConsensusEngine {
         NodeReputation storage reputation = nodeReputations[nodeId];
         
         // Ensure the node has been initialized
@@ -70,19 +133,16 @@ contract ReputationSystem is Ownable {
             reputation = nodeReputations[nodeId];
         }
         
-        // In a production environment, only allow trusted contracts to call this
-        // require(msg.sender == consensusContractAddress, "ReputationSystem: Not authorized");
-        
-        uint256 oldScore = reputation.score;
         reputation.correctReports++;
+        consecutiveIncorrectReports[nodeId] = 0;
         
-        // Increase reputation score (bounded by MAX_REPUTATION)
-        if (reputation.score < MAX_REPUTATION) {
-            // Simple reputation increase algorithm
-            // In a production system, this would be more sophisticated
-            reputation.score = min(reputation.score + 1, MAX_REPUTATION);
-        }
+        // Increase the decayed reputation score (bounded by MAX_REPUTATION)
+        uint256 score = _decayedScore(nodeId, block.timestamp);
+        uint256 oldScore = _roundScore(score);
+        score = min(score + correctReportReward * SCORE_PRECISION, MAX_REPUTATION * SCORE_PRECISION);
         
+        _checkpoint(nodeId, score);
+        reputation.score = _roundScore(score);
         reputation.lastUpdateTime = block.timestamp;
         
         emit ReputationUpdated(nodeId, oldScore, reputation.score);
@@ -92,7 +152,7 @@ contract ReputationSystem is Ownable {
      * @dev Record an incorrect report from a node
      * @param nodeId The ID of the node
      */
-    function recordIncorrectReport(uint256 nodeId) external {
+    function recordIncorrectReport(uint256 nodeId) external onlyConsensusEngine {
         NodeReputation storage reputation = nodeReputations[nodeId];
         
         // Ensure the node has been initialized
@@ -101,22 +161,31 @@ contract ReputationSystem is Ownable {
             reputation = nodeReputations[nodeId];
         }
         
-        // In a production environment, only allow trusted contracts to call this
-        // require(msg.sender == consensusContractAddress, "ReputationSystem: Not authorized");
-        
-        uint256 oldScore = reputation.score;
         reputation.incorrectReports++;
         
-        // Decrease reputation score (bounded by MIN_REPUTATION)
-        if (reputation.score > MIN_REPUTATION) {
-            // Simple reputation decrease algorithm
-            // In a production system, this would be more sophisticated
-            reputation.score = max(reputation.score - 2, MIN_REPUTATION);
-        }
+        // Decrease the decayed reputation score (bounded by MIN_REPUTATION)
+        uint256 score = _decayedScore(nodeId, block.timestamp);
+        uint256 oldScore = _roundScore(score);
+        uint256 penalty = incorrectReportPenalty * SCORE_PRECISION;
+        score = score > MIN_REPUTATION * SCORE_PRECISION + penalty ? score - penalty : MIN_REPUTATION * SCORE_PRECISION;
         
+        _checkpoint(nodeId, score);
+        reputation.score = _roundScore(score);
         reputation.lastUpdateTime = block.timestamp;
         
         emit ReputationUpdated(nodeId, oldScore, reputation.score);
+        
+        // Slash the node's stake once it reaches the threshold of consecutive incorrect reports
+        uint256 incorrectInARow = consecutiveIncorrectReports[nodeId] + 1;
+        
+        if (address(nodeRegistryContract) != address(0) && incorrectInARow >= slashingThreshold) {
+            consecutiveIncorrectReports[nodeId] = 0;
+            uint256 amount = nodeRegistryContract.slashStake(nodeId, slashPercentage);
+            
+            emit NodeSlashed(nodeId, incorrectInARow, amount);
+        } else {
+            consecutiveIncorrectReports[nodeId] = incorrectInARow;
+        }
     }
     
     /**
@@ -125,7 +194,21 @@ contract ReputationSystem is Ownable {
      * @return isEligible Whether the node is eligible for rewards
      */
     function isEligibleForRewards(uint256 nodeId) external view returns (bool) {
-        return nodeReputations[nodeId].score >= minReputationForRewards;
+        return getScoreAt(nodeId, block.timestamp) >= minReputationForRewards;
+    }
+    
+    /**
+     * @dev Get a node's reputation score as of a timestamp
+     * The score is the one after the node's last update at or before the timestamp, decayed toward
+     * INITIAL_REPUTATION for the time since. The decay uses the half-life in force at
+     * that update, so a change of scoring parameters does not rewrite past scores. A timestamp after the
+     * current block gives the score the node will decay to if it is not updated before then.
+     * @param nodeId The ID of the node
+     * @param timestamp The timestamp
+     * @return score The reputation score, or 0 if the node had no reputation yet
+     */
+    function getScoreAt(uint256 nodeId, uint256 timestamp) public view returns (uint256) {
+        return _roundScore(_decayedScore(nodeId, timestamp));
     }
     
     /**
@@ -141,10 +224,76 @@ contract ReputationSystem is Ownable {
         emit MinReputationForRewardsChanged(oldThreshold, _minReputationForRewards);
     }
     
+    /**
+     * @dev Set the ConsensusEngine contract allowed to change reputations
+     * @param _consensusEngineContract The address of the ConsensusEngine contract
+     */
+    function setConsensusEngineContract(address _consensusEngineContract) external onlyOwner {
+        require(_consensusEngineContract != address(0), "ReputationSystem: Invalid consensus engine address");
+        
+        address oldAddress = consensusEngineContract;
+        consensusEngineContract = _consensusEngineContract;
+        
+        emit ConsensusEngineContractChanged(oldAddress, _consensusEngineContract);
+    }
+    
+    /**
+     * @dev Set the NodeRegistry contract whose stake is slashed
+     * @param _nodeRegistryContract The address of the NodeRegistry contract
+     */
+    function setNodeRegistryContract(address _nodeRegistryContract) external onlyOwner {
+        require(_nodeRegistryContract != address(0), "ReputationSystem: Invalid node registry address");
+        
+        address oldAddress = address(nodeRegistryContract);
+        nodeRegistryContract = NodeRegistry(_nodeRegistryContract);
+        
+        emit NodeRegistryContractChanged(oldAddress, _nodeRegistryContract);
+    }
+    
+    /**
+     * @dev Set when and how much stake is slashed for incorrect reports
+     * @param _slashingThreshold Number of consecutive incorrect reports that triggers a slash
+     * @param _slashPercentage Percentage of the stake slashed (out of 100)
+     */
+    function setSlashingParameters(uint256 _slashingThreshold, uint256 _slashPercentage) external onlyOwner {
+        require(_slashingThreshold > 0, "ReputationSystem: Threshold must be > 0");
+        require(_slashPercentage <= 100, "ReputationSystem: Percentage must be <= 100");
+        
+        slashingThreshold = _slashingThreshold;
+        slashPercentage = _slashPercentage;
+        
+        emit SlashingParametersChanged(_slashingThreshold, _slashPercentage);
+    }
+    
+    /**
+     * @dev Set how reports change reputation scores and how fast scores decay
+     * A new half-life applies to each node from its next update.
+     * @param _correctReportReward Score added for a correct report
+     * @param _incorrectReportPenalty Score removed for an incorrect report
+     * @param _decayHalfLife Time over which a score's distance from INITIAL_REPUTATION halves (0 disables decay)
+     */
+    function setScoringParameters(
+        uint256 _correctReportReward,
+        uint256 _incorrectReportPenalty,
+        uint256 _decayHalfLife
+    ) external onlyOwner {
+        require(
+            _correctReportReward <= MAX_REPUTATION && _incorrectReportPenalty <= MAX_REPUTATION,
+            "ReputationSystem: Score change too large"
+        );
+        require(_decayHalfLife <= type(uint64).max, "ReputationSystem: Half-life too long");
+        
+        correctReportReward = _correctReportReward;
+        incorrectReportPenalty = _incorrectReportPenalty;
+        decayHalfLife = _decayHalfLife;
+        
+        emit ScoringParametersChanged(_correctReportReward, _incorrectReportPenalty, _decayHalfLife);
+    }
+    
     /**
      * @dev Get the reputation details of a node
      * @param nodeId The ID of the node
-     * @return score The reputation score
+     * @return score The current reputation score, decayed since the last update
      * @return correctReports The number of correct reports
      * @return incorrectReports The number of incorrect reports
      * @return lastUpdateTime The last time the reputation was updated
@@ -158,13 +307,90 @@ contract ReputationSystem is Ownable {
         NodeReputation storage reputation = nodeReputations[nodeId];
         
         return (
-            reputation.score,
+            getScoreAt(nodeId, block.timestamp),
             reputation.correctReports,
             reputation.incorrectReports,
             reputation.lastUpdateTime
         );
     }
     
+    /**
+     * @dev Record a node's score at the current time, replacing a checkpoint from the same block
+     * @param nodeId The ID of the node
+     * @param score The score in SCORE_PRECISION units
+     */
+    function _checkpoint(uint256 nodeId, uint256 score) internal {
+        ScoreCheckpoint[] storage checkpoints = scoreCheckpoints[nodeId];
+        uint256 count = checkpoints.length;
+        
+        if (count > 0 && checkpoints[count - 1].timestamp == block.timestamp) {
+            checkpoints[count - 1].decayHalfLife = uint64(decayHalfLife);
+            checkpoints[count - 1].score = uint128(score);
+        } else {
+            checkpoints.push(ScoreCheckpoint({
+                timestamp: uint64(block.timestamp),
+                decayHalfLife: uint64(decayHalfLife),
+                score: uint128(score)
+            }));
+        }
+    }
+    
+    /**
+     * @dev Get a node's score as of a timestamp, in SCORE_PRECISION units
+     * The distance from INITIAL_REPUTATION halves every half-life of the checkpoint; within a half-life
+     * it shrinks linearly, which approximates exponential decay. Scores above INITIAL_REPUTATION decay
+     * down and scores below it decay up, so an idle node drifts back to the initial score either way.
+     * @param nodeId The ID of the node
+     * @param timestamp The timestamp
+     * @return score The decayed score, or 0 if the node had no checkpoint at or before the timestamp
+     */
+    function _decayedScore(uint256 nodeId, uint256 timestamp) internal view returns (uint256) {
+        ScoreCheckpoint[] storage checkpoints = scoreCheckpoints[nodeId];
+        
+        // Binary search for the last checkpoint at or before the timestamp
+        uint256 low = 0;
+        uint256 high = checkpoints.length;
+        
+        while (low < high) {
+            uint256 middle = (low + high) / 2;
+            
+            if (checkpoints[middle].timestamp > timestamp) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        
+        if (low == 0) {
+            return 0;
+        }
+        
+        ScoreCheckpoint storage checkpoint = checkpoints[low - 1];
+        uint256 score = checkpoint.score;
+        uint256 halfLife = checkpoint.decayHalfLife;
+        uint256 initial = INITIAL_REPUTATION * SCORE_PRECISION;
+        
+        if (halfLife == 0 || score == initial) {
+            return score;
+        }
+        
+        uint256 elapsed = timestamp - checkpoint.timestamp;
+        uint256 halvings = elapsed / halfLife;
+        uint256 distance = score > initial ? score - initial : initial - score;
+        
+        distance = halvings < 256 ? distance >> halvings : 0;
+        distance -= distance * (elapsed % halfLife) / (2 * halfLife);
+        
+        return score > initial ? initial + distance : initial - distance;
+    }
+    
+    /**
+     * @dev Round a score in SCORE_PRECISION units to the nearest whole score
+     */
+    function _roundScore(uint256 score) internal pure returns (uint256) {
+        return (score + SCORE_PRECISION / 2) / SCORE_PRECISION;
+    }
+    
     /**
      * @dev Helper function to get the minimum of two values
      */
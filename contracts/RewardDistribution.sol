@@ -2,131 +2,261 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./UptimeToken.sol";
+import "./NodeRegistry.sol";
+import "./WebsiteRegistry.sol";
 import "./ReputationSystem.sol";
 import "./ConsensusEngine.sol";
 
 /**
  * @title RewardDistribution
  * @dev Contract for distributing token rewards to node operators
+ * Rewards are paid from the escrow website owners prepay in the WebsiteRegistry.
  */
 contract RewardDistribution is Ownable {
+    using SafeERC20 for IERC20;
+    
     // Reference to the UptimeToken contract
     UptimeToken public uptimeToken;
     
+    // Reference to the NodeRegistry contract
+    NodeRegistry public nodeRegistry;
+    
+    // Reference to the WebsiteRegistry contract
+    WebsiteRegistry public websiteRegistry;
+    
     // Reference to the ReputationSystem contract
     ReputationSystem public reputationSystem;
     
     // Reference to the ConsensusEngine contract
     ConsensusEngine public consensusEngine;
     
-    // Base reward amount per report (in token units)
+    // Base reward weight per report, used to split a website's check price between nodes
     uint256 public baseRewardAmount;
     
     // Reputation multiplier factor (in percentage)
     uint256 public reputationMultiplier;
     
-    // Mapping from website ID to last reward distribution timestamp
-    mapping(uint256 => uint256) public lastRewardTime;
+    // Mapping from website ID to consensus round to whether its rewards have been distributed
+    mapping(uint256 => mapping(uint256 => bool)) public roundRewarded;
+    
+    // Default per-node accrual cap per epoch (in token units)
+    uint256 public constant DEFAULT_MAX_REWARD_PER_EPOCH = 10_000 * 10**18;
     
-    // Mapping to track total rewards distributed to each node
+    // Length of a reward epoch (in seconds)
+    uint256 public epochDuration;
+    
+    // Maximum reward a node can accrue in one epoch (in token units)
+    uint256 public maxRewardPerEpoch;
+    
+    // Mapping to track total rewards accrued by each node
     mapping(uint256 => uint256) public totalRewardsByNode;
     
+    // Mapping from node ID to accrued rewards that have not been claimed yet
+    mapping(uint256 => uint256) public claimableRewards;
+    
+    // Mapping from node ID to rewards that have been claimed
+    mapping(uint256 => uint256) public claimedRewards;
+    
+    // Mapping from node ID to epoch to rewards accrued in that epoch
+    mapping(uint256 => mapping(uint256 => uint256)) public epochRewards;
+    
+    // Mapping from node ID to the address its rewards are paid to (the node owner if unset)
+    mapping(uint256 => address) public payoutAddresses;
+    
+    // Structure to store what a website owes for the rounds rewarded since its escrow was last charged
+    struct PendingPayment {
+        uint256 lastRound;
+        uint256 totalWeight;
+        uint256[] nodeIds;
+    }
+    
+    // Mapping from website ID to the payment it owes once its escrow can be charged
+    mapping(uint256 => PendingPayment) internal pendingPayments;
+    
+    // Mapping from website ID to node ID to the reward weight the node is owed in the pending payment
+    mapping(uint256 => mapping(uint256 => uint256)) public pendingWeights;
+    
     // Events
-    event RewardsDistributed(uint256 indexed websiteId, uint256 totalAmount);
+    event RewardsDistributed(uint256 indexed websiteId, uint256 indexed round, uint256 totalAmount);
+    event RewardsPending(uint256 indexed websiteId, uint256 indexed round, uint256 totalWeight);
     event NodeRewarded(uint256 indexed nodeId, uint256 amount);
+    event NodeRewardPaid(uint256 indexed nodeId, address indexed recipient, uint256 amount);
+    event PayoutAddressChanged(uint256 indexed nodeId, address payoutAddress);
     event RewardParametersChanged(uint256 baseAmount, uint256 multiplier);
+    event EpochParametersChanged(uint256 epochDuration, uint256 maxRewardPerEpoch);
     
     /**
      * @dev Initialize the contract
      * @param _tokenAddress Address of the UptimeToken contract
+     * @param _nodeRegistryAddress Address of the NodeRegistry contract
+     * @param _websiteRegistryAddress Address of the WebsiteRegistry contract
      * @param _reputationSystemAddress Address of the ReputationSystem contract
      * @param _consensusEngineAddress Address of the ConsensusEngine contract
-     * @param _baseRewardAmount Base reward amount per report
+     * @param _baseRewardAmount Base reward weight per report
      * @param _reputationMultiplier Reputation multiplier factor (in percentage)
      */
     constructor(
         address _tokenAddress,
+        address _nodeRegistryAddress,
+        address _websiteRegistryAddress,
         address _reputationSystemAddress,
         address _consensusEngineAddress,
         uint256 _baseRewardAmount,
         uint256 _reputationMultiplier
     ) Ownable(msg.sender) {
         require(_tokenAddress != address(0), "RewardDistribution: Invalid token address");
+        require(_nodeRegistryAddress != address(0), "RewardDistribution: Invalid node registry address");
+        require(_websiteRegistryAddress != address(0), "RewardDistribution: Invalid website registry address");
         require(_reputationSystemAddress != address(0), "RewardDistribution: Invalid reputation system address");
         require(_consensusEngineAddress != address(0), "RewardDistribution: Invalid consensus engine address");
         
         uptimeToken = UptimeToken(_tokenAddress);
+        nodeRegistry = NodeRegistry(_nodeRegistryAddress);
+        websiteRegistry = WebsiteRegistry(_websiteRegistryAddress);
         reputationSystem = ReputationSystem(_reputationSystemAddress);
         consensusEngine = ConsensusEngine(_consensusEngineAddress);
         baseRewardAmount = _baseRewardAmount;
         reputationMultiplier = _reputationMultiplier;
+        epochDuration = 1 days;
+        maxRewardPerEpoch = DEFAULT_MAX_REWARD_PER_EPOCH;
     }
     
     /**
-     * @dev Distribute rewards for a website consensus
+     * @dev Reward the nodes of a website's consensus round from the website's escrow
+     * Each round that reached consensus is rewarded once, and only while it is the website's latest
+     * consensus and at most one check interval after it was reached, so that a stale round cannot be
+     * rewarded at later reputations. Only nodes that agreed with the consensus and were not flagged as
+     * latency outliers are rewarded: each eligible node's reputation-adjusted reward weight is added to
+     * the website's pending payment. The website pays for at most one check per check interval, so the
+     * pending payment is settled right away if the escrow can be charged, and otherwise by the next
+     * rewarded round or settleRewards once WebsiteRegistry.getNextChargeTime has passed.
      * @param websiteId The ID of the website
+     * @param round The consensus round number
      */
-    function distributeRewards(uint256 websiteId) external {
-        // Get consensus data
-        (
-            ,
-            ,
-            uint256 consensusTimestamp,
-            uint256 reportCount,
-            bool isValid
-        ) = consensusEngine.getWebsiteConsensus(websiteId);
-        
-        require(isValid, "RewardDistribution: No valid consensus");
+    function distributeRewards(uint256 websiteId, uint256 round) external {
+        // Get the round's consensus
+        (, , , bool consensusReached, ) = consensusEngine.getRound(websiteId, round);
+        
+        require(consensusReached, "RewardDistribution: No consensus in this round");
+        require(!roundRewarded[websiteId][round], "RewardDistribution: Rewards already distributed for this round");
+        
+        (, , uint256 consensusTime, , , uint256 latestRound) = consensusEngine.websiteConsensus(websiteId);
         require(
-            lastRewardTime[websiteId] < consensusTimestamp,
-            "RewardDistribution: Rewards already distributed for this consensus"
+            round == latestRound && block.timestamp <= consensusTime + websiteRegistry.getCheckFrequency(websiteId) * 1 minutes,
+            "RewardDistribution: Round is too old to reward"
         );
         
-        // Get contributing nodes
-        uint256[] memory contributors = consensusEngine.getConsensusContributors(websiteId);
+        // Get the nodes whose reports agreed with the consensus
+        uint256[] memory contributors = consensusEngine.getRoundAgreeingNodes(websiteId, round);
         require(contributors.length > 0, "RewardDistribution: No contributors");
         
-        // Calculate and distribute rewards
-        uint256 totalRewards = 0;
+        roundRewarded[websiteId][round] = true;
+        
+        // Add the eligible contributors' weights, at their current reputation, to the pending payment
+        PendingPayment storage pending = pendingPayments[websiteId];
         
         for (uint256 i = 0; i < contributors.length; i++) {
             uint256 nodeId = contributors[i];
             
-            // Check if node is eligible for rewards
-            bool isEligible = reputationSystem.isEligibleForRewards(nodeId);
+            if (!reputationSystem.isEligibleForRewards(nodeId)) {
+                continue;
+            }
             
-            if (isEligible) {
-                // Get node reputation
-                (uint256 reputationScore, , , ) = reputationSystem.getNodeReputation(nodeId);
-                
-                // Calculate reward with reputation multiplier
-                // Formula: baseReward * (1 + (reputationScore - 50) * multiplier / 100 / 100)
-                // This gives a boost for scores > 50 and reduction for scores < 50
-                int256 reputationBoost = int256(reputationScore) - 50;
-                uint256 adjustedMultiplier;
-                
-                if (reputationBoost >= 0) {
-                    adjustedMultiplier = uint256(reputationBoost) * reputationMultiplier / 100;
-                } else {
-                    adjustedMultiplier = uint256(-reputationBoost) * reputationMultiplier / 100;
-                }
-                
-                uint256 reward;
-                if (reputationBoost >= 0) {
-                    reward = baseRewardAmount * (100 + adjustedMultiplier) / 100;
-                } else {
-                    reward = baseRewardAmount * (100 - adjustedMultiplier) / 100;
+            uint256 weight = _rewardWeight(nodeId);
+            
+            if (weight > 0) {
+                if (pendingWeights[websiteId][nodeId] == 0) {
+                    pending.nodeIds.push(nodeId);
                 }
                 
-                // Mint and transfer tokens to the node operator
-                // In a real implementation, you would use the node owner's address
-                // Here we assume the node ID corresponds to the node owner's index
-                address nodeOwner = msg.sender; // Placeholder, in production this would be the node owner's address
-                
-                uptimeToken.mint(nodeOwner, reward);
-                
-                // Update reward tracking
+                pendingWeights[websiteId][nodeId] += weight;
+                pending.totalWeight += weight;
+            }
+        }
+        
+        if (pending.totalWeight == 0) {
+            emit RewardsDistributed(websiteId, round, 0);
+            return;
+        }
+        
+        pending.lastRound = round;
+        
+        if (block.timestamp >= websiteRegistry.getNextChargeTime(websiteId)) {
+            _settleRewards(websiteId);
+        } else {
+            emit RewardsPending(websiteId, round, pending.totalWeight);
+        }
+    }
+    
+    /**
+     * @dev Pay a website's pending payment once its escrow can be charged again
+     * Lets the rounds rewarded within a check interval be paid without waiting for another round.
+     * @param websiteId The ID of the website
+     */
+    function settleRewards(uint256 websiteId) external {
+        require(pendingPayments[websiteId].totalWeight > 0, "RewardDistribution: No pending rewards");
+        require(
+            block.timestamp >= websiteRegistry.getNextChargeTime(websiteId),
+            "RewardDistribution: Check interval has not passed"
+        );
+        
+        _settleRewards(websiteId);
+    }
+    
+    /**
+     * @dev Charge a website's escrow the check price and split it between the nodes of its pending payment
+     * The price is split in proportion to the weights the nodes were owed, bounded by what each node can
+     * still accrue this epoch; the escrow is only charged for what is accrued. Rewards are not transferred
+     * here; each node claims its accrued balance with claimRewards.
+     * @param websiteId The ID of the website
+     */
+    function _settleRewards(uint256 websiteId) internal {
+        PendingPayment storage pending = pendingPayments[websiteId];
+        uint256[] memory nodeIds = pending.nodeIds;
+        uint256 totalWeight = pending.totalWeight;
+        uint256 round = pending.lastRound;
+        
+        uint256[] memory rewards = new uint256[](nodeIds.length);
+        
+        for (uint256 i = 0; i < nodeIds.length; i++) {
+            rewards[i] = pendingWeights[websiteId][nodeIds[i]];
+            delete pendingWeights[websiteId][nodeIds[i]];
+        }
+        
+        delete pendingPayments[websiteId];
+        
+        // Split the check price by weight, bounded by what each node can still accrue this epoch
+        uint256 checkPrice = websiteRegistry.getCheckPrice(websiteId);
+        uint256 epoch = currentEpoch();
+        uint256 totalDue = 0;
+        
+        for (uint256 i = 0; i < nodeIds.length; i++) {
+            uint256 reward = checkPrice * rewards[i] / totalWeight;
+            uint256 accrued = epochRewards[nodeIds[i]][epoch];
+            
+            if (accrued + reward > maxRewardPerEpoch) {
+                reward = accrued < maxRewardPerEpoch ? maxRewardPerEpoch - accrued : 0;
+            }
+            
+            rewards[i] = reward;
+            totalDue += reward;
+        }
+        
+        // Pay from the website's escrow, scaling rewards down if it runs out
+        uint256 charged = totalDue > 0 ? websiteRegistry.chargeEscrow(websiteId, totalDue) : 0;
+        uint256 totalRewards = 0;
+        
+        for (uint256 i = 0; i < nodeIds.length; i++) {
+            uint256 nodeId = nodeIds[i];
+            uint256 reward = charged < totalDue ? rewards[i] * charged / totalDue : rewards[i];
+            
+            if (reward > 0) {
+                // Accrue the reward for the node to claim later
+                epochRewards[nodeId][epoch] += reward;
+                claimableRewards[nodeId] += reward;
                 totalRewardsByNode[nodeId] += reward;
                 totalRewards += reward;
                 
@@ -134,15 +264,55 @@ contract RewardDistribution is Ownable {
             }
         }
         
-        // Update last reward time
-        lastRewardTime[websiteId] = consensusTimestamp;
+        emit RewardsDistributed(websiteId, round, totalRewards);
+    }
+    
+    /**
+     * @dev Get the payment a website owes once its escrow can be charged again
+     * @param websiteId The ID of the website
+     * @return round The latest round added to the payment
+     * @return nodeCount The number of nodes owed a share of the payment
+     * @return totalWeight The total reward weight the nodes are owed
+     */
+    function getPendingPayment(uint256 websiteId) external view returns (
+        uint256 round,
+        uint256 nodeCount,
+        uint256 totalWeight
+    ) {
+        PendingPayment storage pending = pendingPayments[websiteId];
+        
+        return (pending.lastRound, pending.nodeIds.length, pending.totalWeight);
+    }
+    
+    /**
+     * @dev Get the reputation-adjusted reward weight of a node
+     * Formula: baseReward * (1 + (reputationScore - 50) * multiplier / 100 / 100)
+     * This gives a boost for scores > 50 and reduction for scores < 50, down to a weight of 0
+     * @param nodeId The ID of the node
+     * @return weight The reward weight
+     */
+    function _rewardWeight(uint256 nodeId) internal view returns (uint256) {
+        (uint256 reputationScore, , , ) = reputationSystem.getNodeReputation(nodeId);
         
-        emit RewardsDistributed(websiteId, totalRewards);
+        int256 reputationBoost = int256(reputationScore) - 50;
+        uint256 adjustedMultiplier;
+        
+        if (reputationBoost >= 0) {
+            adjustedMultiplier = uint256(reputationBoost) * reputationMultiplier / 100;
+            return baseRewardAmount * (100 + adjustedMultiplier) / 100;
+        }
+        
+        adjustedMultiplier = uint256(-reputationBoost) * reputationMultiplier / 100;
+        if (adjustedMultiplier >= 100) {
+            return 0;
+        }
+        
+        return baseRewardAmount * (100 - adjustedMultiplier) / 100;
     }
     
     /**
      * @dev Set reward parameters
-     * @param _baseRewardAmount Base reward amount per report
+     * @param _baseRewardAmount Base reward weight per report
      * @param _reputationMultiplier Reputation multiplier factor
      */
     function setRewardParameters(
@@ -155,6 +325,114 @@ contract RewardDistribution is Ownable {
         emit RewardParametersChanged(_baseRewardAmount, _reputationMultiplier);
     }
     
+    /**
+     * @dev Claim a node's accrued rewards
+     * The rewards are transferred to the node's payout address.
+     * @param nodeId The ID of the node
+     * @return amount The amount of rewards claimed
+     */
+    function claimRewards(uint256 nodeId) external returns (uint256) {
+        address recipient = getPayoutAddress(nodeId);
+        require(
+            msg.sender == _getNodeOwner(nodeId) || msg.sender == recipient,
+            "RewardDistribution: Not the node owner or payout address"
+        );
+        
+        uint256 amount = claimableRewards[nodeId];
+        require(amount > 0, "RewardDistribution: No rewards to claim");
+        
+        claimableRewards[nodeId] = 0;
+        claimedRewards[nodeId] += amount;
+        
+        IERC20(address(uptimeToken)).safeTransfer(recipient, amount);
+        
+        emit NodeRewardPaid(nodeId, recipient, amount);
+        
+        return amount;
+    }
+    
+    /**
+     * @dev Set the reward epoch parameters
+     * @param _epochDuration Length of a reward epoch (in seconds)
+     * @param _maxRewardPerEpoch Maximum reward a node can accrue in one epoch
+     */
+    function setEpochParameters(
+        uint256 _epochDuration,
+        uint256 _maxRewardPerEpoch
+    ) external onlyOwner {
+        require(_epochDuration > 0, "RewardDistribution: Epoch duration must be > 0");
+        
+        epochDuration = _epochDuration;
+        maxRewardPerEpoch = _maxRewardPerEpoch;
+        
+        emit EpochParametersChanged(_epochDuration, _maxRewardPerEpoch);
+    }
+    
+    /**
+     * @dev Get the current reward epoch
+     * @return epoch The index of the current epoch
+     */
+    function currentEpoch() public view returns (uint256) {
+        return block.timestamp / epochDuration;
+    }
+    
+    /**
+     * @dev Set the address a node's rewards are paid to
+     * @param nodeId The ID of the node
+     * @param payoutAddress The payout address, or the zero address to pay the node owner
+     */
+    function setPayoutAddress(uint256 nodeId, address payoutAddress) external {
+        require(_getNodeOwner(nodeId) == msg.sender, "RewardDistribution: Not the node owner");
+        
+        payoutAddresses[nodeId] = payoutAddress;
+        
+        emit PayoutAddressChanged(nodeId, payoutAddress);
+    }
+    
+    /**
+     * @dev Get the address a node's rewards are paid to
+     * @param nodeId The ID of the node
+     * @return recipient The payout address if set, otherwise the node owner
+     */
+    function getPayoutAddress(uint256 nodeId) public view returns (address) {
+        address payoutAddress = payoutAddresses[nodeId];
+        
+        if (payoutAddress != address(0)) {
+            return payoutAddress;
+        }
+        
+        return _getNodeOwner(nodeId);
+    }
+    
+    /**
+     * @dev Get the owner of a node from the NodeRegistry
+     * @param nodeId The ID of the node
+     * @return owner The address of the node owner
+     */
+    function _getNodeOwner(uint256 nodeId) internal view returns (address) {
+        (, , address nodeOwner, , , , ) = nodeRegistry.getNodeDetails(nodeId);
+        return nodeOwner;
+    }
+    
+    /**
+     * @dev Get the reward balances of a node
+     * @param nodeId The ID of the node
+     * @return total Total rewards accrued by the node
+     * @return claimable Accrued rewards that have not been claimed yet
+     * @return claimed Rewards that have been claimed
+     */
+    function getNodeRewards(uint256 nodeId) external view returns (
+        uint256 total,
+        uint256 claimable,
+        uint256 claimed
+    ) {
+        return (
+            totalRewardsByNode[nodeId],
+            claimableRewards[nodeId],
+            claimedRewards[nodeId]
+        );
+    }
+    
     /**
      * @dev Get the total rewards distributed to a node
      * @param nodeId The ID of the node
@@ -2,6 +2,9 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./NodeRegistry.sol";
+import "./ConsensusEngine.sol";
 
 /**
  * @title StatusReport
@@ -16,6 +19,9 @@ contract StatusReport is Ownable {
         Degraded    // 3: Website is responding but with issues
     }
     
+    // Largest response time a report may carry (one day, in milliseconds)
+    uint256 public constant MAX_RESPONSE_TIME = 86_400_000;
+    
     // Structure to store a single status report
     struct Report {
         uint256 websiteId;
@@ -26,9 +32,27 @@ contract StatusReport is Ownable {
         string statusMessage;
     }
     
+    // Structure to store a Merkle-root commitment to a batch of detailed check results kept off-chain
+    struct ReportBatch {
+        uint256 nodeId;
+        bytes32 merkleRoot;
+        uint256 firstReportId;
+        uint256 reportCount;
+        uint256 timestamp;
+    }
+    
+    // Reference to the NodeRegistry contract used to authenticate submitters
+    NodeRegistry public nodeRegistryContract;
+    
+    // Reference to the ConsensusEngine contract that runs commit-reveal rounds
+    ConsensusEngine public consensusEngineContract;
+    
     // Array of all reports
     Report[] public reports;
     
+    // Array of all committed report batches
+    ReportBatch[] public reportBatches;
+    
     // Mapping from website ID to last report ID
     mapping(uint256 => uint256) public lastReportByWebsite;
     
@@ -48,13 +72,50 @@ contract StatusReport is Ownable {
         uint256 timestamp
     );
     
+    event ReportCommitted(
+        uint256 indexed websiteId,
+        uint256 indexed nodeId,
+        uint256 indexed round,
+        bytes32 commitment
+    );
+    
+    event ReportCommitRejected(uint256 indexed websiteId, uint256 indexed nodeId);
+    
+    event ConsensusEngineContractChanged(address oldAddress, address newAddress);
+    
+    event ConsensusRecordFailed(uint256 indexed reportId);
+    
+    event ReportBatchCommitted(
+        uint256 indexed batchId,
+        uint256 indexed nodeId,
+        bytes32 merkleRoot,
+        uint256 firstReportId,
+        uint256 reportCount
+    );
+    
     /**
      * @dev Initialize the contract
+     * @param _nodeRegistryAddress Address of the NodeRegistry contract
      */
-    constructor() Ownable(msg.sender) {}
+    constructor(address _nodeRegistryAddress) Ownable(msg.sender) {
+        require(_nodeRegistryAddress != address(0), "StatusReport: Invalid node registry address");
+        nodeRegistryContract = NodeRegistry(_nodeRegistryAddress);
+    }
+    
+    /**
+     * @dev Require that the caller is the owner or a delegate of an active node
+     * @param nodeId The ID of the node the caller reports for
+     */
+    modifier onlyNodeOperator(uint256 nodeId) {
+        require(nodeRegistryContract.isNodeOperator(nodeId, msg.sender), "StatusReport: Not the node owner or delegate");
+        require(nodeRegistryContract.isNodeActive(nodeId), "StatusReport: Node is not active");
+        _;
+    }
     
     /**
      * @dev Submit a new status report for a website
+     * The caller must be the owner or an authorized delegate of the node, and the node must be active.
+     * If a ConsensusEngine is set, the report is added to its website's consensus round right away.
      * @param websiteId The ID of the website being reported
      * @param nodeId The ID of the node submitting the report
      * @param status The status code of the website
@@ -68,9 +129,234 @@ contract StatusReport is Ownable {
         Status status,
         uint256 responseTime,
         string calldata statusMessage
-    ) external returns (uint256) {
-        // In a production environment, verify that the caller is authorized
-        // to submit reports for this node
+    ) external onlyNodeOperator(nodeId) returns (uint256) {
+        uint256 reportId = _submitReport(websiteId, nodeId, status, responseTime, statusMessage);
+        _recordForConsensus(reportId);
+        
+        return reportId;
+    }
+    
+    /**
+     * @dev Submit status reports for several websites in one transaction
+     * A ReportSubmitted event is emitted for every report.
+     * @param websiteIds The IDs of the websites being reported
+     * @param nodeId The ID of the node submitting the reports
+     * @param statuses The status code of each website
+     * @param responseTimes The response time of each website in milliseconds
+     * @param statusMessages Additional message about each status
+     * @return reportIds The IDs of the submitted reports, in input order
+     */
+    function submitReports(
+        uint256[] calldata websiteIds,
+        uint256 nodeId,
+        Status[] calldata statuses,
+        uint256[] calldata responseTimes,
+        string[] calldata statusMessages
+    ) external onlyNodeOperator(nodeId) returns (uint256[] memory reportIds) {
+        uint256 count = websiteIds.length;
+        require(count > 0, "StatusReport: Empty batch");
+        require(
+            statuses.length == count && responseTimes.length == count && statusMessages.length == count,
+            "StatusReport: Array length mismatch"
+        );
+        
+        reportIds = new uint256[](count);
+        
+        for (uint256 i = 0; i < count; i++) {
+            reportIds[i] = _submitReport(websiteIds[i], nodeId, statuses[i], responseTimes[i], statusMessages[i]);
+            _recordForConsensus(reportIds[i]);
+        }
+        
+        return reportIds;
+    }
+    
+    /**
+     * @dev Commit to a status report without revealing it
+     * Used while commit-reveal is enabled in the ConsensusEngine, so that nodes cannot copy each other's
+     * reports. The report is revealed with revealReport once the round's commit phase is over.
+     * @param websiteId The ID of the website being reported
+     * @param nodeId The ID of the node committing the report
+     * @param commitment ConsensusEngine.computeCommitment(websiteId, nodeId, status, responseTime, salt)
+     * @return round The consensus round the commitment was recorded in
+     */
+    function commitReport(
+        uint256 websiteId,
+        uint256 nodeId,
+        bytes32 commitment
+    ) external onlyNodeOperator(nodeId) returns (uint256) {
+        return _commitReport(websiteId, nodeId, commitment);
+    }
+    
+    /**
+     * @dev Commit to status reports for several websites in one transaction
+     * A commitment its website's round rejects, because the round is past its commit phase, already has
+     * the node's commitment or is full, is skipped with ReportCommitRejected instead of reverting the batch.
+     * @param websiteIds The IDs of the websites being reported
+     * @param nodeId The ID of the node committing the reports
+     * @param commitments The commitment to each report
+     * @return rounds The consensus round each commitment was recorded in, or 0 if it was rejected, in input order
+     */
+    function commitReports(
+        uint256[] calldata websiteIds,
+        uint256 nodeId,
+        bytes32[] calldata commitments
+    ) external onlyNodeOperator(nodeId) returns (uint256[] memory rounds) {
+        uint256 count = websiteIds.length;
+        require(count > 0, "StatusReport: Empty batch");
+        require(commitments.length == count, "StatusReport: Array length mismatch");
+        
+        require(address(consensusEngineContract) != address(0), "StatusReport: Consensus engine not set");
+        
+        rounds = new uint256[](count);
+        
+        for (uint256 i = 0; i < count; i++) {
+            rounds[i] = consensusEngineContract.tryRecordCommit(websiteIds[i], nodeId, commitments[i]);
+            
+            if (rounds[i] == 0) {
+                emit ReportCommitRejected(websiteIds[i], nodeId);
+            } else {
+                emit ReportCommitted(websiteIds[i], nodeId, rounds[i], commitments[i]);
+            }
+        }
+        
+        return rounds;
+    }
+    
+    /**
+     * @dev Reveal a committed status report
+     * The report is stored like a submitted one and added to its consensus round.
+     * @param websiteId The ID of the website being reported
+     * @param nodeId The ID of the node revealing the report
+     * @param status The status code of the website
+     * @param responseTime The response time in milliseconds
+     * @param statusMessage Additional message about the status
+     * @param salt The salt the report was committed with
+     * @return reportId The ID of the revealed report
+     */
+    function revealReport(
+        uint256 websiteId,
+        uint256 nodeId,
+        Status status,
+        uint256 responseTime,
+        string calldata statusMessage,
+        bytes32 salt
+    ) external onlyNodeOperator(nodeId) returns (uint256) {
+        return _revealReport(websiteId, nodeId, status, responseTime, statusMessage, salt);
+    }
+    
+    /**
+     * @dev Reveal committed status reports for several websites in one transaction
+     * @param websiteIds The IDs of the websites being reported
+     * @param nodeId The ID of the node revealing the reports
+     * @param statuses The status code of each website
+     * @param responseTimes The response time of each website in milliseconds
+     * @param statusMessages Additional message about each status
+     * @param salts The salt each report was committed with
+     * @return reportIds The IDs of the revealed reports, in input order
+     */
+    function revealReports(
+        uint256[] calldata websiteIds,
+        uint256 nodeId,
+        Status[] calldata statuses,
+        uint256[] calldata responseTimes,
+        string[] calldata statusMessages,
+        bytes32[] calldata salts
+    ) external onlyNodeOperator(nodeId) returns (uint256[] memory reportIds) {
+        uint256 count = websiteIds.length;
+        require(count > 0, "StatusReport: Empty batch");
+        require(
+            statuses.length == count && responseTimes.length == count &&
+            statusMessages.length == count && salts.length == count,
+            "StatusReport: Array length mismatch"
+        );
+        
+        reportIds = new uint256[](count);
+        
+        for (uint256 i = 0; i < count; i++) {
+            reportIds[i] = _revealReport(websiteIds[i], nodeId, statuses[i], responseTimes[i], statusMessages[i], salts[i]);
+        }
+        
+        return reportIds;
+    }
+    
+    /**
+     * @dev Set the ConsensusEngine contract that runs commit-reveal rounds
+     * @param _consensusEngineContract The address of the ConsensusEngine contract
+     */
+    function setConsensusEngineContract(address _consensusEngineContract) external onlyOwner {
+        require(_consensusEngineContract != address(0), "StatusReport: Invalid consensus engine address");
+        
+        address oldAddress = address(consensusEngineContract);
+        consensusEngineContract = ConsensusEngine(_consensusEngineContract);
+        
+        emit ConsensusEngineContractChanged(oldAddress, _consensusEngineContract);
+    }
+    
+    /**
+     * @dev Submit status reports for several websites, committing to their details with a Merkle root
+     * Only the status and response time are stored on-chain (enough for consensus); the detailed
+     * results stay off-chain with the node and can be verified against the root with verifyReport.
+     * Each leaf is keccak256(bytes.concat(keccak256(abi.encode(websiteId, status, responseTime, detailsHash)))).
+     * @param websiteIds The IDs of the websites being reported
+     * @param nodeId The ID of the node submitting the reports
+     * @param statuses The status code of each website
+     * @param responseTimes The response time of each website in milliseconds
+     * @param merkleRoot The root of the Merkle tree over the batch's leaves
+     * @return batchId The ID of the committed batch
+     */
+    function submitReportBatchRoot(
+        uint256[] calldata websiteIds,
+        uint256 nodeId,
+        Status[] calldata statuses,
+        uint256[] calldata responseTimes,
+        bytes32 merkleRoot
+    ) external onlyNodeOperator(nodeId) returns (uint256 batchId) {
+        uint256 count = websiteIds.length;
+        require(count > 0, "StatusReport: Empty batch");
+        require(
+            statuses.length == count && responseTimes.length == count,
+            "StatusReport: Array length mismatch"
+        );
+        require(merkleRoot != bytes32(0), "StatusReport: Invalid Merkle root");
+        
+        batchId = reportBatches.length;
+        uint256 firstReportId = reports.length;
+        
+        for (uint256 i = 0; i < count; i++) {
+            _recordForConsensus(_submitReport(websiteIds[i], nodeId, statuses[i], responseTimes[i], ""));
+        }
+        
+        reportBatches.push(ReportBatch({
+            nodeId: nodeId,
+            merkleRoot: merkleRoot,
+            firstReportId: firstReportId,
+            reportCount: count,
+            timestamp: block.timestamp
+        }));
+        
+        emit ReportBatchCommitted(batchId, nodeId, merkleRoot, firstReportId, count);
+        
+        return batchId;
+    }
+    
+    /**
+     * @dev Store a status report and index it by website and node
+     * The response time must not exceed MAX_RESPONSE_TIME.
+     * @param websiteId The ID of the website being reported
+     * @param nodeId The ID of the node submitting the report
+     * @param status The status code of the website
+     * @param responseTime The response time in milliseconds
+     * @param statusMessage Additional message about the status
+     * @return reportId The ID of the submitted report
+     */
+    function _submitReport(
+        uint256 websiteId,
+        uint256 nodeId,
+        Status status,
+        uint256 responseTime,
+        string memory statusMessage
+    ) internal returns (uint256) {
+        require(responseTime <= MAX_RESPONSE_TIME, "StatusReport: Response time too large");
         
         uint256 reportId = reports.length;
         
@@ -87,6 +373,8 @@ contract StatusReport is Ownable {
         reportsByNode[nodeId].push(reportId);
         reportsByWebsite[websiteId].push(reportId);
         
+        nodeRegistryContract.recordReport(nodeId);
+        
         emit ReportSubmitted(
             reportId,
             websiteId,
@@ -99,6 +387,72 @@ contract StatusReport is Ownable {
         return reportId;
     }
     
+    /**
+     * @dev Add a submitted report to its consensus round, if a ConsensusEngine is set
+     * A failure in the engine (e.g. while closing the round) does not revert the submission: the report
+     * stays stored and can still be added with ConsensusEngine.processReport. Running out of gas does,
+     * so that the submitter's gas limit cannot decide whether the report joins consensus.
+     * @param reportId The ID of the report
+     */
+    function _recordForConsensus(uint256 reportId) internal {
+        if (address(consensusEngineContract) != address(0)) {
+            uint256 gasBefore = gasleft();
+            
+            try consensusEngineContract.recordReport(reportId) {
+            } catch {
+                // A call is forwarded at most 63/64 of the gas left, so a call that runs out of gas hands back
+                // at most 1/64 of its caller's gas. The engine's calls nest a few levels deep (engine, reputation,
+                // registry, token), so a failure that leaves no more than 1/16 of the gas may have been starved;
+                // one that leaves more failed for another reason, with or without revert data.
+                require(gasleft() > gasBefore / 16, "StatusReport: Not enough gas to record for consensus");
+                emit ConsensusRecordFailed(reportId);
+            }
+        }
+    }
+    
+    /**
+     * @dev Record a commitment to a status report in the ConsensusEngine
+     * @param websiteId The ID of the website being reported
+     * @param nodeId The ID of the node committing the report
+     * @param commitment The commitment to the report
+     * @return round The consensus round the commitment was recorded in
+     */
+    function _commitReport(uint256 websiteId, uint256 nodeId, bytes32 commitment) internal returns (uint256) {
+        require(address(consensusEngineContract) != address(0), "StatusReport: Consensus engine not set");
+        
+        uint256 round = consensusEngineContract.recordCommit(websiteId, nodeId, commitment);
+        
+        emit ReportCommitted(websiteId, nodeId, round, commitment);
+        
+        return round;
+    }
+    
+    /**
+     * @dev Store a revealed status report and add it to its consensus round
+     * @param websiteId The ID of the website being reported
+     * @param nodeId The ID of the node revealing the report
+     * @param status The status code of the website
+     * @param responseTime The response time in milliseconds
+     * @param statusMessage Additional message about the status
+     * @param salt The salt the report was committed with
+     * @return reportId The ID of the revealed report
+     */
+    function _revealReport(
+        uint256 websiteId,
+        uint256 nodeId,
+        Status status,
+        uint256 responseTime,
+        string memory statusMessage,
+        bytes32 salt
+    ) internal returns (uint256) {
+        require(address(consensusEngineContract) != address(0), "StatusReport: Consensus engine not set");
+        
+        uint256 reportId = _submitReport(websiteId, nodeId, status, responseTime, statusMessage);
+        consensusEngineContract.recordReveal(reportId, salt);
+        
+        return reportId;
+    }
+    
     /**
      * @dev Get the latest status report for a website
      * @param websiteId The ID of the website
@@ -178,6 +532,34 @@ contract StatusReport is Ownable {
         );
     }
     
+    /**
+     * @dev Get the vote of a report, without copying its status message
+     * @param reportId The ID of the report
+     * @return websiteId The ID of the website
+     * @return nodeId The ID of the node
+     * @return status The status of the website
+     * @return responseTime The response time in milliseconds
+     * @return timestamp The timestamp of the report
+     */
+    function getReportVote(uint256 reportId) external view returns (
+        uint256 websiteId,
+        uint256 nodeId,
+        Status status,
+        uint256 responseTime,
+        uint256 timestamp
+    ) {
+        require(reportId < reports.length, "StatusReport: Invalid report ID");
+        Report storage report = reports[reportId];
+        
+        return (
+            report.websiteId,
+            report.nodeId,
+            report.status,
+            report.responseTime,
+            report.timestamp
+        );
+    }
+    
     /**
      * @dev Get recent reports for a website (up to a specified count)
      * @param websiteId The ID of the website
@@ -205,4 +587,72 @@ contract StatusReport is Ownable {
         
         return result;
     }
+    
+    /**
+     * @dev Get the details of a committed report batch
+     * @param batchId The ID of the batch
+     * @return nodeId The ID of the node that committed the batch
+     * @return merkleRoot The Merkle root of the batch
+     * @return firstReportId The ID of the first report in the batch
+     * @return reportCount The number of reports in the batch
+     * @return timestamp The timestamp of the commitment
+     */
+    function getReportBatch(uint256 batchId) external view returns (
+        uint256 nodeId,
+        bytes32 merkleRoot,
+        uint256 firstReportId,
+        uint256 reportCount,
+        uint256 timestamp
+    ) {
+        require(batchId < reportBatches.length, "StatusReport: Invalid batch ID");
+        ReportBatch storage batch = reportBatches[batchId];
+        
+        return (
+            batch.nodeId,
+            batch.merkleRoot,
+            batch.firstReportId,
+            batch.reportCount,
+            batch.timestamp
+        );
+    }
+    
+    /**
+     * @dev Get the number of committed report batches
+     * @return count The number of batches
+     */
+    function getReportBatchCount() external view returns (uint256) {
+        return reportBatches.length;
+    }
+    
+    /**
+     * @dev Verify a detailed check result kept off-chain against its batch's Merkle root
+     * @param batchId The ID of the batch containing the report
+     * @param reportId The ID of the report
+     * @param detailsHash The keccak256 hash of the detailed check result
+     * @param proof The Merkle proof for the report's leaf
+     * @return valid Whether the result belongs to the batch and matches the on-chain report
+     */
+    function verifyReport(
+        uint256 batchId,
+        uint256 reportId,
+        bytes32 detailsHash,
+        bytes32[] calldata proof
+    ) external view returns (bool) {
+        require(batchId < reportBatches.length, "StatusReport: Invalid batch ID");
+        ReportBatch storage batch = reportBatches[batchId];
+        
+        if (reportId < batch.firstReportId || reportId >= batch.firstReportId + batch.reportCount) {
+            return false;
+        }
+        
+        Report storage report = reports[reportId];
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(
+            report.websiteId,
+            report.status,
+            report.responseTime,
+            detailsHash
+        ))));
+        
+        return MerkleProof.verifyCalldata(proof, batch.merkleRoot, leaf);
+    }
 } 
\ No newline at end of file
@@ -2,12 +2,17 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
  * @title WebsiteRegistry
  * @dev Contract for registering and managing websites to be monitored
+ * Website owners prepay monitoring in UPT into a per-website escrow, which pays node rewards.
  */
 contract WebsiteRegistry is Ownable {
+    using SafeERC20 for IERC20;
+    
     // Structure to store website information
     struct Website {
         string url;
@@ -27,15 +32,82 @@ contract WebsiteRegistry is Ownable {
     // Total number of registered websites
     uint256 public websiteCount;
     
+    // Mapping from website ID to JSON-encoded check configuration read by validator nodes
+    mapping(uint256 => string) public checkConfigs;
+    
+    // Mapping from website ID to check frequency in minutes (0 means the default)
+    mapping(uint256 => uint256) public checkFrequencies;
+    
+    // Check frequency bounds in minutes
+    uint256 public constant DEFAULT_CHECK_FREQUENCY = 5;
+    uint256 public constant MIN_CHECK_FREQUENCY = 1;
+    uint256 public constant MAX_CHECK_FREQUENCY = 1440;
+    
+    // Number of regions a website is checked from
+    uint256 public constant DEFAULT_REGION_COUNT = 1;
+    uint256 public constant MAX_REGION_COUNT = 10;
+    
+    // Token that monitoring is paid in
+    IERC20 public paymentToken;
+    
+    // Price of one check from one region (in token units)
+    uint256 public pricePerCheck;
+    
+    // Mapping from website ID to prepaid token balance
+    mapping(uint256 => uint256) public escrowBalances;
+    
+    // Mapping from website ID to region count (0 means the default)
+    mapping(uint256 => uint256) public regionCounts;
+    
+    // Mapping from website ID to the time its escrow was last charged (0 if never)
+    mapping(uint256 => uint256) public lastEscrowChargeTimes;
+    
+    // Mapping from website ID to whether the website is activated by its first sufficient top-up
+    mapping(uint256 => bool) public pendingActivation;
+    
+    // Address of the RewardDistribution contract allowed to charge escrows
+    address public rewardDistributionContract;
+    
+    // Whether new websites stay inactive until their escrow can pay for a check (off: active on registration)
+    bool public activateOnFunding;
+    
     // Events
     event WebsiteRegistered(uint256 indexed websiteId, string url, address indexed owner);
     event WebsiteUpdated(uint256 indexed websiteId, string url, bool active);
     event WebsiteStatusChanged(uint256 indexed websiteId, bool active);
+    event CheckConfigUpdated(uint256 indexed websiteId);
+    event CheckFrequencyUpdated(uint256 indexed websiteId, uint256 checkFrequency);
+    event RegionCountUpdated(uint256 indexed websiteId, uint256 regionCount);
+    event EscrowToppedUp(uint256 indexed websiteId, address indexed funder, uint256 amount, uint256 balance);
+    event EscrowWithdrawn(uint256 indexed websiteId, uint256 amount, uint256 balance);
+    event EscrowCharged(uint256 indexed websiteId, uint256 amount, uint256 balance);
+    event EscrowDepleted(uint256 indexed websiteId);
+    event PricePerCheckChanged(uint256 oldPrice, uint256 newPrice);
+    event RewardDistributionContractChanged(address indexed oldAddress, address indexed newAddress);
+    event ActivateOnFundingChanged(bool oldValue, bool newValue);
+    
+    /**
+     * @dev Only the RewardDistribution contract can call functions with this modifier
+     */
+    modifier onlyRewardDistribution() {
+        require(
+            msg.sender == rewardDistributionContract,
+            "WebsiteRegistry: Caller is not the RewardDistribution contract"
+        );
+        _;
+    }
     
     /**
      * @dev Initialize the contract
+     * @param _paymentTokenAddress Address of the UptimeToken contract monitoring is paid in
+     * @param _pricePerCheck Price of one check from one region
      */
-    constructor() Ownable(msg.sender) {}
+    constructor(address _paymentTokenAddress, uint256 _pricePerCheck) Ownable(msg.sender) {
+        require(_paymentTokenAddress != address(0), "WebsiteRegistry: Invalid token address");
+        
+        paymentToken = IERC20(_paymentTokenAddress);
+        pricePerCheck = _pricePerCheck;
+    }
     
     /**
      * @dev Register a new website for monitoring
@@ -44,6 +116,45 @@ contract WebsiteRegistry is Ownable {
      * @return websiteId The ID of the registered website
      */
     function registerWebsite(string calldata url, string calldata name) external returns (uint256) {
+        return _registerWebsite(url, name);
+    }
+    
+    /**
+     * @dev Register a new website together with its check configuration
+     * @param url The URL of the website to monitor
+     * @param name The name of the website
+     * @param config The JSON-encoded check configuration (secrets must be encrypted by the caller)
+     * @param checkFrequency The check frequency in minutes (0 for the default)
+     * @return websiteId The ID of the registered website
+     */
+    function registerWebsiteWithConfig(
+        string calldata url,
+        string calldata name,
+        string calldata config,
+        uint256 checkFrequency
+    ) external returns (uint256) {
+        uint256 websiteId = _registerWebsite(url, name);
+        
+        if (bytes(config).length > 0) {
+            checkConfigs[websiteId] = config;
+            emit CheckConfigUpdated(websiteId);
+        }
+        
+        if (checkFrequency > 0) {
+            _setCheckFrequency(websiteId, checkFrequency);
+        }
+        
+        return websiteId;
+    }
+    
+    /**
+     * @dev Store a new website and assign it the next ID
+     * The website starts active, or with activateOnFunding, inactive until its escrow can pay for a check.
+     * @param url The URL of the website to monitor
+     * @param name The name of the website
+     * @return websiteId The ID of the registered website
+     */
+    function _registerWebsite(string calldata url, string calldata name) internal returns (uint256) {
         require(bytes(url).length > 0, "WebsiteRegistry: URL cannot be empty");
         require(bytes(name).length > 0, "WebsiteRegistry: Name cannot be empty");
         
@@ -53,11 +164,14 @@ contract WebsiteRegistry is Ownable {
             url: url,
             name: name,
             owner: msg.sender,
-            active: true,
+            active: !activateOnFunding,
             registrationTime: block.timestamp,
             lastCheckTime: 0
         });
         
+        if (activateOnFunding) {
+            pendingActivation[websiteId] = true;
+        }
         websitesByOwner[msg.sender].push(websiteId);
         websiteCount++;
         
@@ -84,6 +198,13 @@ contract WebsiteRegistry is Ownable {
         
         require(website.owner == msg.sender, "WebsiteRegistry: Not the website owner");
         
+        if (active && !website.active) {
+            _requireFunded(websiteId);
+        }
+        
+        // An explicit status overrides activation on the first top-up
+        pendingActivation[websiteId] = false;
+        
         if (bytes(url).length > 0) {
             website.url = url;
         }
@@ -108,11 +229,212 @@ contract WebsiteRegistry is Ownable {
         
         require(website.owner == msg.sender, "WebsiteRegistry: Not the website owner");
         
+        if (active && !website.active) {
+            _requireFunded(websiteId);
+        }
+        
+        // An explicit status overrides activation on the first top-up
+        pendingActivation[websiteId] = false;
         website.active = active;
         
         emit WebsiteStatusChanged(websiteId, active);
     }
     
+    /**
+     * @dev Add tokens to a website's escrow
+     * Anyone can fund a website; the caller must have approved this contract to transfer the amount.
+     * With activateOnFunding, a newly registered website is activated by the first top-up that lets its
+     * escrow pay for a check.
+     * @param websiteId The ID of the website
+     * @param amount The amount of tokens to add
+     */
+    function topUpEscrow(uint256 websiteId, uint256 amount) external {
+        require(websiteId < websiteCount, "WebsiteRegistry: Invalid website ID");
+        require(amount > 0, "WebsiteRegistry: Amount must be > 0");
+        
+        paymentToken.safeTransferFrom(msg.sender, address(this), amount);
+        escrowBalances[websiteId] += amount;
+        
+        emit EscrowToppedUp(websiteId, msg.sender, amount, escrowBalances[websiteId]);
+        
+        if (pendingActivation[websiteId] && escrowBalances[websiteId] >= getCheckPrice(websiteId)) {
+            pendingActivation[websiteId] = false;
+            websites[websiteId].active = true;
+            
+            emit WebsiteStatusChanged(websiteId, true);
+        }
+    }
+    
+    /**
+     * @dev Withdraw unused tokens from a website's escrow
+     * The website is deactivated if the remaining balance cannot pay for a check.
+     * @param websiteId The ID of the website
+     * @param amount The amount of tokens to withdraw
+     */
+    function withdrawEscrow(uint256 websiteId, uint256 amount) external {
+        require(websiteId < websiteCount, "WebsiteRegistry: Invalid website ID");
+        require(websites[websiteId].owner == msg.sender, "WebsiteRegistry: Not the website owner");
+        require(amount > 0 && amount <= escrowBalances[websiteId], "WebsiteRegistry: Invalid amount");
+        
+        escrowBalances[websiteId] -= amount;
+        paymentToken.safeTransfer(msg.sender, amount);
+        
+        emit EscrowWithdrawn(websiteId, amount, escrowBalances[websiteId]);
+        
+        _deactivateIfDepleted(websiteId);
+    }
+    
+    /**
+     * @dev Charge a website's escrow to pay node rewards
+     * A website pays for at most one check per check frequency interval: nothing is charged before
+     * getNextChargeTime. Charges at most the remaining balance, and deactivates the website once the
+     * balance can no longer pay for a check.
+     * @param websiteId The ID of the website
+     * @param amount The amount of tokens to charge
+     * @return charged The amount actually charged and transferred to the caller
+     */
+    function chargeEscrow(uint256 websiteId, uint256 amount) external onlyRewardDistribution returns (uint256) {
+        require(websiteId < websiteCount, "WebsiteRegistry: Invalid website ID");
+        
+        if (block.timestamp < getNextChargeTime(websiteId)) {
+            return 0;
+        }
+        
+        uint256 balance = escrowBalances[websiteId];
+        uint256 charged = amount < balance ? amount : balance;
+        
+        if (charged > 0) {
+            lastEscrowChargeTimes[websiteId] = block.timestamp;
+            escrowBalances[websiteId] = balance - charged;
+            paymentToken.safeTransfer(msg.sender, charged);
+            
+            emit EscrowCharged(websiteId, charged, balance - charged);
+        }
+        
+        _deactivateIfDepleted(websiteId);
+        
+        return charged;
+    }
+    
+    /**
+     * @dev Set the number of regions a website is checked from
+     * @param websiteId The ID of the website
+     * @param regionCount The number of regions
+     */
+    function setRegionCount(uint256 websiteId, uint256 regionCount) external {
+        require(websiteId < websiteCount, "WebsiteRegistry: Invalid website ID");
+        require(websites[websiteId].owner == msg.sender, "WebsiteRegistry: Not the website owner");
+        require(
+            regionCount >= 1 && regionCount <= MAX_REGION_COUNT,
+            "WebsiteRegistry: Invalid region count"
+        );
+        
+        regionCounts[websiteId] = regionCount;
+        
+        emit RegionCountUpdated(websiteId, regionCount);
+    }
+    
+    /**
+     * @dev Set the price of one check from one region
+     * @param _pricePerCheck The new price
+     */
+    function setPricePerCheck(uint256 _pricePerCheck) external onlyOwner {
+        uint256 oldPrice = pricePerCheck;
+        pricePerCheck = _pricePerCheck;
+        
+        emit PricePerCheckChanged(oldPrice, _pricePerCheck);
+    }
+    
+    /**
+     * @dev Set whether new websites stay inactive until their escrow can pay for a check
+     * Websites registered before the change keep their status.
+     * @param _activateOnFunding Whether new websites are activated by their first sufficient top-up
+     */
+    function setActivateOnFunding(bool _activateOnFunding) external onlyOwner {
+        bool oldValue = activateOnFunding;
+        activateOnFunding = _activateOnFunding;
+        
+        emit ActivateOnFundingChanged(oldValue, _activateOnFunding);
+    }
+    
+    /**
+     * @dev Set the RewardDistribution contract allowed to charge escrows
+     * @param _rewardDistributionContract The address of the RewardDistribution contract
+     */
+    function setRewardDistributionContract(address _rewardDistributionContract) external onlyOwner {
+        require(_rewardDistributionContract != address(0), "WebsiteRegistry: Invalid reward distribution address");
+        
+        address oldAddress = rewardDistributionContract;
+        rewardDistributionContract = _rewardDistributionContract;
+        
+        emit RewardDistributionContractChanged(oldAddress, _rewardDistributionContract);
+    }
+    
+    /**
+     * @dev Require a website's escrow to pay for at least one check
+     * @param websiteId The ID of the website
+     */
+    function _requireFunded(uint256 websiteId) internal view {
+        require(escrowBalances[websiteId] >= getCheckPrice(websiteId), "WebsiteRegistry: Insufficient escrow");
+    }
+    
+    /**
+     * @dev Deactivate a website whose escrow can no longer pay for a check
+     * @param websiteId The ID of the website
+     */
+    function _deactivateIfDepleted(uint256 websiteId) internal {
+        Website storage website = websites[websiteId];
+        
+        if (website.active && escrowBalances[websiteId] < getCheckPrice(websiteId)) {
+            website.active = false;
+            
+            emit EscrowDepleted(websiteId);
+            emit WebsiteStatusChanged(websiteId, false);
+        }
+    }
+    
+    /**
+     * @dev Set the check configuration of a website (e.g. content assertions)
+     * @param websiteId The ID of the website
+     * @param config The JSON-encoded check configuration
+     */
+    function setCheckConfig(uint256 websiteId, string calldata config) external {
+        require(websiteId < websiteCount, "WebsiteRegistry: Invalid website ID");
+        require(websites[websiteId].owner == msg.sender, "WebsiteRegistry: Not the website owner");
+        
+        checkConfigs[websiteId] = config;
+        
+        emit CheckConfigUpdated(websiteId);
+    }
+    
+    /**
+     * @dev Set how often validator nodes should check a website
+     * @param websiteId The ID of the website
+     * @param checkFrequency The check frequency in minutes
+     */
+    function setCheckFrequency(uint256 websiteId, uint256 checkFrequency) external {
+        require(websiteId < websiteCount, "WebsiteRegistry: Invalid website ID");
+        require(websites[websiteId].owner == msg.sender, "WebsiteRegistry: Not the website owner");
+        
+        _setCheckFrequency(websiteId, checkFrequency);
+    }
+    
+    /**
+     * @dev Validate and store the check frequency of a website
+     * @param websiteId The ID of the website
+     * @param checkFrequency The check frequency in minutes
+     */
+    function _setCheckFrequency(uint256 websiteId, uint256 checkFrequency) internal {
+        require(
+            checkFrequency >= MIN_CHECK_FREQUENCY && checkFrequency <= MAX_CHECK_FREQUENCY,
+            "WebsiteRegistry: Invalid check frequency"
+        );
+        
+        checkFrequencies[websiteId] = checkFrequency;
+        
+        emit CheckFrequencyUpdated(websiteId, checkFrequency);
+    }
+    
     /**
      * @dev Update the last check time of a website
      * @param websiteId The ID of the website
@@ -161,4 +483,76 @@ contract WebsiteRegistry is Ownable {
             website.lastCheckTime
         );
     }
+    
+    /**
+     * @dev Get the check configuration of a website
+     * @param websiteId The ID of the website
+     * @return config The JSON-encoded check configuration (empty if not set)
+     */
+    function getCheckConfig(uint256 websiteId) external view returns (string memory) {
+        require(websiteId < websiteCount, "WebsiteRegistry: Invalid website ID");
+        return checkConfigs[websiteId];
+    }
+    
+    /**
+     * @dev Get the check frequency of a website
+     * @param websiteId The ID of the website
+     * @return checkFrequency The check frequency in minutes (the default if not set)
+     */
+    function getCheckFrequency(uint256 websiteId) public view returns (uint256) {
+        require(websiteId < websiteCount, "WebsiteRegistry: Invalid website ID");
+        uint256 checkFrequency = checkFrequencies[websiteId];
+        return checkFrequency > 0 ? checkFrequency : DEFAULT_CHECK_FREQUENCY;
+    }
+    
+    /**
+     * @dev Get the number of regions a website is checked from
+     * @param websiteId The ID of the website
+     * @return regionCount The number of regions (the default if not set)
+     */
+    function getRegionCount(uint256 websiteId) public view returns (uint256) {
+        require(websiteId < websiteCount, "WebsiteRegistry: Invalid website ID");
+        uint256 regionCount = regionCounts[websiteId];
+        return regionCount > 0 ? regionCount : DEFAULT_REGION_COUNT;
+    }
+    
+    /**
+     * @dev Get the earliest time a website's escrow can be charged again
+     * @param websiteId The ID of the website
+     * @return time One check frequency interval after the last charge, or 0 if the escrow was never charged
+     */
+    function getNextChargeTime(uint256 websiteId) public view returns (uint256) {
+        uint256 lastCharge = lastEscrowChargeTimes[websiteId];
+        
+        return lastCharge == 0 ? 0 : lastCharge + getCheckFrequency(websiteId) * 1 minutes;
+    }
+    
+    /**
+     * @dev Get the price of one check of a website, from all of its regions
+     * This is the amount charged to the escrow at most once per check frequency interval.
+     * @param websiteId The ID of the website
+     * @return price The price per check
+     */
+    function getCheckPrice(uint256 websiteId) public view returns (uint256) {
+        return pricePerCheck * getRegionCount(websiteId);
+    }
+    
+    /**
+     * @dev Get the daily price of monitoring a website at its check frequency and region count
+     * @param websiteId The ID of the website
+     * @return price The price per day
+     */
+    function getDailyPrice(uint256 websiteId) external view returns (uint256) {
+        return getCheckPrice(websiteId) * (1 days / 1 minutes) / getCheckFrequency(websiteId);
+    }
+    
+    /**
+     * @dev Get the prepaid balance of a website
+     * @param websiteId The ID of the website
+     * @return balance The escrow balance
+     */
+    function getEscrowBalance(uint256 websiteId) external view returns (uint256) {
+        require(websiteId < websiteCount, "WebsiteRegistry: Invalid website ID");
+        return escrowBalances[websiteId];
+    }
 } 
\ No newline at end of file
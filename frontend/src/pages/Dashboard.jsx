@@ -307,7 +307,7 @@ function Dashboard({ onLoading, onNotify }) {
             
             // Get any additional data from localStorage
             const additionalData = websiteService.getAdditionalWebsiteData(website.id.toString());
-            const checkFrequency = additionalData?.checkFrequency || 5;
+            const checkFrequency = website.checkFrequency || additionalData?.checkFrequency || 5;
             
             return {
               ...website,
@@ -320,7 +320,7 @@ function Dashboard({ onLoading, onNotify }) {
             
             // Get any additional data from localStorage
             const additionalData = websiteService.getAdditionalWebsiteData(website.id.toString());
-            const checkFrequency = additionalData?.checkFrequency || 5;
+            const checkFrequency = website.checkFrequency || additionalData?.checkFrequency || 5;
             
             return {
               ...website,
@@ -417,7 +417,7 @@ function Dashboard({ onLoading, onNotify }) {
             
             // Get any additional data from localStorage
             const additionalData = websiteService.getAdditionalWebsiteData(website.id.toString());
-            const checkFrequency = additionalData?.checkFrequency || 5;
+            const checkFrequency = website.checkFrequency || additionalData?.checkFrequency || 5;
             
             return {
               ...website,
@@ -430,7 +430,7 @@ function Dashboard({ onLoading, onNotify }) {
             
             // Get any additional data from localStorage
             const additionalData = websiteService.getAdditionalWebsiteData(website.id.toString());
-            const checkFrequency = additionalData?.checkFrequency || 5;
+            const checkFrequency = website.checkFrequency || additionalData?.checkFrequency || 5;
             
             return {
               ...website,
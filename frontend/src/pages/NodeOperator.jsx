@@ -30,9 +30,11 @@ import CheckCircleOutlineIcon from '@mui/icons-material/CheckCircleOutline';
 import ComputerIcon from '@mui/icons-material/Computer';
 import TokenIcon from '@mui/icons-material/Token';
 import PollIcon from '@mui/icons-material/Poll';
+import LockIcon from '@mui/icons-material/Lock';
 import web3Service from '../services/web3Service';
 import nodeService from '../services/nodeService';
 import tokenService from '../services/tokenService';
+import rewardService from '../services/rewardService';
 
 // Mock data for the node operator dashboard
 const mockNodeStats = {
@@ -83,8 +85,8 @@ const formatTime = (isoString) => {
 };
 
 // Node operation status panel component
-const NodeOperationPanel = ({ node, onRedeemRewards }) => {
-  const [isLoading, setIsLoading] = useState(false);
+const NodeOperationPanel = ({ node, rewards, isClaiming, onRedeemRewards }) => {
+  const hasClaimableRewards = rewards && parseFloat(rewards.claimable) > 0;
 
   return (
     <Card variant="outlined" sx={{ mb: 3 }}>
@@ -107,18 +109,21 @@ const NodeOperationPanel = ({ node, onRedeemRewards }) => {
           <Grid item xs={12} md={4}>
             <Paper sx={{ p: 2, textAlign: 'center', height: '100%' }}>
               <TokenIcon sx={{ fontSize: 40, color: 'success.main', mb: 1 }} />
-              <Typography variant="h6">0.00 UPT</Typography>
+              <Typography variant="h6">{rewards ? `${rewards.claimable} UPT` : '--'}</Typography>
               <Typography variant="body2" color="text.secondary">
-                Pending Rewards
+                Claimable Rewards
+              </Typography>
+              <Typography variant="caption" color="text.secondary" display="block">
+                Claimed: {rewards ? `${rewards.claimed} UPT` : '--'}
               </Typography>
               <Button 
                 variant="outlined" 
                 size="small" 
                 sx={{ mt: 1 }} 
-                disabled={true}
+                disabled={!hasClaimableRewards || isClaiming}
                 onClick={onRedeemRewards}
               >
-                Redeem
+                {isClaiming ? <CircularProgress size={20} /> : 'Claim'}
               </Button>
             </Paper>
           </Grid>
@@ -142,6 +147,171 @@ const NodeOperationPanel = ({ node, onRedeemRewards }) => {
   );
 };
 
+// Node stake panel component: stake, unbonding, slashing history and stake actions
+const NodeStakePanel = ({ node, minimumStake, onStakeChanged }) => {
+  const [stake, setStake] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadStake = async () => {
+    if (node) {
+      setStake(await nodeService.getNodeStake(node.id));
+    }
+  };
+
+  useEffect(() => {
+    loadStake();
+  }, [node]);
+
+  const runAction = async (action, send) => {
+    setPendingAction(action);
+    setError('');
+    
+    try {
+      const tx = await send();
+      await tx.wait();
+      setAmount('');
+      await loadStake();
+      
+      if (onStakeChanged) {
+        await onStakeChanged();
+      }
+    } catch (err) {
+      console.error(`Error during ${action}:`, err);
+      setError(err.reason || err.message || `Failed to ${action}. Please try again.`);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const isAmountValid = amount !== '' && !isNaN(amount) && parseFloat(amount) > 0;
+  const canWithdraw = stake && parseFloat(stake.unbonding) > 0 &&
+    stake.unbondingReleaseTime && stake.unbondingReleaseTime <= new Date();
+
+  return (
+    <Card variant="outlined" sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Stake
+        </Typography>
+        
+        <Grid container spacing={3} sx={{ mb: 2 }}>
+          <Grid item xs={12} md={4}>
+            <Paper sx={{ p: 2, textAlign: 'center', height: '100%' }}>
+              <LockIcon sx={{ fontSize: 40, color: 'primary.main', mb: 1 }} />
+              <Typography variant="h6">{stake ? `${stake.staked} UPT` : '--'}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                Staked (minimum {minimumStake || '--'} UPT)
+              </Typography>
+            </Paper>
+          </Grid>
+          
+          <Grid item xs={12} md={4}>
+            <Paper sx={{ p: 2, textAlign: 'center', height: '100%' }}>
+              <Typography variant="h6">{stake ? `${stake.unbonding} UPT` : '--'}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                Unbonding
+              </Typography>
+              {stake && stake.unbondingReleaseTime && parseFloat(stake.unbonding) > 0 && (
+                <Typography variant="caption" color="text.secondary">
+                  Available {formatTime(stake.unbondingReleaseTime.toISOString())}
+                </Typography>
+              )}
+            </Paper>
+          </Grid>
+          
+          <Grid item xs={12} md={4}>
+            <Paper sx={{ p: 2, textAlign: 'center', height: '100%' }}>
+              <Typography variant="h6">{stake ? `${stake.slashed} UPT` : '--'}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                Total Slashed
+              </Typography>
+            </Paper>
+          </Grid>
+        </Grid>
+        
+        {node && !node.active && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Your node is inactive. Top up its stake to at least {minimumStake} UPT to reactivate it.
+          </Alert>
+        )}
+        
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+          <TextField
+            size="small"
+            label="Amount (UPT)"
+            type="number"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            InputProps={{ inputProps: { min: 0 } }}
+          />
+          <Button
+            variant="contained"
+            disabled={!isAmountValid || pendingAction !== null}
+            onClick={() => runAction('top up', () => nodeService.increaseStake(node.id, amount))}
+          >
+            {pendingAction === 'top up' ? <CircularProgress size={24} /> : 'Top Up'}
+          </Button>
+          <Button
+            variant="outlined"
+            disabled={!isAmountValid || pendingAction !== null}
+            onClick={() => runAction('unstake', () => nodeService.requestUnstake(node.id, amount))}
+          >
+            {pendingAction === 'unstake' ? <CircularProgress size={24} /> : 'Unstake'}
+          </Button>
+          <Button
+            variant="outlined"
+            disabled={!canWithdraw || pendingAction !== null}
+            onClick={() => runAction('withdraw', () => nodeService.withdrawStake(node.id))}
+          >
+            {pendingAction === 'withdraw' ? <CircularProgress size={24} /> : 'Withdraw'}
+          </Button>
+        </Box>
+        
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Unstaked tokens are released after the unbonding period and can still be slashed until then.
+          Dropping below the minimum stake deactivates your node.
+        </Typography>
+        
+        <Typography variant="subtitle1" gutterBottom>
+          Slashing History
+        </Typography>
+        {stake && stake.slashHistory.length > 0 ? (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Time</TableCell>
+                  <TableCell>Amount</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {stake.slashHistory.map((slash, index) => (
+                  <TableRow key={index}>
+                    <TableCell>{formatTime(slash.timestamp.toISOString())}</TableCell>
+                    <TableCell>
+                      <Chip label={`-${slash.amount} UPT`} color="error" size="small" />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        ) : (
+          <Typography color="text.secondary">Your node has not been slashed.</Typography>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
 function NodeOperator() {
   const navigate = useNavigate();
   const [activeStep, setActiveStep] = useState(0);
@@ -159,6 +329,10 @@ function NodeOperator() {
   const [needsConnection, setNeedsConnection] = useState(false);
   const [node, setNode] = useState(null);
   const [recentReports, setRecentReports] = useState([]);
+  const [minimumStake, setMinimumStake] = useState(null);
+  const [rewards, setRewards] = useState(null);
+  const [isClaiming, setIsClaiming] = useState(false);
+  const [claimError, setClaimError] = useState('');
 
   const steps = ['Node Details', 'Configuration', 'Confirmation'];
 
@@ -191,9 +365,11 @@ function NodeOperator() {
     const checkNodeRegistration = async () => {
       try {
         setIsLoading(true);
+        setMinimumStake(await nodeService.getMinimumStake());
         const nodeData = await nodeService.getNode();
         
-        if (nodeData && nodeData.active) {
+        // Inactive nodes are shown too, so that their operators can top up the stake
+        if (nodeData) {
           setNode(nodeData);
           setRegistrationComplete(true);
           // Load mock data for recent reports
@@ -209,6 +385,17 @@ function NodeOperator() {
     checkConnection();
   }, []);
 
+  // Load the node's claimable and claimed rewards
+  useEffect(() => {
+    const loadRewards = async () => {
+      if (node) {
+        setRewards(await rewardService.getNodeRewards(node.id));
+      }
+    };
+
+    loadRewards();
+  }, [node]);
+
   // Load mock data for recent reports
   const loadMockRecentReports = () => {
     // In a real app, this would come from the StatusReport contract
@@ -378,9 +565,25 @@ function NodeOperator() {
     }
   };
 
+  const refreshNode = async () => {
+    const nodeData = await nodeService.getNode();
+    setNode(nodeData);
+  };
+
   const handleRedeemRewards = async () => {
-    // This would call the RewardDistribution contract's claim function
-    // Not implemented in this version
+    setIsClaiming(true);
+    setClaimError('');
+    
+    try {
+      const tx = await rewardService.claimRewards(node.id);
+      await tx.wait();
+      setRewards(await rewardService.getNodeRewards(node.id));
+    } catch (error) {
+      console.error("Error claiming rewards:", error);
+      setClaimError(error.reason || "Failed to claim rewards. Please try again.");
+    } finally {
+      setIsClaiming(false);
+    }
   };
 
   const renderStepContent = (step) => {
@@ -456,12 +659,23 @@ function NodeOperator() {
                 <Grid item xs={8}>
                   <Typography>{formData.capacity} websites per hour</Typography>
                 </Grid>
+                
+                <Grid item xs={4}>
+                  <Typography variant="subtitle2">Stake:</Typography>
+                </Grid>
+                <Grid item xs={8}>
+                  <Typography>{minimumStake !== null ? `${minimumStake} UPT` : '--'}</Typography>
+                </Grid>
               </Grid>
             </Paper>
             
             <Alert severity="info" sx={{ mb: 2 }}>
               Registering your node will require a transaction on the Ethereum blockchain and will cost a small amount of ETH for gas fees.
             </Alert>
+            
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Registration locks {minimumStake || 'the minimum'} UPT from your wallet as stake. You will be asked to approve the transfer first. Repeated incorrect reports are penalized by slashing part of the stake.
+            </Alert>
 
             {!isConnected && (
               <Alert severity="warning" sx={{ mb: 2 }}>
@@ -520,8 +734,23 @@ function NodeOperator() {
             {/* Node operation panel */}
             <NodeOperationPanel 
               node={node} 
+              rewards={rewards}
+              isClaiming={isClaiming}
               onRedeemRewards={handleRedeemRewards}
             />
+            
+            {claimError && (
+              <Alert severity="error" sx={{ mb: 3 }}>
+                {claimError}
+              </Alert>
+            )}
+
+            {/* Stake and slashing */}
+            <NodeStakePanel
+              node={node}
+              minimumStake={minimumStake}
+              onStakeChanged={refreshNode}
+            />
 
             {/* Recent reports */}
             <Card>
@@ -14,7 +14,8 @@ import {
   Paper,
   Alert,
   CircularProgress,
-  Divider
+  Divider,
+  MenuItem
 } from '@mui/material';
 import { Link as RouterLink, useNavigate } from 'react-router-dom';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
@@ -22,6 +23,172 @@ import CheckCircleOutlineIcon from '@mui/icons-material/CheckCircleOutline';
 import web3Service from '../services/web3Service';
 import websiteService from '../services/websiteService';
 
+// Escrow panel: website owners prepay monitoring in UPT, which pays the validator nodes
+const EscrowPanel = ({ websites, selectedWebsiteId, onSelectWebsite }) => {
+  const [escrow, setEscrow] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [regionCount, setRegionCount] = useState('1');
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState('');
+
+  const website = websites.find(w => w.id === selectedWebsiteId);
+
+  const loadEscrow = async () => {
+    if (selectedWebsiteId === null || selectedWebsiteId === undefined) {
+      setEscrow(null);
+      return;
+    }
+    
+    const data = await websiteService.getWebsiteEscrow(selectedWebsiteId);
+    setEscrow(data);
+    
+    if (data) {
+      setRegionCount(data.regionCount.toString());
+    }
+  };
+
+  useEffect(() => {
+    loadEscrow();
+  }, [selectedWebsiteId]);
+
+  const runAction = async (action, send) => {
+    setPendingAction(action);
+    setError('');
+    
+    try {
+      const result = await send();
+      const confirmation = await result.confirmationPromise;
+      
+      if (confirmation.status !== 'success') {
+        throw new Error(confirmation.message || 'Transaction failed on the blockchain');
+      }
+      
+      setAmount('');
+      await loadEscrow();
+    } catch (err) {
+      console.error(`Error during ${action}:`, err);
+      setError(err.reason || err.message || `Failed to ${action}. Please try again.`);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const isAmountValid = amount !== '' && !isNaN(amount) && parseFloat(amount) > 0;
+  const isRegionCountValid = !isNaN(regionCount) && parseInt(regionCount) >= 1 && parseInt(regionCount) <= 10;
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Monitoring Balance
+        </Typography>
+        <Typography variant="body2" color="text.secondary" paragraph>
+          Monitoring is prepaid in UPT. Each check is charged to the website's balance and paid to the nodes
+          that checked it. The price depends on how often the website is checked and from how many regions.
+          A website is deactivated when its balance can no longer pay for a check.
+        </Typography>
+        
+        <TextField
+          select
+          fullWidth
+          margin="normal"
+          label="Website"
+          value={selectedWebsiteId ?? ''}
+          onChange={(e) => onSelectWebsite(e.target.value)}
+        >
+          {websites.map((w) => (
+            <MenuItem key={w.id} value={w.id}>
+              {w.name} ({w.url})
+            </MenuItem>
+          ))}
+        </TextField>
+        
+        {escrow && (
+          <Paper variant="outlined" sx={{ p: 2, my: 2 }}>
+            <Grid container spacing={2}>
+              <Grid item xs={6} md={3}>
+                <Typography variant="subtitle2">Balance</Typography>
+                <Typography>{escrow.balance} UPT</Typography>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <Typography variant="subtitle2">Price per Check</Typography>
+                <Typography>{escrow.checkPrice} UPT</Typography>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <Typography variant="subtitle2">Price per Day</Typography>
+                <Typography>{escrow.dailyPrice} UPT</Typography>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <Typography variant="subtitle2">Funded For</Typography>
+                <Typography>
+                  {escrow.daysRemaining === null ? '--' : `${escrow.daysRemaining.toFixed(1)} days`}
+                </Typography>
+              </Grid>
+            </Grid>
+          </Paper>
+        )}
+        
+        {website && !website.active && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            This website is inactive. Top up its balance to at least one check before reactivating it.
+          </Alert>
+        )}
+        
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+          <TextField
+            size="small"
+            label="Amount (UPT)"
+            type="number"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            InputProps={{ inputProps: { min: 0 } }}
+          />
+          <Button
+            variant="contained"
+            disabled={!escrow || !isAmountValid || pendingAction !== null}
+            onClick={() => runAction('top up', () => websiteService.topUpEscrow(selectedWebsiteId, amount))}
+          >
+            {pendingAction === 'top up' ? <CircularProgress size={24} /> : 'Approve & Top Up'}
+          </Button>
+          <Button
+            variant="outlined"
+            disabled={!escrow || !isAmountValid || pendingAction !== null}
+            onClick={() => runAction('withdraw', () => websiteService.withdrawEscrow(selectedWebsiteId, amount))}
+          >
+            {pendingAction === 'withdraw' ? <CircularProgress size={24} /> : 'Withdraw'}
+          </Button>
+        </Box>
+        
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+          <TextField
+            size="small"
+            label="Regions"
+            type="number"
+            value={regionCount}
+            onChange={(e) => setRegionCount(e.target.value)}
+            error={!isRegionCountValid}
+            helperText={!isRegionCountValid ? 'Between 1 and 10 regions' : ''}
+            InputProps={{ inputProps: { min: 1, max: 10 } }}
+          />
+          <Button
+            variant="outlined"
+            disabled={!escrow || !isRegionCountValid || parseInt(regionCount) === escrow.regionCount || pendingAction !== null}
+            onClick={() => runAction('update regions', () => websiteService.updateRegionCount(selectedWebsiteId, parseInt(regionCount)))}
+          >
+            {pendingAction === 'update regions' ? <CircularProgress size={24} /> : 'Update Regions'}
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
 function WebsiteOwner() {
   const navigate = useNavigate();
   const [activeStep, setActiveStep] = useState(0);
@@ -30,7 +197,14 @@ function WebsiteOwner() {
     url: '',
     description: '',
     checkFrequency: '5',
-    email: ''
+    email: '',
+    requestMethod: 'GET',
+    requestHeaders: '',
+    requestBody: '',
+    authType: 'none',
+    authUsername: '',
+    authPassword: '',
+    authToken: ''
   });
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -38,14 +212,32 @@ function WebsiteOwner() {
   const [transactionHash, setTransactionHash] = useState('');
   const [isConnected, setIsConnected] = useState(false);
   const [needsConnection, setNeedsConnection] = useState(false);
+  const [ownedWebsites, setOwnedWebsites] = useState([]);
+  const [fundingWebsiteId, setFundingWebsiteId] = useState(null);
 
   const steps = ['Website Details', 'Monitoring Options', 'Confirmation'];
 
+  // Load the connected wallet's websites for the escrow panel
+  const loadOwnedWebsites = async (selectedId = null) => {
+    const websites = await websiteService.getWebsitesByOwner();
+    setOwnedWebsites(websites);
+    
+    if (selectedId !== null) {
+      setFundingWebsiteId(selectedId);
+    } else if (websites.length > 0) {
+      setFundingWebsiteId(prev => prev ?? websites[0].id);
+    }
+  };
+
   // Check wallet connection status
   useEffect(() => {
     const checkConnection = () => {
       const connected = web3Service.isConnected();
       setIsConnected(connected);
+      
+      if (connected) {
+        loadOwnedWebsites();
+      }
     };
 
     checkConnection();
@@ -54,6 +246,7 @@ function WebsiteOwner() {
     web3Service.onConnect = () => {
       setIsConnected(true);
       setNeedsConnection(false);
+      loadOwnedWebsites();
     };
 
     web3Service.onDisconnect = () => {
@@ -61,6 +254,43 @@ function WebsiteOwner() {
     };
   }, []);
 
+  // Parse "Name: value" lines into a headers object
+  const parseHeaders = (text) => {
+    const headers = {};
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      const separator = line.indexOf(':');
+      if (separator <= 0) return null;
+      headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    return headers;
+  };
+
+  // Build the request spec, or null when the default unauthenticated GET is used
+  const buildRequestSpec = () => {
+    const headers = parseHeaders(formData.requestHeaders) || {};
+    const isDefault = formData.requestMethod === 'GET' &&
+      Object.keys(headers).length === 0 &&
+      !formData.requestBody.trim() &&
+      formData.authType === 'none';
+    
+    if (isDefault) return null;
+    
+    let auth = { type: 'none' };
+    if (formData.authType === 'basic') {
+      auth = { type: 'basic', username: formData.authUsername, password: formData.authPassword };
+    } else if (formData.authType === 'bearer') {
+      auth = { type: 'bearer', token: formData.authToken };
+    }
+    
+    return {
+      method: formData.requestMethod,
+      headers,
+      body: formData.requestBody.trim() ? JSON.parse(formData.requestBody) : undefined,
+      auth
+    };
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -95,12 +325,30 @@ function WebsiteOwner() {
         newErrors.checkFrequency = 'Check frequency is required';
       } else if (isNaN(formData.checkFrequency) || parseInt(formData.checkFrequency) < 1) {
         newErrors.checkFrequency = 'Must be a positive number';
+      } else if (parseInt(formData.checkFrequency) > 1440) {
+        newErrors.checkFrequency = 'Must be at most 1440 minutes (once a day)';
       }
       if (!formData.email.trim()) {
         newErrors.email = 'Email is required';
       } else if (!/^\S+@\S+\.\S+$/.test(formData.email)) {
         newErrors.email = 'Please enter a valid email';
       }
+      if (parseHeaders(formData.requestHeaders) === null) {
+        newErrors.requestHeaders = 'Use one "Name: value" header per line';
+      }
+      if (formData.requestBody.trim()) {
+        try {
+          JSON.parse(formData.requestBody);
+        } catch (error) {
+          newErrors.requestBody = 'Request body must be valid JSON';
+        }
+      }
+      if (formData.authType === 'basic' && !formData.authUsername.trim()) {
+        newErrors.authUsername = 'Username is required for basic auth';
+      }
+      if (formData.authType === 'bearer' && !formData.authToken.trim()) {
+        newErrors.authToken = 'Token is required for bearer auth';
+      }
     }
     
     setErrors(newErrors);
@@ -149,7 +397,8 @@ function WebsiteOwner() {
         formData.websiteName,
         formattedUrl,
         formData.description,
-        parseInt(formData.checkFrequency)
+        parseInt(formData.checkFrequency),
+        buildRequestSpec()
       );
       
       // Set transaction hash for reference
@@ -160,6 +409,10 @@ function WebsiteOwner() {
       
       if (confirmation.status === 'success') {
         setRegistrationComplete(true);
+        
+        // Select the new website in the escrow panel so it can be funded right away
+        const registered = confirmation.events?.find(e => e.event === 'WebsiteRegistered');
+        await loadOwnedWebsites(registered ? registered.args.websiteId.toNumber() : null);
       } else {
         // Handle transaction failure from confirmation
         setErrors({
@@ -241,7 +494,7 @@ function WebsiteOwner() {
               onChange={handleChange}
               error={!!errors.checkFrequency}
               helperText={errors.checkFrequency || "How often should we check your website"}
-              InputProps={{ inputProps: { min: 1 } }}
+              InputProps={{ inputProps: { min: 1, max: 1440 } }}
             />
             <TextField
               fullWidth
@@ -254,6 +507,96 @@ function WebsiteOwner() {
               error={!!errors.email}
               helperText={errors.email || "Where should we send alerts?"}
             />
+            <TextField
+              select
+              fullWidth
+              margin="normal"
+              label="HTTP Method"
+              name="requestMethod"
+              value={formData.requestMethod}
+              onChange={handleChange}
+            >
+              {['GET', 'HEAD', 'POST'].map((method) => (
+                <MenuItem key={method} value={method}>{method}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              fullWidth
+              margin="normal"
+              label="Custom Headers"
+              name="requestHeaders"
+              multiline
+              rows={2}
+              placeholder="X-Api-Key: your-key"
+              value={formData.requestHeaders}
+              onChange={handleChange}
+              error={!!errors.requestHeaders}
+              helperText={errors.requestHeaders || "One \"Name: value\" per line. Encrypted before being stored on-chain"}
+            />
+            {formData.requestMethod === 'POST' && (
+              <TextField
+                fullWidth
+                margin="normal"
+                label="Request Body (JSON)"
+                name="requestBody"
+                multiline
+                rows={3}
+                value={formData.requestBody}
+                onChange={handleChange}
+                error={!!errors.requestBody}
+                helperText={errors.requestBody || "Stored on-chain in plaintext - do not include secrets"}
+              />
+            )}
+            <TextField
+              select
+              fullWidth
+              margin="normal"
+              label="Authentication"
+              name="authType"
+              value={formData.authType}
+              onChange={handleChange}
+              helperText="Credentials are encrypted before being stored on-chain"
+            >
+              <MenuItem value="none">None</MenuItem>
+              <MenuItem value="basic">Basic</MenuItem>
+              <MenuItem value="bearer">Bearer Token</MenuItem>
+            </TextField>
+            {formData.authType === 'basic' && (
+              <>
+                <TextField
+                  fullWidth
+                  margin="normal"
+                  label="Username"
+                  name="authUsername"
+                  value={formData.authUsername}
+                  onChange={handleChange}
+                  error={!!errors.authUsername}
+                  helperText={errors.authUsername}
+                />
+                <TextField
+                  fullWidth
+                  margin="normal"
+                  label="Password"
+                  name="authPassword"
+                  type="password"
+                  value={formData.authPassword}
+                  onChange={handleChange}
+                />
+              </>
+            )}
+            {formData.authType === 'bearer' && (
+              <TextField
+                fullWidth
+                margin="normal"
+                label="Bearer Token"
+                name="authToken"
+                type="password"
+                value={formData.authToken}
+                onChange={handleChange}
+                error={!!errors.authToken}
+                helperText={errors.authToken}
+              />
+            )}
           </Box>
         );
       case 2:
@@ -298,12 +641,27 @@ function WebsiteOwner() {
                 <Grid item xs={8}>
                   <Typography>{formData.email}</Typography>
                 </Grid>
+                
+                <Grid item xs={4}>
+                  <Typography variant="subtitle2">Request:</Typography>
+                </Grid>
+                <Grid item xs={8}>
+                  <Typography>
+                    {formData.requestMethod}
+                    {formData.authType !== 'none' ? ` with ${formData.authType} auth` : ''}
+                    {formData.requestHeaders.trim() ? ' and custom headers' : ''}
+                  </Typography>
+                </Grid>
               </Grid>
             </Paper>
             
             <Alert severity="info" sx={{ mb: 2 }}>
               Registering your website will require a transaction on the Ethereum blockchain and will cost a small amount of ETH for gas fees.
             </Alert>
+            
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Monitoring is paid in UPT from a prepaid balance. After registering, top up the website's balance to keep it monitored.
+            </Alert>
 
             {!isConnected && (
               <Alert severity="warning" sx={{ mb: 2 }}>
@@ -355,6 +713,7 @@ function WebsiteOwner() {
                 </Typography>
                 <Typography variant="body1" paragraph>
                   Your website has been successfully registered for monitoring.
+                  Monitoring starts once you top up its monitoring balance below, which pays validator nodes for checking it.
                 </Typography>
                 {transactionHash && (
                   <Typography variant="body2" sx={{ mb: 3 }}>
@@ -434,6 +793,15 @@ function WebsiteOwner() {
             )}
           </CardContent>
         </Card>
+
+        {/* Escrow top-up for the owner's websites */}
+        {isConnected && ownedWebsites.length > 0 && (
+          <EscrowPanel
+            websites={ownedWebsites}
+            selectedWebsiteId={fundingWebsiteId}
+            onSelectWebsite={setFundingWebsiteId}
+          />
+        )}
       </Box>
     </Container>
   );
@@ -0,0 +1,46 @@
+/**
+ * Encrypt website request secrets for validator nodes
+ * Uses RSA-OAEP (SHA-256) to wrap a one-time AES-256-GCM key. Only Web Crypto globals are used, so
+ * node client tests can check the envelope against their decryption.
+ * @param {Object} secrets - Secrets to encrypt ({headers, auth})
+ * @param {string} publicKeyPem - The validator network's public key (SPKI PEM, newlines may be escaped)
+ * @returns {Promise<Object>} - Envelope with base64 `key`, `iv` and `data`
+ */
+const encryptSecrets = async (secrets, publicKeyPem) => {
+  const subtle = globalThis.crypto.subtle;
+  const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  
+  const der = Uint8Array.from(
+    atob(publicKeyPem.replace(/-----[^-]+-----|\\n|\s/g, '')),
+    (c) => c.charCodeAt(0)
+  );
+  const publicKey = await subtle.importKey(
+    'spki',
+    der,
+    { name: 'RSA-OAEP', hash: 'SHA-256' },
+    false,
+    ['encrypt']
+  );
+  
+  const aesKey = await subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  
+  const data = await subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    aesKey,
+    new TextEncoder().encode(JSON.stringify(secrets))
+  );
+  const wrappedKey = await subtle.encrypt(
+    { name: 'RSA-OAEP' },
+    publicKey,
+    await subtle.exportKey('raw', aesKey)
+  );
+  
+  return {
+    key: toBase64(wrappedKey),
+    iv: toBase64(iv),
+    data: toBase64(data)
+  };
+};
+
+export default encryptSecrets;
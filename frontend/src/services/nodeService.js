@@ -2,6 +2,7 @@ import { ethers } from 'ethers';
 import web3Service from './web3Service';
 import getContractAddresses from './contractAddresses';
 import NodeRegistryABI from '../contracts/abis/NodeRegistry.json';
+import tokenService from './tokenService';
 
 /**
  * NodeService - Service for interacting with NodeRegistry contract
@@ -67,6 +68,11 @@ class NodeService {
   async registerNode(name, endpoint) {
     try {
       const contract = await this.initContract(true);
+      
+      // Registration locks the minimum stake, so approve the registry to transfer it first
+      const minimumStake = await this.getMinimumStake();
+      await this.approveStake(minimumStake);
+      
       const tx = await contract.registerNode(name, endpoint);
       return tx;
     } catch (error) {
@@ -75,6 +81,127 @@ class NodeService {
     }
   }
 
+  /**
+   * Approve the NodeRegistry contract to transfer UPT for staking
+   * Waits for the approval to be confirmed. Does nothing if the allowance already covers the amount.
+   * @param {string} amount - Amount of UPT to approve
+   * @returns {Promise<void>}
+   */
+  async approveStake(amount) {
+    if (parseFloat(amount) <= 0) {
+      return;
+    }
+    
+    const allowance = await tokenService.getAllowance(null, this.contractAddress);
+    if (parseFloat(allowance) >= parseFloat(amount)) {
+      return;
+    }
+    
+    const approveTx = await tokenService.approve(this.contractAddress, amount);
+    await approveTx.wait();
+  }
+
+  /**
+   * Get the stake required to register and activate a node
+   * @returns {Promise<string>} - Minimum stake in UPT
+   */
+  async getMinimumStake() {
+    try {
+      if (!this.contract) {
+        await this.initContract();
+      }
+      
+      const minimumStake = await this.contract.minimumStake();
+      return ethers.utils.formatEther(minimumStake);
+    } catch (error) {
+      console.error('Error fetching minimum stake:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a node's stake, unbonding stake and slashing history
+   * @param {number} nodeId - Node ID
+   * @returns {Promise<Object>} - Stake details, with amounts in UPT
+   */
+  async getNodeStake(nodeId) {
+    try {
+      if (!this.contract) {
+        await this.initContract();
+      }
+      
+      const stake = await this.contract.getNodeStake(nodeId);
+      const history = await this.contract.getSlashHistory(nodeId);
+      const releaseTime = stake.unbondingReleaseTime.toNumber();
+      
+      return {
+        staked: ethers.utils.formatEther(stake.staked),
+        unbonding: ethers.utils.formatEther(stake.unbondingAmount),
+        unbondingReleaseTime: releaseTime > 0 ? new Date(releaseTime * 1000) : null,
+        slashed: ethers.utils.formatEther(stake.slashed),
+        slashHistory: history.amounts.map((amount, index) => ({
+          amount: ethers.utils.formatEther(amount),
+          timestamp: new Date(history.timestamps[index].toNumber() * 1000)
+        }))
+      };
+    } catch (error) {
+      console.error(`Error fetching stake for node ${nodeId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Add UPT to a node's stake
+   * @param {number} nodeId - Node ID
+   * @param {string} amount - Amount of UPT to add
+   * @returns {Promise<ethers.providers.TransactionResponse>} - Transaction response
+   */
+  async increaseStake(nodeId, amount) {
+    try {
+      const contract = await this.initContract(true);
+      await this.approveStake(amount);
+      
+      const tx = await contract.increaseStake(nodeId, ethers.utils.parseEther(amount.toString()));
+      return tx;
+    } catch (error) {
+      console.error('Error increasing stake:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start unbonding part of a node's stake
+   * @param {number} nodeId - Node ID
+   * @param {string} amount - Amount of UPT to unstake
+   * @returns {Promise<ethers.providers.TransactionResponse>} - Transaction response
+   */
+  async requestUnstake(nodeId, amount) {
+    try {
+      const contract = await this.initContract(true);
+      const tx = await contract.requestUnstake(nodeId, ethers.utils.parseEther(amount.toString()));
+      return tx;
+    } catch (error) {
+      console.error('Error requesting unstake:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a node's unbonded stake after the unbonding period
+   * @param {number} nodeId - Node ID
+   * @returns {Promise<ethers.providers.TransactionResponse>} - Transaction response
+   */
+  async withdrawStake(nodeId) {
+    try {
+      const contract = await this.initContract(true);
+      const tx = await contract.withdrawStake(nodeId);
+      return tx;
+    } catch (error) {
+      console.error('Error withdrawing stake:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get a node by address
    * @param {string} nodeAddress - Node Ethereum address
@@ -0,0 +1,89 @@
+import { ethers } from 'ethers';
+import web3Service from './web3Service';
+import getContractAddresses from './contractAddresses';
+import RewardDistributionABI from '../contracts/abis/RewardDistribution.json';
+
+/**
+ * RewardService - Service for interacting with RewardDistribution contract
+ */
+class RewardService {
+  constructor() {
+    const addresses = getContractAddresses();
+    this.contractAddress = addresses.RewardDistribution;
+    this.abi = RewardDistributionABI;
+    this.contract = null;
+  }
+
+  /**
+   * Initialize the reward distribution contract
+   * @param {boolean} useSigner - Whether to use a signer (for write operations)
+   * @returns {ethers.Contract} - The contract instance
+   */
+  async initContract(useSigner = false) {
+    try {
+      // Reuse the contract instance unless the signer status changes
+      if (this.contract) {
+        const hasSigner = this.contract.signer !== null && this.contract.signer !== undefined;
+        if (hasSigner === useSigner) {
+          return this.contract;
+        }
+      }
+      
+      this.contract = web3Service.getContract(
+        this.contractAddress,
+        this.abi,
+        useSigner
+      );
+      
+      return this.contract;
+    } catch (error) {
+      console.error('Error initializing reward distribution contract:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the reward balances of a node
+   * @param {number} nodeId - Node ID
+   * @returns {Promise<Object>} - Total, claimable and claimed rewards in UPT
+   */
+  async getNodeRewards(nodeId) {
+    try {
+      if (!this.contract) {
+        await this.initContract();
+      }
+      
+      const rewards = await this.contract.getNodeRewards(nodeId);
+      
+      return {
+        total: ethers.utils.formatEther(rewards.total),
+        claimable: ethers.utils.formatEther(rewards.claimable),
+        claimed: ethers.utils.formatEther(rewards.claimed)
+      };
+    } catch (error) {
+      console.error(`Error fetching rewards for node ${nodeId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Claim the rewards accrued by a node
+   * The rewards are paid to the node's payout address.
+   * @param {number} nodeId - Node ID
+   * @returns {Promise<ethers.providers.TransactionResponse>} - Transaction response
+   */
+  async claimRewards(nodeId) {
+    try {
+      const contract = await this.initContract(true);
+      const tx = await contract.claimRewards(nodeId);
+      return tx;
+    } catch (error) {
+      console.error('Error claiming rewards:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const rewardService = new RewardService();
+export default rewardService;
@@ -2,6 +2,8 @@ import { ethers } from 'ethers';
 import web3Service from './web3Service';
 import getContractAddresses from './contractAddresses';
 import WebsiteRegistryABI from '../contracts/abis/WebsiteRegistry.json';
+import tokenService from './tokenService';
+import encryptSecrets from './checkSecrets';
 import CONTRACT_ADDRESSES from '../contracts/contract-addresses';
 
 /**
@@ -120,19 +122,21 @@ class WebsiteService {
    * @param {string} name - Website name
    * @param {string} url - Website URL
    * @param {string} description - Website description (stored client-side only)
+   * @param {number} checkFrequency - Check frequency in minutes (read by validator nodes)
+   * @param {Object} requestSpec - Optional HTTP request spec ({method, headers, body, auth})
    * @returns {Promise<Object>} - Transaction result with additional details
    */
-  async registerWebsite(name, url, description) {
+  async registerWebsite(name, url, description, checkFrequency = null, requestSpec = null) {
     try {
-      console.log('Registering website with params:', { name, url, description });
+      console.log('Registering website with params:', { name, url, description, checkFrequency });
       
       // Validate inputs
       if (!name || !url) {
         throw new Error('Missing required parameters for website registration');
       }
       
-      // Validate URL format
-      if (!url.match(/^https?:\/\//)) {
+      // Validate URL format (non-HTTP monitors such as tcp:// or dns:// keep their scheme)
+      if (!url.match(/^[a-z][a-z0-9+.-]*:\/\//i)) {
         url = 'https://' + url;
       }
       
@@ -142,11 +146,27 @@ class WebsiteService {
         throw new Error('Website registry contract not initialized');
       }
       
+      // Build the check configuration read by validator nodes (secrets are encrypted first)
+      let checkConfig = requestSpec ? await this.buildCheckConfig(requestSpec) : null;
+      
+      // Non-HTTP monitors are checked by the validator's checker for their scheme
+      const monitorType = this.getMonitorType(url);
+      if (monitorType !== 'http') {
+        checkConfig = { ...checkConfig, type: monitorType };
+      }
+      
+      // NOTE: Contract expects url first, then name
+      const withConfig = checkConfig || checkFrequency;
+      const method = withConfig ? 'registerWebsiteWithConfig' : 'registerWebsite';
+      const params = withConfig
+        ? [url, name, checkConfig ? JSON.stringify(checkConfig) : '', checkFrequency || 0]
+        : [url, name];
+      
       // Set explicit gas configuration for the transaction
       const gasLimit = await this.estimateGasWithBuffer(
         contract, 
-        'registerWebsite', 
-        [url, name], // NOTE: Contract expects url first, then name
+        method, 
+        params,
         1.2 // 20% buffer
       );
       
@@ -157,12 +177,13 @@ class WebsiteService {
       console.log('Sending transaction with options:', options);
       
       // Send transaction - passing arguments in the correct order as expected by the contract
-      const tx = await contract.registerWebsite(url, name);
+      const tx = await contract[method](...params);
       console.log('Transaction submitted:', tx.hash);
       
       // Store additional data client-side since the contract doesn't store these
       this.saveAdditionalWebsiteData(tx.hash, {
         description,
+        checkFrequency,
         txHash: tx.hash,
         timestamp: Date.now()
       });
@@ -189,6 +210,64 @@ class WebsiteService {
     }
   }
   
+  /**
+   * Get the monitor type of a website from its URL scheme
+   * @param {string} url - Website URL, with a scheme
+   * @returns {string} - 'tcp' or 'dns' for those schemes, 'http' otherwise
+   * @private
+   */
+  getMonitorType(url) {
+    const scheme = url.slice(0, url.indexOf('://')).toLowerCase();
+    return scheme === 'tcp' || scheme === 'dns' ? scheme : 'http';
+  }
+  
+  /**
+   * Build a check configuration from an HTTP request spec
+   * Headers and auth credentials are encrypted for validator nodes; method and body are public.
+   * @param {Object} requestSpec - Request spec ({method, headers, body, auth})
+   * @returns {Promise<Object>} - Check configuration safe to store on-chain
+   * @private
+   */
+  async buildCheckConfig(requestSpec) {
+    const request = {
+      method: (requestSpec.method || 'GET').toUpperCase()
+    };
+    
+    if (requestSpec.body !== undefined && requestSpec.body !== null && requestSpec.body !== '') {
+      request.body = requestSpec.body;
+    }
+    
+    const secrets = {};
+    if (requestSpec.headers && Object.keys(requestSpec.headers).length > 0) {
+      secrets.headers = requestSpec.headers;
+    }
+    if (requestSpec.auth && requestSpec.auth.type && requestSpec.auth.type !== 'none') {
+      secrets.auth = requestSpec.auth;
+    }
+    
+    if (Object.keys(secrets).length > 0) {
+      request.secrets = await this.encryptSecrets(secrets);
+    }
+    
+    return { request };
+  }
+  
+  /**
+   * Encrypt request secrets with the validator network's public key
+   * @param {Object} secrets - Secrets to encrypt ({headers, auth})
+   * @returns {Promise<Object>} - Envelope with base64 `key`, `iv` and `data`
+   * @private
+   */
+  async encryptSecrets(secrets) {
+    const publicKeyPem = import.meta.env.VITE_CHECK_SECRETS_PUBLIC_KEY;
+    if (!publicKeyPem) {
+      // Never fall back to publishing credentials in plaintext
+      throw new Error('Request secrets cannot be encrypted: VITE_CHECK_SECRETS_PUBLIC_KEY is not configured');
+    }
+    
+    return encryptSecrets(secrets, publicKeyPem);
+  }
+  
   /**
    * Save additional website data to local storage
    * @param {string} key - Unique identifier (transaction hash or website ID)
@@ -315,6 +394,14 @@ class WebsiteService {
         website.description = additionalData.description;
       }
       
+      // Check frequency is stored on-chain so validator nodes can schedule checks
+      try {
+        website.checkFrequency = (await contract.getCheckFrequency(websiteId)).toNumber();
+      } catch (frequencyError) {
+        console.warn(`Could not get check frequency for website #${websiteId}:`, frequencyError);
+        website.checkFrequency = additionalData?.checkFrequency || 5;
+      }
+      
       return website;
     } catch (error) {
       // Check if this is an "Invalid website ID" error, which shouldn't be treated as a true error
@@ -392,31 +479,212 @@ class WebsiteService {
    */
   async updateCheckFrequency(websiteId, checkFrequency) {
     try {
-      // First, get the current website data to preserve other fields
-      const website = await this.getWebsite(websiteId);
-      if (!website) {
-        throw new Error(`Website #${websiteId} not found`);
+      const contract = await this.initContract(true);
+      if (!contract) {
+        throw new Error('Website registry contract not initialized');
       }
       
-      // Store the updated check frequency in local storage
+      const tx = await contract.setCheckFrequency(websiteId, checkFrequency);
+      console.log('Check frequency transaction submitted:', tx.hash);
+      
+      // Keep the local copy in sync for pages that read it before the transaction confirms
       this.saveAdditionalWebsiteData(websiteId.toString(), {
         ...this.getAdditionalWebsiteData(websiteId.toString()),
         checkFrequency: checkFrequency
       });
       
-      // No need to update the contract as it doesn't store check frequency
       return {
-        status: 'success',
-        message: 'Check frequency updated successfully'
+        ...tx,
+        status: 'pending',
+        confirmationPromise: this.getConfirmationWithStatus(tx)
       };
     } catch (error) {
       console.error(`Error updating check frequency for website #${websiteId}:`, error);
       
+      const errorDetails = web3Service.constructor.getTransactionErrorDetails(error);
+      
+      const enhancedError = new Error(errorDetails.message);
+      enhancedError.code = errorDetails.code;
+      enhancedError.reason = errorDetails.reason;
+      enhancedError.originalError = error;
+      
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Get a website's prepaid escrow and monitoring price
+   * @param {number} websiteId - Website ID
+   * @returns {Promise<Object|null>} - Balance, check price and daily price in UPT, and region count
+   */
+  async getWebsiteEscrow(websiteId) {
+    try {
+      const contract = await this.initContract();
+      if (!contract) return null;
+      
+      const [balance, checkPrice, dailyPrice, regionCount] = await Promise.all([
+        contract.getEscrowBalance(websiteId),
+        contract.getCheckPrice(websiteId),
+        contract.getDailyPrice(websiteId),
+        contract.getRegionCount(websiteId)
+      ]);
+      
       return {
-        status: 'failed',
-        message: `Failed to update check frequency: ${error.message}`,
-        error: error
+        balance: ethers.utils.formatEther(balance),
+        checkPrice: ethers.utils.formatEther(checkPrice),
+        dailyPrice: ethers.utils.formatEther(dailyPrice),
+        regionCount: regionCount.toNumber(),
+        // Days of monitoring the balance pays for at the current frequency and region count
+        daysRemaining: dailyPrice.isZero() ? null : parseFloat(ethers.utils.formatEther(balance)) / parseFloat(ethers.utils.formatEther(dailyPrice))
+      };
+    } catch (error) {
+      console.error(`Error getting escrow for website #${websiteId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Prepay monitoring by adding UPT to a website's escrow
+   * Approves the WebsiteRegistry to transfer the amount first and waits for the approval.
+   * @param {number} websiteId - Website ID
+   * @param {string} amount - Amount of UPT to add
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async topUpEscrow(websiteId, amount) {
+    try {
+      const contract = await this.initContract(true);
+      if (!contract) {
+        throw new Error('Website registry contract not initialized');
+      }
+      
+      const approveTx = await tokenService.approve(this.contractAddress, amount);
+      await approveTx.wait();
+      
+      const tx = await contract.topUpEscrow(websiteId, ethers.utils.parseEther(amount.toString()));
+      console.log('Escrow top-up transaction submitted:', tx.hash);
+      
+      return {
+        ...tx,
+        status: 'pending',
+        confirmationPromise: this.getConfirmationWithStatus(tx)
+      };
+    } catch (error) {
+      console.error(`Error topping up escrow for website #${websiteId}:`, error);
+      
+      const errorDetails = web3Service.constructor.getTransactionErrorDetails(error);
+      
+      const enhancedError = new Error(errorDetails.message);
+      enhancedError.code = errorDetails.code;
+      enhancedError.reason = errorDetails.reason;
+      enhancedError.originalError = error;
+      
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Withdraw unused UPT from a website's escrow
+   * The website is deactivated if the remaining balance cannot pay for a check.
+   * @param {number} websiteId - Website ID
+   * @param {string} amount - Amount of UPT to withdraw
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async withdrawEscrow(websiteId, amount) {
+    try {
+      const contract = await this.initContract(true);
+      if (!contract) {
+        throw new Error('Website registry contract not initialized');
+      }
+      
+      const tx = await contract.withdrawEscrow(websiteId, ethers.utils.parseEther(amount.toString()));
+      console.log('Escrow withdrawal transaction submitted:', tx.hash);
+      
+      return {
+        ...tx,
+        status: 'pending',
+        confirmationPromise: this.getConfirmationWithStatus(tx)
+      };
+    } catch (error) {
+      console.error(`Error withdrawing escrow for website #${websiteId}:`, error);
+      
+      const errorDetails = web3Service.constructor.getTransactionErrorDetails(error);
+      
+      const enhancedError = new Error(errorDetails.message);
+      enhancedError.code = errorDetails.code;
+      enhancedError.reason = errorDetails.reason;
+      enhancedError.originalError = error;
+      
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Update the number of regions a website is checked from
+   * @param {number} websiteId - Website ID
+   * @param {number} regionCount - Number of regions (1 to 10)
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async updateRegionCount(websiteId, regionCount) {
+    try {
+      const contract = await this.initContract(true);
+      if (!contract) {
+        throw new Error('Website registry contract not initialized');
+      }
+      
+      const tx = await contract.setRegionCount(websiteId, regionCount);
+      console.log('Region count transaction submitted:', tx.hash);
+      
+      return {
+        ...tx,
+        status: 'pending',
+        confirmationPromise: this.getConfirmationWithStatus(tx)
       };
+    } catch (error) {
+      console.error(`Error updating region count for website #${websiteId}:`, error);
+      
+      const errorDetails = web3Service.constructor.getTransactionErrorDetails(error);
+      
+      const enhancedError = new Error(errorDetails.message);
+      enhancedError.code = errorDetails.code;
+      enhancedError.reason = errorDetails.reason;
+      enhancedError.originalError = error;
+      
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Update a website's check configuration (e.g. content assertions)
+   * @param {number} websiteId - Website ID
+   * @param {Object} checkConfig - Check configuration read by validator nodes
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async updateCheckConfig(websiteId, checkConfig) {
+    try {
+      const contract = await this.initContract(true);
+      if (!contract) {
+        throw new Error('Website registry contract not initialized');
+      }
+      
+      const tx = await contract.setCheckConfig(websiteId, JSON.stringify(checkConfig || {}));
+      console.log('Check configuration transaction submitted:', tx.hash);
+      
+      return {
+        ...tx,
+        status: 'pending',
+        confirmationPromise: this.getConfirmationWithStatus(tx)
+      };
+    } catch (error) {
+      console.error(`Error updating check configuration for website #${websiteId}:`, error);
+      
+      const errorDetails = web3Service.constructor.getTransactionErrorDetails(error);
+      
+      const enhancedError = new Error(errorDetails.message);
+      enhancedError.code = errorDetails.code;
+      enhancedError.reason = errorDetails.reason;
+      enhancedError.originalError = error;
+      
+      throw enhancedError;
     }
   }
 
@@ -44,6 +44,80 @@ program
     }
   });
 
+program
+  .command('delegate')
+  .description('Authorize a delegate key to submit reports for a node (run with the node owner key)')
+  .requiredOption('-a, --address <address>', 'Address of the delegate key')
+  .option('-n, --node-id <id>', 'Node ID to delegate for', process.env.NODE_ID)
+  .option('--revoke', 'Revoke the delegate instead of authorizing it')
+  .action(async (options) => {
+    try {
+      await nodeClient.setNodeDelegate(options.nodeId, options.address, !options.revoke);
+      logger.info(`Delegate ${options.address} ${options.revoke ? 'revoked' : 'authorized'} for node ${options.nodeId}`);
+    } catch (error) {
+      logger.error(`Failed to update delegate: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('stake')
+  .description('Add UPT to the stake of a node')
+  .requiredOption('-a, --amount <upt>', 'Amount of UPT to add')
+  .option('-n, --node-id <id>', 'Node ID to stake for', process.env.NODE_ID)
+  .action(async (options) => {
+    try {
+      await nodeClient.increaseStake(options.nodeId, options.amount);
+      logger.info(`Added ${options.amount} UPT to the stake of node ${options.nodeId}`);
+    } catch (error) {
+      logger.error(`Failed to increase stake: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('unstake')
+  .description('Start unbonding UPT from the stake of a node')
+  .requiredOption('-a, --amount <upt>', 'Amount of UPT to unstake')
+  .option('-n, --node-id <id>', 'Node ID to unstake from', process.env.NODE_ID)
+  .action(async (options) => {
+    try {
+      await nodeClient.requestUnstake(options.nodeId, options.amount);
+      logger.info(`Unbonding ${options.amount} UPT from node ${options.nodeId}`);
+    } catch (error) {
+      logger.error(`Failed to unstake: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('withdraw')
+  .description('Withdraw unbonded stake once the unbonding period has passed')
+  .option('-n, --node-id <id>', 'Node ID to withdraw from', process.env.NODE_ID)
+  .action(async (options) => {
+    try {
+      await nodeClient.withdrawStake(options.nodeId);
+      logger.info(`Withdrew unbonded stake of node ${options.nodeId}`);
+    } catch (error) {
+      logger.error(`Failed to withdraw stake: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('claim')
+  .description('Claim the rewards accrued by a node')
+  .option('-n, --node-id <id>', 'Node ID to claim rewards for', process.env.NODE_ID)
+  .action(async (options) => {
+    try {
+      const result = await nodeClient.claimRewards(options.nodeId);
+      logger.info(`Claimed ${result.amount} UPT of rewards for node ${options.nodeId}`);
+    } catch (error) {
+      logger.error(`Failed to claim rewards: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 program
   .command('check')
   .description('Check the status of a specific website')
@@ -51,7 +125,7 @@ program
   .option('-n, --node-id <id>', 'Node ID to use for reporting', process.env.NODE_ID)
   .action(async (options) => {
     try {
-      const result = await nodeClient.checkWebsite(options['website-id'], options['node-id']);
+      const result = await nodeClient.checkWebsite(options.websiteId, options.nodeId);
       logger.info(`Website check completed: ${JSON.stringify(result)}`);
     } catch (error) {
       logger.error(`Failed to check website: ${error.message}`);
@@ -62,25 +136,40 @@ program
 program
   .command('start')
   .description('Start automatic checking of all active websites')
-  .option('-i, --interval <minutes>', 'Check interval in minutes', process.env.CHECK_INTERVAL || 5)
+  .option('-i, --interval <minutes>', 'Default check frequency in minutes for websites without one', process.env.CHECK_INTERVAL || 5)
   .option('-n, --node-id <id>', 'Node ID to use for reporting', process.env.NODE_ID)
+  .option('-c, --concurrency <count>', 'Number of websites checked in parallel', process.env.CHECK_CONCURRENCY || 5)
   .action(async (options) => {
     try {
-      logger.info(`Starting automatic website checking (interval: ${options.interval} minutes)`);
-      await nodeClient.startAutomaticChecking(options.interval, options['node-id']);
+      logger.info(`Starting automatic website checking (default frequency: ${options.interval} minutes, concurrency: ${options.concurrency})`);
+      await nodeClient.startAutomaticChecking(options.interval, options.nodeId, options.concurrency);
     } catch (error) {
       logger.error(`Error in automatic checking: ${error.message}`);
       process.exit(1);
     }
   });
 
+program
+  .command('proof')
+  .description('Show the archived details and Merkle proof of a committed report')
+  .requiredOption('-r, --report-id <id>', 'Report ID to prove')
+  .action(async (options) => {
+    try {
+      const result = await nodeClient.getReportProof(options.reportId);
+      logger.info(`Report proof: ${JSON.stringify(result, null, 2)}`);
+    } catch (error) {
+      logger.error(`Failed to get report proof: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 program
   .command('status')
   .description('Get current node status and statistics')
   .option('-n, --node-id <id>', 'Node ID to check status for', process.env.NODE_ID)
   .action(async (options) => {
     try {
-      const status = await nodeClient.getNodeStatus(options['node-id']);
+      const status = await nodeClient.getNodeStatus(options.nodeId);
       logger.info(`Node status: ${JSON.stringify(status, null, 2)}`);
     } catch (error) {
       logger.error(`Failed to get node status: ${error.message}`);
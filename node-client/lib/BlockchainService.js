@@ -8,11 +8,27 @@ const StatusReportABI = require('../abis/StatusReport.json');
 const WebsiteRegistryABI = require('../abis/WebsiteRegistry.json');
 const ReputationSystemABI = require('../abis/ReputationSystem.json');
 const RewardDistributionABI = require('../abis/RewardDistribution.json');
+const UptimeTokenABI = require('../abis/UptimeToken.json');
+const ConsensusEngineABI = require('../abis/ConsensusEngine.json');
+const RevealStore = require('./RevealStore');
+
+const REVEAL_MARGIN_MS = 2000; // How often to look for a block past the end of the commit phase once it is due
 
 class BlockchainService {
   constructor(logger) {
     this.logger = logger;
     
+    // Transactions are sent one at a time with locally tracked nonces,
+    // so that concurrent checks sharing this wallet do not collide
+    this.transactionQueue = Promise.resolve();
+    this.nextNonce = null;
+    
+    // Committed reports waiting for their round's reveal phase, keyed by node, website and round,
+    // persisted so that they can still be revealed after a restart
+    this.revealStore = new RevealStore(this.logger);
+    this.pendingReveals = new Map();
+    this.revealTimer = null;
+    
     // Initialize ethers provider and signer
     this.initialize();
   }
@@ -88,6 +104,34 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Send a transaction through the queue with the next nonce
+   * @param {Function} send - Function that sends the transaction, given overrides containing the nonce
+   * @returns {Promise<object>} - The sent transaction
+   */
+  sendTransaction(send) {
+    const sent = this.transactionQueue.then(async () => {
+      if (this.nextNonce === null) {
+        this.nextNonce = await this.wallet.getTransactionCount('pending');
+      }
+      
+      try {
+        const tx = await send({ nonce: this.nextNonce });
+        this.nextNonce++;
+        return tx;
+      } catch (error) {
+        // Resynchronize with the network on the next transaction
+        this.nextNonce = null;
+        throw error;
+      }
+    });
+    
+    // Keep the queue going even if this transaction fails
+    this.transactionQueue = sent.catch(() => {});
+    
+    return sent;
+  }
+
   /**
    * Register a new node with the NodeRegistry contract
    * @param {string} name - The name of the node
@@ -96,7 +140,11 @@ class BlockchainService {
    */
   async registerNode(name, endpoint) {
     try {
-      const tx = await this.nodeRegistry.registerNode(name, endpoint);
+      // Registration locks the minimum stake, so the registry must be allowed to transfer it
+      const minimumStake = await this.nodeRegistry.minimumStake();
+      await this.approveStake(minimumStake);
+      
+      const tx = await this.sendTransaction(overrides => this.nodeRegistry.registerNode(name, endpoint, overrides));
       const receipt = await tx.wait();
       
       // Extract the node ID from the event
@@ -115,6 +163,137 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Get the UPT token contract that stakes are locked in
+   * @returns {Promise<object>} - The token contract
+   */
+  async getStakeToken() {
+    if (!this.stakeToken) {
+      const tokenAddress = await this.nodeRegistry.stakeToken();
+      this.stakeToken = new ethers.Contract(tokenAddress, UptimeTokenABI, this.wallet);
+    }
+    
+    return this.stakeToken;
+  }
+
+  /**
+   * Allow the NodeRegistry contract to transfer stake from this wallet
+   * Does nothing if the current allowance already covers the amount.
+   * @param {ethers.BigNumber} amount - The amount of UPT in wei
+   */
+  async approveStake(amount) {
+    if (amount.isZero()) {
+      return;
+    }
+    
+    const stakeToken = await this.getStakeToken();
+    const allowance = await stakeToken.allowance(this.wallet.address, this.nodeRegistryAddress);
+    
+    if (allowance.gte(amount)) {
+      return;
+    }
+    
+    const tx = await this.sendTransaction(overrides => stakeToken.approve(this.nodeRegistryAddress, amount, overrides));
+    await tx.wait();
+    
+    this.logger.info(`Approved ${ethers.utils.formatEther(amount)} UPT for staking`);
+  }
+
+  /**
+   * Add UPT to a node's stake
+   * @param {number} nodeId - The ID of the node
+   * @param {string} amount - The amount of UPT to add (in whole tokens, e.g. "50")
+   * @returns {Promise<{tx: object}>} - The transaction information
+   */
+  async increaseStake(nodeId, amount) {
+    try {
+      const value = ethers.utils.parseEther(String(amount));
+      await this.approveStake(value);
+      
+      const tx = await this.sendTransaction(overrides => this.nodeRegistry.increaseStake(nodeId, value, overrides));
+      const receipt = await tx.wait();
+      
+      this.logger.info(`Added ${amount} UPT to the stake of node ${nodeId}`);
+      
+      return {
+        tx: receipt
+      };
+    } catch (error) {
+      this.logger.error(`Error increasing stake: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Start unbonding part of a node's stake
+   * @param {number} nodeId - The ID of the node
+   * @param {string} amount - The amount of UPT to unstake (in whole tokens)
+   * @returns {Promise<{tx: object}>} - The transaction information
+   */
+  async requestUnstake(nodeId, amount) {
+    try {
+      const value = ethers.utils.parseEther(String(amount));
+      const tx = await this.sendTransaction(overrides => this.nodeRegistry.requestUnstake(nodeId, value, overrides));
+      const receipt = await tx.wait();
+      
+      this.logger.info(`Requested unstake of ${amount} UPT for node ${nodeId}`);
+      
+      return {
+        tx: receipt
+      };
+    } catch (error) {
+      this.logger.error(`Error requesting unstake: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a node's stake once its unbonding period has passed
+   * @param {number} nodeId - The ID of the node
+   * @returns {Promise<{tx: object}>} - The transaction information
+   */
+  async withdrawStake(nodeId) {
+    try {
+      const tx = await this.sendTransaction(overrides => this.nodeRegistry.withdrawStake(nodeId, overrides));
+      const receipt = await tx.wait();
+      
+      this.logger.info(`Withdrew unbonded stake for node ${nodeId}`);
+      
+      return {
+        tx: receipt
+      };
+    } catch (error) {
+      this.logger.error(`Error withdrawing stake: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the stake, unbonding stake and slashing history of a node
+   * @param {number} nodeId - The ID of the node
+   * @returns {Promise<object>} - The stake information, with amounts in UPT
+   */
+  async getNodeStake(nodeId) {
+    try {
+      const stake = await this.nodeRegistry.getNodeStake(nodeId);
+      const history = await this.nodeRegistry.getSlashHistory(nodeId);
+      
+      return {
+        staked: ethers.utils.formatEther(stake.staked),
+        unbonding: ethers.utils.formatEther(stake.unbondingAmount),
+        unbondingReleaseTime: stake.unbondingReleaseTime.toNumber(),
+        slashed: ethers.utils.formatEther(stake.slashed),
+        slashHistory: history.amounts.map((amount, i) => ({
+          amount: ethers.utils.formatEther(amount),
+          timestamp: history.timestamps[i].toNumber()
+        }))
+      };
+    } catch (error) {
+      this.logger.error(`Error getting node stake: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get the details of a website
    * @param {number} websiteId - The ID of the website
@@ -123,6 +302,8 @@ class BlockchainService {
   async getWebsiteDetails(websiteId) {
     try {
       const details = await this.websiteRegistry.getWebsiteDetails(websiteId);
+      const checkConfig = await this.getCheckConfig(websiteId);
+      const checkFrequency = await this.getCheckFrequency(websiteId);
       
       return {
         url: details[0],
@@ -130,7 +311,9 @@ class BlockchainService {
         owner: details[2],
         active: details[3],
         registrationTime: details[4].toNumber(),
-        lastCheckTime: details[5].toNumber()
+        lastCheckTime: details[5].toNumber(),
+        checkConfig,
+        checkFrequency
       };
     } catch (error) {
       this.logger.error(`Error getting website details: ${error.message}`);
@@ -138,6 +321,36 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Get the check configuration of a website
+   * @param {number} websiteId - The ID of the website
+   * @returns {Promise<object>} - The parsed check configuration (empty if not set or invalid)
+   */
+  async getCheckConfig(websiteId) {
+    try {
+      const config = await this.websiteRegistry.getCheckConfig(websiteId);
+      return config ? JSON.parse(config) : {};
+    } catch (error) {
+      this.logger.warn(`Could not load check configuration for website ${websiteId}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Get the check frequency chosen by a website's owner
+   * @param {number} websiteId - The ID of the website
+   * @returns {Promise<number|null>} - The check frequency in minutes, or null if it could not be read
+   */
+  async getCheckFrequency(websiteId) {
+    try {
+      const frequency = await this.websiteRegistry.getCheckFrequency(websiteId);
+      return frequency.toNumber();
+    } catch (error) {
+      this.logger.warn(`Could not load check frequency for website ${websiteId}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Get all active websites
    * @returns {Promise<Array<{id: number, url: string, name: string, owner: string, active: boolean}>>}
@@ -173,6 +386,30 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Authorize or revoke a delegate key that may submit reports for a node
+   * Must be sent from the node owner's wallet.
+   * @param {number} nodeId - The ID of the node
+   * @param {string} delegate - The address of the delegate key
+   * @param {boolean} authorized - Whether the delegate is authorized
+   * @returns {Promise<{tx: object}>} - The transaction information
+   */
+  async setNodeDelegate(nodeId, delegate, authorized) {
+    try {
+      const tx = await this.sendTransaction(overrides => this.nodeRegistry.setNodeDelegate(nodeId, delegate, authorized, overrides));
+      const receipt = await tx.wait();
+      
+      this.logger.info(`Delegate ${delegate} ${authorized ? 'authorized' : 'revoked'} for node ${nodeId}`);
+      
+      return {
+        tx: receipt
+      };
+    } catch (error) {
+      this.logger.error(`Error updating node delegate: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Submit a status report for a website
    * @param {number} websiteId - The ID of the website
@@ -184,13 +421,25 @@ class BlockchainService {
    */
   async submitStatusReport(websiteId, nodeId, status, responseTime, statusMessage) {
     try {
-      const tx = await this.statusReport.submitReport(
+      // Under commit-reveal the report is committed now and revealed automatically later
+      if (await this.isCommitRevealEnabled()) {
+        const { rounds, tx } = await this.commitStatusReports(nodeId, [{ websiteId, status, responseTime, statusMessage }]);
+        
+        return {
+          reportId: null,
+          round: rounds[0],
+          tx
+        };
+      }
+      
+      const tx = await this.sendTransaction(overrides => this.statusReport.submitReport(
         websiteId,
         nodeId,
         status,
         responseTime,
-        statusMessage
-      );
+        statusMessage,
+        overrides
+      ));
       
       const receipt = await tx.wait();
       
@@ -210,6 +459,387 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Submit status reports for several websites in one transaction
+   * @param {number} nodeId - The ID of the node
+   * @param {Array<{websiteId: number, status: number, responseTime: number, statusMessage: string}>} reports - The reports to submit
+   * @returns {Promise<{reportIds: Array<number>, tx: object}>} - The report IDs (in input order) and transaction information
+   */
+  async submitStatusReports(nodeId, reports) {
+    try {
+      // Under commit-reveal the reports are committed now and revealed automatically later
+      if (await this.isCommitRevealEnabled()) {
+        const { rounds, tx } = await this.commitStatusReports(nodeId, reports);
+        
+        return {
+          reportIds: [],
+          rounds,
+          tx
+        };
+      }
+      
+      const tx = await this.sendTransaction(overrides => this.statusReport.submitReports(
+        reports.map(report => report.websiteId),
+        nodeId,
+        reports.map(report => report.status),
+        reports.map(report => report.responseTime),
+        reports.map(report => report.statusMessage),
+        overrides
+      ));
+      
+      const receipt = await tx.wait();
+      
+      // One ReportSubmitted event is emitted per report, in input order
+      const reportIds = receipt.events
+        .filter(e => e.event === 'ReportSubmitted')
+        .map(e => e.args.reportId.toNumber());
+      
+      this.logger.info(`Submitted ${reportIds.length} status reports in one transaction (${receipt.gasUsed.toString()} gas)`);
+      
+      return {
+        reportIds,
+        tx: receipt
+      };
+    } catch (error) {
+      this.logger.error(`Error submitting status reports: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the ConsensusEngine contract that StatusReport records commitments in
+   * @returns {Promise<object|null>} - The contract, or null if StatusReport has none
+   */
+  async getConsensusEngine() {
+    if (this.consensusEngine === undefined) {
+      const address = await this.statusReport.consensusEngineContract();
+      this.consensusEngine = address === ethers.constants.AddressZero
+        ? null
+        : new ethers.Contract(address, ConsensusEngineABI, this.wallet);
+    }
+    
+    return this.consensusEngine;
+  }
+
+  /**
+   * Check whether reports must be committed and revealed instead of submitted
+   * @returns {Promise<boolean>} - Whether commit-reveal is enabled
+   */
+  async isCommitRevealEnabled() {
+    const consensusEngine = await this.getConsensusEngine();
+    return consensusEngine ? await consensusEngine.commitRevealEnabled() : false;
+  }
+
+  /**
+   * Compute the commitment to a report, as ConsensusEngine.computeCommitment does
+   * @param {number} websiteId - The ID of the website
+   * @param {number} nodeId - The ID of the node
+   * @param {number} status - The status code
+   * @param {number} responseTime - The response time in milliseconds
+   * @param {string} salt - A random bytes32 value kept secret until the reveal
+   * @returns {string} - The commitment
+   */
+  static computeCommitment(websiteId, nodeId, status, responseTime, salt) {
+    return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+      ['uint256', 'uint256', 'uint8', 'uint256', 'bytes32'],
+      [websiteId, nodeId, status, responseTime, salt]
+    ));
+  }
+
+  /**
+   * Commit to status reports for several websites and schedule their reveals
+   * Each report is revealed once its round's commit phase is over. A commitment its website's round
+   * rejects (past its commit phase, already committed to by the node, or full) is dropped; the website
+   * is reported again on its next check.
+   * @param {number} nodeId - The ID of the node
+   * @param {Array<{websiteId: number, status: number, responseTime: number, statusMessage: string}>} reports - The reports to commit
+   * @returns {Promise<{rounds: Array<number>, tx: object}>} - The round of each commitment, or 0 if it was rejected (in input order), and transaction information
+   */
+  async commitStatusReports(nodeId, reports) {
+    const consensusEngine = await this.getConsensusEngine();
+    const salted = reports.map(report => ({ ...report, salt: ethers.utils.hexlify(ethers.utils.randomBytes(32)) }));
+    
+    const tx = await this.sendTransaction(overrides => this.statusReport.commitReports(
+      salted.map(report => report.websiteId),
+      nodeId,
+      salted.map(report => BlockchainService.computeCommitment(
+        report.websiteId,
+        nodeId,
+        report.status,
+        report.responseTime,
+        report.salt
+      )),
+      overrides
+    ));
+    
+    const receipt = await tx.wait();
+    
+    // One ReportCommitted or ReportCommitRejected event is emitted per report, in input order
+    const rounds = receipt.events
+      .filter(e => e.event === 'ReportCommitted' || e.event === 'ReportCommitRejected')
+      .map(e => e.event === 'ReportCommitted' ? e.args.round.toNumber() : 0);
+    
+    // Phases are in chain time, which can run apart from the local clock, so estimate when to
+    // reveal relative to the commit block; the reveal itself waits for a block past the commit phase
+    const block = await this.provider.getBlock(receipt.blockNumber);
+    const committedAt = Date.now();
+    
+    for (let i = 0; i < salted.length; i++) {
+      if (rounds[i] === 0) {
+        this.logger.warn(`Commit for website ${salted[i].websiteId} was rejected by its round; it will be reported on the next check`);
+        continue;
+      }
+      
+      const phases = await consensusEngine.getRoundPhases(salted[i].websiteId, rounds[i]);
+      const pending = {
+        ...salted[i],
+        nodeId,
+        round: rounds[i],
+        commitEnd: phases.commitEnd.toNumber(),
+        revealEnd: phases.revealEnd.toNumber(),
+        revealAt: committedAt + (phases.commitEnd.toNumber() - block.timestamp) * 1000
+      };
+      
+      this.pendingReveals.set(BlockchainService.getRevealKey(pending), pending);
+      this.revealStore.save(pending);
+    }
+    
+    const committed = rounds.filter(round => round !== 0).length;
+    this.logger.info(`Committed ${committed} of ${rounds.length} status reports in one transaction (${receipt.gasUsed.toString()} gas)`);
+    this.scheduleReveals();
+    
+    return {
+      rounds,
+      tx: receipt
+    };
+  }
+
+  /**
+   * Load the pending reveals left by a previous run and schedule them
+   * @returns {number} - The number of pending reveals loaded
+   */
+  resumePendingReveals() {
+    const stored = this.revealStore.loadAll();
+    
+    for (const reveal of stored) {
+      this.pendingReveals.set(BlockchainService.getRevealKey(reveal), reveal);
+    }
+    
+    if (stored.length > 0) {
+      this.logger.info(`Resuming ${stored.length} pending reveals`);
+    }
+    
+    this.scheduleReveals();
+    return stored.length;
+  }
+
+  /**
+   * Drop a pending reveal once it is revealed or missed
+   * @param {object} reveal - The pending reveal
+   */
+  removePendingReveal(reveal) {
+    this.pendingReveals.delete(BlockchainService.getRevealKey(reveal));
+    this.revealStore.remove(reveal.nodeId, reveal.websiteId, reveal.round);
+  }
+
+  /**
+   * Get the key of a pending reveal; nodes sharing this wallet can commit in the same round
+   * @param {object} reveal - The pending reveal, with `nodeId`, `websiteId` and `round`
+   * @returns {string} - The key
+   */
+  static getRevealKey(reveal) {
+    return `${reveal.nodeId}:${reveal.websiteId}:${reveal.round}`;
+  }
+
+  /**
+   * Get the timestamp of the block the next transaction would be mined in
+   * This is the pending block's timestamp, which unlike the latest block's also advances on an idle
+   * chain; nodes that do not serve a pending block fall back to the latest block.
+   * @returns {Promise<number>} - The timestamp in seconds
+   */
+  async getNextBlockTime() {
+    const pending = await this.provider.send('eth_getBlockByNumber', ['pending', false]);
+    
+    if (pending && pending.timestamp) {
+      return ethers.BigNumber.from(pending.timestamp).toNumber();
+    }
+    
+    const latest = await this.provider.getBlock('latest');
+    return latest.timestamp + 1;
+  }
+
+  /**
+   * Set a timer for the earliest pending reveal
+   */
+  scheduleReveals() {
+    clearTimeout(this.revealTimer);
+    this.revealTimer = null;
+    
+    if (this.pendingReveals.size === 0) {
+      return;
+    }
+    
+    const nextRevealAt = Math.min(...[...this.pendingReveals.values()].map(reveal => reveal.revealAt));
+    const delay = Math.max(nextRevealAt - Date.now(), REVEAL_MARGIN_MS);
+    
+    this.revealTimer = setTimeout(() => this.revealDueReports(), delay);
+  }
+
+  /**
+   * Reveal the pending reports whose round is in its reveal phase, one transaction per node
+   * A report is revealed once the next block is past its round's commit phase, so that the reveal
+   * and its gas estimate run in the reveal phase. If a node's transaction fails, its reports are
+   * revealed one by one, so that one report that cannot be revealed (e.g. because its round has
+   * closed) does not make the others miss their reveal phase. Reports whose reveal phase has passed
+   * are dropped; ConsensusEngine penalizes the missed reveal.
+   * @returns {Promise<Array<number>>} - The IDs of the revealed reports
+   */
+  async revealDueReports() {
+    let blockTime;
+    
+    try {
+      blockTime = await this.getNextBlockTime();
+    } catch (error) {
+      this.logger.error(`Error getting the next block time: ${error.message}`);
+      this.scheduleReveals();
+      return [];
+    }
+    
+    const due = [];
+    
+    for (const reveal of [...this.pendingReveals.values()]) {
+      if (blockTime > reveal.revealEnd) {
+        this.logger.warn(`Missed the reveal phase for website ${reveal.websiteId} in round ${reveal.round}`);
+        this.removePendingReveal(reveal);
+      } else if (blockTime > reveal.commitEnd) {
+        due.push(reveal);
+      }
+    }
+    
+    const revealedIds = [];
+    const nodeIds = [...new Set(due.map(reveal => reveal.nodeId))];
+    
+    for (const nodeId of nodeIds) {
+      const reveals = due.filter(reveal => reveal.nodeId === nodeId);
+      
+      try {
+        revealedIds.push(...await this.sendReveals(nodeId, reveals));
+        continue;
+      } catch (error) {
+        // The reports stay pending and are retried until their reveal phase ends
+        this.logger.error(`Error revealing status reports: ${error.message}`);
+      }
+      
+      if (reveals.length === 1) {
+        continue;
+      }
+      
+      this.logger.warn(`Revealing the ${reveals.length} status reports of node ${nodeId} one by one`);
+      
+      for (const reveal of reveals) {
+        try {
+          revealedIds.push(...await this.sendReveals(nodeId, [reveal]));
+        } catch (error) {
+          this.logger.error(`Error revealing the status report for website ${reveal.websiteId} in round ${reveal.round}: ${error.message}`);
+        }
+      }
+    }
+    
+    this.scheduleReveals();
+    return revealedIds;
+  }
+
+  /**
+   * Reveal pending reports of a node in one transaction and drop them once revealed
+   * @param {number} nodeId - The ID of the node
+   * @param {Array<object>} reveals - The pending reveals
+   * @returns {Promise<Array<number>>} - The IDs of the revealed reports
+   */
+  async sendReveals(nodeId, reveals) {
+    const reveal = overrides => this.statusReport.revealReports(
+      reveals.map(reveal => reveal.websiteId),
+      nodeId,
+      reveals.map(reveal => reveal.status),
+      reveals.map(reveal => reveal.responseTime),
+      reveals.map(reveal => reveal.statusMessage),
+      reveals.map(reveal => reveal.salt),
+      overrides
+    );
+    
+    const tx = await this.sendTransaction(reveal);
+    const receipt = await tx.wait();
+    const reportIds = receipt.events
+      .filter(e => e.event === 'ReportSubmitted')
+      .map(e => e.args.reportId.toNumber());
+    
+    for (const reveal of reveals) {
+      this.removePendingReveal(reveal);
+    }
+    
+    this.logger.info(`Revealed ${reportIds.length} status reports in one transaction (${receipt.gasUsed.toString()} gas)`);
+    return reportIds;
+  }
+
+  /**
+   * Submit status reports for several websites, committing to their off-chain details with a Merkle root
+   * @param {number} nodeId - The ID of the node
+   * @param {Array<{websiteId: number, status: number, responseTime: number}>} reports - The reports to submit
+   * @param {string} merkleRoot - The root of the Merkle tree over the reports' leaves
+   * @returns {Promise<{batchId: number, reportIds: Array<number>, tx: object}>} - The batch ID, report IDs (in input order) and transaction information
+   */
+  async submitReportBatchRoot(nodeId, reports, merkleRoot) {
+    try {
+      if (await this.isCommitRevealEnabled()) {
+        throw new Error('Merkle report batches cannot be submitted while commit-reveal is enabled; use REPORT_MODE=full');
+      }
+      
+      const tx = await this.sendTransaction(overrides => this.statusReport.submitReportBatchRoot(
+        reports.map(report => report.websiteId),
+        nodeId,
+        reports.map(report => report.status),
+        reports.map(report => report.responseTime),
+        merkleRoot,
+        overrides
+      ));
+      
+      const receipt = await tx.wait();
+      
+      const reportIds = receipt.events
+        .filter(e => e.event === 'ReportSubmitted')
+        .map(e => e.args.reportId.toNumber());
+      const event = receipt.events.find(e => e.event === 'ReportBatchCommitted');
+      const batchId = event ? event.args.batchId.toNumber() : null;
+      
+      this.logger.info(`Committed report batch ${batchId} with ${reportIds.length} reports (${receipt.gasUsed.toString()} gas)`);
+      
+      return {
+        batchId,
+        reportIds,
+        tx: receipt
+      };
+    } catch (error) {
+      this.logger.error(`Error committing report batch: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a detailed check result against its batch's on-chain Merkle root
+   * @param {number} batchId - The ID of the batch
+   * @param {number} reportId - The ID of the report
+   * @param {string} detailsHash - The keccak256 hash of the detailed check result
+   * @param {Array<string>} proof - The Merkle proof for the report's leaf
+   * @returns {Promise<boolean>} - Whether the result is valid
+   */
+  async verifyReport(batchId, reportId, detailsHash, proof) {
+    try {
+      return await this.statusReport.verifyReport(batchId, reportId, detailsHash, proof);
+    } catch (error) {
+      this.logger.error(`Error verifying report ${reportId}: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get the details of a node
    * @param {number} nodeId - The ID of the node
@@ -295,10 +925,40 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Claim the rewards accrued by a node
+   * The rewards are paid to the node's payout address (the node owner unless set otherwise).
+   * @param {number} nodeId - The ID of the node
+   * @returns {Promise<{amount: string, tx: object}>} - The claimed amount in UPT and transaction information
+   */
+  async claimRewards(nodeId) {
+    if (!this.rewardDistribution) {
+      throw new Error('RewardDistribution contract not available');
+    }
+    
+    try {
+      const tx = await this.sendTransaction(overrides => this.rewardDistribution.claimRewards(nodeId, overrides));
+      const receipt = await tx.wait();
+      
+      const event = receipt.events.find(e => e.event === 'NodeRewardPaid');
+      const amount = event ? ethers.utils.formatEther(event.args.amount) : '0.0';
+      
+      this.logger.info(`Claimed ${amount} UPT of rewards for node ${nodeId}`);
+      
+      return {
+        amount,
+        tx: receipt
+      };
+    } catch (error) {
+      this.logger.error(`Error claiming rewards: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get the rewards earned by a node (if RewardDistribution contract is available)
    * @param {number} nodeId - The ID of the node
-   * @returns {Promise<object|null>} - The node rewards or null if not available
+   * @returns {Promise<object|null>} - The total, claimable and claimed rewards in UPT, or null if not available
    */
   async getNodeRewards(nodeId) {
     if (!this.rewardDistribution) {
@@ -310,9 +970,9 @@ class BlockchainService {
       const rewards = await this.rewardDistribution.getNodeRewards(nodeId);
       
       return {
-        total: ethers.utils.formatEther(rewards[0]),
-        pending: ethers.utils.formatEther(rewards[1]),
-        claimed: ethers.utils.formatEther(rewards[2])
+        total: ethers.utils.formatEther(rewards.total),
+        claimable: ethers.utils.formatEther(rewards.claimable),
+        claimed: ethers.utils.formatEther(rewards.claimed)
       };
     } catch (error) {
       this.logger.error(`Error getting node rewards: ${error.message}`);
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Length of the AES-GCM authentication tag appended to the ciphertext
+const AUTH_TAG_LENGTH = 16;
+
+class CheckSecrets {
+  constructor(logger) {
+    this.logger = logger;
+    this.privateKey = this.loadPrivateKey();
+  }
+
+  /**
+   * Load the network private key used to decrypt website request secrets
+   * @returns {crypto.KeyObject|null} - The private key, or null if none is configured
+   */
+  loadPrivateKey() {
+    try {
+      let pem = null;
+      
+      if (process.env.CHECK_SECRETS_PRIVATE_KEY_FILE) {
+        pem = fs.readFileSync(process.env.CHECK_SECRETS_PRIVATE_KEY_FILE, 'utf8');
+      } else if (process.env.CHECK_SECRETS_PRIVATE_KEY) {
+        // .env files cannot hold multi-line values, so newlines may be escaped
+        pem = process.env.CHECK_SECRETS_PRIVATE_KEY.replace(/\\n/g, '\n');
+      }
+      
+      return pem ? crypto.createPrivateKey(pem) : null;
+    } catch (error) {
+      this.logger.error(`Error loading check secrets private key: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Decrypt an encrypted secrets envelope from a website's check configuration
+   * @param {{key: string, iv: string, data: string}} envelope - Base64 RSA-OAEP wrapped AES key, GCM IV and ciphertext with tag
+   * @returns {object} - The decrypted secrets (e.g. `{headers, auth}`)
+   */
+  decrypt(envelope) {
+    if (!this.privateKey) {
+      throw new Error('Website requires request secrets but no CHECK_SECRETS_PRIVATE_KEY is configured');
+    }
+    
+    const aesKey = crypto.privateDecrypt(
+      {
+        key: this.privateKey,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: 'sha256'
+      },
+      Buffer.from(envelope.key, 'base64')
+    );
+    
+    const data = Buffer.from(envelope.data, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', aesKey, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(data.subarray(data.length - AUTH_TAG_LENGTH));
+    
+    const plaintext = Buffer.concat([
+      decipher.update(data.subarray(0, data.length - AUTH_TAG_LENGTH)),
+      decipher.final()
+    ]);
+    
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+}
+
+module.exports = CheckSecrets;
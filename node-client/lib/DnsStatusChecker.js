@@ -0,0 +1,122 @@
+const { Resolver } = require('dns').promises;
+
+class DnsStatusChecker {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.Resolver = options.Resolver || Resolver; // Resolver class with the API of dns.promises.Resolver, e.g. a stub
+    this.timeout = process.env.TIMEOUT_MS || 5000; // Default timeout: 5 seconds
+  }
+
+  /**
+   * Check that a hostname resolves
+   * @param {string} url - The hostname, or a URL containing it
+   * @param {object} [config] - The website's check configuration
+   * @param {string} [config.recordType] - The DNS record type to resolve (default: A)
+   * @param {Array<string>} [config.expected] - Values of which at least one must be returned
+   * @param {Array<string>} [config.servers] - DNS servers to query instead of the system resolver
+   * @param {number} [config.timeoutMs] - Lookup timeout for this target (defaults to TIMEOUT_MS)
+   * @param {object} [config.latency] - Latency thresholds ({warningMs, criticalMs})
+   * @returns {Promise<object>} - The status check result
+   */
+  async checkWebsite(url, config = {}) {
+    this.logger.info(`Checking DNS resolution: ${url}`);
+    
+    const recordType = (config.recordType || 'A').toUpperCase();
+    const latency = config.latency || {};
+    const timeoutMs = Number(config.timeoutMs || this.timeout);
+    const warningMs = Number(latency.warningMs ?? timeoutMs * 0.8);
+    const criticalMs = latency.criticalMs !== undefined ? Number(latency.criticalMs) : null;
+    
+    let hostname;
+    let resolver;
+    try {
+      hostname = url.includes('://') ? new URL(url).hostname : url.split('/')[0];
+      resolver = new this.Resolver({ timeout: timeoutMs, tries: 1 });
+      
+      if (config.servers && config.servers.length > 0) {
+        resolver.setServers(config.servers);
+      }
+    } catch (error) {
+      this.logger.error(`Invalid DNS check of ${url}: ${error.message}`);
+      
+      // A lookup that cannot be made (e.g. an invalid server) says nothing about the hostname
+      return {
+        url,
+        status: 0, // Unknown
+        responseTime: 0,
+        httpStatus: null,
+        message: `Unknown - Invalid DNS check configuration: ${error.message}`
+      };
+    }
+    
+    const startTime = Date.now();
+    
+    try {
+      const records = await resolver.resolve(hostname, recordType);
+      
+      const responseTime = Date.now() - startTime;
+      const values = records.map(record => this.formatRecord(record));
+      this.logger.debug(`Resolved ${hostname} (${recordType}) in ${responseTime}ms: ${values.join(', ')}`);
+      
+      // A lookup slower than the critical threshold is as good as none, like a slow HTTP response
+      if (criticalMs !== null && responseTime > criticalMs) {
+        return {
+          url,
+          status: 2, // Offline
+          responseTime,
+          httpStatus: null,
+          message: `Offline - DNS lookup time ${responseTime}ms for ${hostname} exceeds critical threshold of ${criticalMs}ms`
+        };
+      }
+      
+      if (config.expected && config.expected.length > 0 &&
+          !values.some(value => config.expected.includes(value))) {
+        return {
+          url,
+          status: 3, // Degraded
+          responseTime,
+          httpStatus: null,
+          message: `Degraded - ${recordType} ${hostname} resolved to unexpected ${values.join(', ')} - Lookup time: ${responseTime}ms`
+        };
+      }
+      
+      return {
+        url,
+        status: responseTime > warningMs ? 3 : 1,
+        responseTime,
+        httpStatus: null,
+        message: responseTime > warningMs
+          ? `Degraded - Slow DNS lookup for ${hostname}: ${responseTime}ms`
+          : `Online - ${recordType} ${hostname} resolved to ${values.join(', ')} - Lookup time: ${responseTime}ms`
+      };
+    } catch (error) {
+      const responseTime = Date.now() - startTime;
+      this.logger.error(`Error resolving ${hostname}: ${error.message}`);
+      
+      return {
+        url,
+        status: 2, // Offline
+        responseTime,
+        httpStatus: null,
+        message: `Offline - ${recordType} lookup for ${hostname} failed: ${error.code || error.message}`
+      };
+    }
+  }
+
+  /**
+   * Convert a resolved record to a comparable string
+   * @param {string|object} record - A record as returned by the resolver
+   * @returns {string} - The record value (e.g. an address, or the exchange of an MX record)
+   */
+  formatRecord(record) {
+    if (typeof record === 'string') {
+      return record;
+    }
+    if (Array.isArray(record)) {
+      return record.join(''); // TXT records are split into chunks
+    }
+    return record.exchange || record.value || record.name || JSON.stringify(record);
+  }
+}
+
+module.exports = DnsStatusChecker;
@@ -0,0 +1,111 @@
+const { ethers } = require('ethers');
+
+/**
+ * Merkle tree over status report leaves, compatible with OpenZeppelin's MerkleProof
+ * Pairs are hashed in sorted order, and an unpaired node is carried up to the next level.
+ */
+class MerkleTree {
+  /**
+   * @param {Array<string>} leaves - The leaf hashes (0x-prefixed bytes32)
+   */
+  constructor(leaves) {
+    if (leaves.length === 0) {
+      throw new Error('Cannot build a Merkle tree without leaves');
+    }
+    
+    this.levels = [leaves];
+    
+    while (this.levels[this.levels.length - 1].length > 1) {
+      const level = this.levels[this.levels.length - 1];
+      const next = [];
+      
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(i + 1 < level.length ? MerkleTree.hashPair(level[i], level[i + 1]) : level[i]);
+      }
+      
+      this.levels.push(next);
+    }
+  }
+
+  /**
+   * Hash the details of a check result kept off-chain
+   * @param {string} details - The serialized check result
+   * @returns {string} - The keccak256 hash of the details
+   */
+  static hashDetails(details) {
+    return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(details));
+  }
+
+  /**
+   * Hash a report leaf the same way as StatusReport.verifyReport
+   * @param {number} websiteId - The ID of the website
+   * @param {number} status - The status code
+   * @param {number} responseTime - The response time in milliseconds
+   * @param {string} detailsHash - The hash of the detailed check result
+   * @returns {string} - The leaf hash
+   */
+  static hashLeaf(websiteId, status, responseTime, detailsHash) {
+    const encoded = ethers.utils.defaultAbiCoder.encode(
+      ['uint256', 'uint8', 'uint256', 'bytes32'],
+      [websiteId, status, responseTime, detailsHash]
+    );
+    
+    // Double hashing prevents a leaf from being passed off as an inner node
+    return ethers.utils.keccak256(ethers.utils.keccak256(encoded));
+  }
+
+  /**
+   * Hash two nodes in sorted order
+   * @param {string} a - The first node
+   * @param {string} b - The second node
+   * @returns {string} - The parent node
+   */
+  static hashPair(a, b) {
+    const [left, right] = ethers.BigNumber.from(a).lte(b) ? [a, b] : [b, a];
+    return ethers.utils.keccak256(ethers.utils.concat([left, right]));
+  }
+
+  /**
+   * Verify a proof for a leaf against a root
+   * @param {Array<string>} proof - The sibling hashes from the leaf up to the root
+   * @param {string} root - The Merkle root
+   * @param {string} leaf - The leaf hash
+   * @returns {boolean} - Whether the proof is valid
+   */
+  static verify(proof, root, leaf) {
+    const computed = proof.reduce((node, sibling) => MerkleTree.hashPair(node, sibling), leaf);
+    return computed.toLowerCase() === root.toLowerCase();
+  }
+
+  /**
+   * Get the Merkle root
+   * @returns {string} - The root hash
+   */
+  getRoot() {
+    return this.levels[this.levels.length - 1][0];
+  }
+
+  /**
+   * Get the proof for the leaf at an index
+   * @param {number} index - The index of the leaf
+   * @returns {Array<string>} - The sibling hashes from the leaf up to the root
+   */
+  getProof(index) {
+    const proof = [];
+    
+    for (let level = 0; level < this.levels.length - 1; level++) {
+      const nodes = this.levels[level];
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      
+      if (sibling < nodes.length) {
+        proof.push(nodes[sibling]);
+      }
+      
+      index = Math.floor(index / 2);
+    }
+    
+    return proof;
+  }
+}
+
+module.exports = MerkleTree;
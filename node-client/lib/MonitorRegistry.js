@@ -0,0 +1,84 @@
+const WebsiteStatusChecker = require('./WebsiteStatusChecker');
+const TcpStatusChecker = require('./TcpStatusChecker');
+const DnsStatusChecker = require('./DnsStatusChecker');
+
+// Monitor type used for websites whose check configuration does not name one
+const DEFAULT_MONITOR_TYPE = 'http';
+
+class MonitorRegistry {
+  constructor(logger) {
+    this.logger = logger;
+    this.checkers = new Map();
+    
+    // Built-in monitor types
+    this.register('http', new WebsiteStatusChecker(this.logger));
+    this.register('tcp', new TcpStatusChecker(this.logger));
+    this.register('dns', new DnsStatusChecker(this.logger));
+  }
+
+  /**
+   * Register a checker for a monitor type
+   * @param {string} type - The monitor type (e.g. 'http', 'tcp')
+   * @param {object} checker - An object with a `checkWebsite(url, config)` method
+   */
+  register(type, checker) {
+    if (!checker || typeof checker.checkWebsite !== 'function') {
+      throw new Error(`Checker for monitor type "${type}" must implement checkWebsite(url, config)`);
+    }
+    
+    this.checkers.set(type.toLowerCase(), checker);
+  }
+
+  /**
+   * Get the checker for a monitor type
+   * @param {string} [type] - The monitor type (defaults to 'http')
+   * @returns {object} - The checker for the monitor type
+   */
+  getChecker(type = DEFAULT_MONITOR_TYPE) {
+    const checker = this.checkers.get((type || DEFAULT_MONITOR_TYPE).toLowerCase());
+    
+    if (!checker) {
+      throw new Error(`Unsupported monitor type: ${type}`);
+    }
+    
+    return checker;
+  }
+
+  /**
+   * Get the checker for a website
+   * A website whose check configuration names no type is checked by the monitor type of its URL
+   * scheme (e.g. `tcp://host:port`); http://, https:// and scheme-less URLs use the default type.
+   * @param {string} url - The URL of the website
+   * @param {object} [config] - The website's check configuration
+   * @returns {object} - The checker for the website's monitor type
+   */
+  getCheckerForWebsite(url, config = {}) {
+    return this.getChecker(config.type || this.getTypeFromUrl(url));
+  }
+
+  /**
+   * Get the monitor type implied by a URL scheme
+   * @param {string} url - The URL of the website
+   * @returns {string} - The monitor type
+   */
+  getTypeFromUrl(url) {
+    const match = /^([a-z][a-z0-9+.-]*):\/\//i.exec(url || '');
+    const scheme = match ? match[1].toLowerCase() : null;
+    
+    if (!scheme || scheme === 'http' || scheme === 'https') {
+      return DEFAULT_MONITOR_TYPE;
+    }
+    
+    return scheme;
+  }
+
+  /**
+   * Get all registered monitor types
+   * @returns {Array<string>} - The registered monitor types
+   */
+  getTypes() {
+    return Array.from(this.checkers.keys());
+  }
+}
+
+module.exports = MonitorRegistry;
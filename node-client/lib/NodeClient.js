@@ -1,15 +1,49 @@
 const axios = require('axios');
 const { ethers } = require('ethers');
 const cron = require('node-cron');
-const WebsiteStatusChecker = require('./WebsiteStatusChecker');
+const MonitorRegistry = require('./MonitorRegistry');
 const BlockchainService = require('./BlockchainService');
+const MerkleTree = require('./MerkleTree');
+const ReportArchive = require('./ReportArchive');
+
+const MINUTE_MS = 60 * 1000;
+const SCHEDULE_TOLERANCE_MS = 5000; // Absorbs timer drift so a site is not pushed back a whole tick
+const DEFAULT_CONFIRM_RETRIES = 2;
+
+/**
+ * Parse a count from an environment variable, where 0 is a valid value
+ * @param {string|undefined} value - The raw value
+ * @param {number} fallback - The count to use when the value is unset, empty or not a non-negative integer
+ * @returns {number} - The count
+ */
+function parseCount(value, fallback) {
+  const count = Number(value);
+  return value !== undefined && value.trim() !== '' && Number.isInteger(count) && count >= 0 ? count : fallback;
+}
 
 class NodeClient {
   constructor(logger) {
     this.logger = logger;
     this.blockchainService = new BlockchainService(this.logger);
-    this.statusChecker = new WebsiteStatusChecker(this.logger);
+    this.monitors = new MonitorRegistry(this.logger);
+    this.confirmRetries = parseCount(process.env.CONFIRM_RETRIES, DEFAULT_CONFIRM_RETRIES); // Extra attempts before reporting Offline
+    this.retryBackoffMs = Number(process.env.RETRY_BACKOFF_MS || 1000); // Delay before the first retry, doubled each time
+    this.concurrency = Number(process.env.CHECK_CONCURRENCY || 5); // Websites checked in parallel per run
+    this.websiteRefreshMinutes = Number(process.env.WEBSITE_REFRESH_MINUTES || 5); // How often the website list is reloaded
+    this.reportBatchSize = Number(process.env.REPORT_BATCH_SIZE || 20); // Reports submitted per transaction in scheduled runs
+    this.reportMode = process.env.REPORT_MODE || 'full'; // 'full' stores messages on-chain, 'merkle' commits a root per batch
+    this.reportArchive = new ReportArchive(this.logger);
     this.cronJobs = [];
+    this.websites = null;
+    this.websitesRefreshedAt = 0;
+    this.lastCheckedAt = new Map(); // Website ID -> time its last scheduled check started
+    this.currentRun = null;
+    this.runMetrics = {
+      completedRuns: 0,
+      skippedRuns: 0,
+      averageDurationMs: 0,
+      lastRun: null
+    };
   }
 
   /**
@@ -23,23 +57,82 @@ class NodeClient {
     return await this.blockchainService.registerNode(name, endpoint);
   }
 
+  /**
+   * Authorize or revoke a delegate key that may submit reports for a node
+   * @param {number} nodeId - The ID of the node
+   * @param {string} delegate - The address of the delegate key
+   * @param {boolean} [authorized] - Whether the delegate is authorized
+   * @returns {Promise<{tx: object}>} - The transaction information
+   */
+  async setNodeDelegate(nodeId, delegate, authorized = true) {
+    this.logger.info(`${authorized ? 'Authorizing' : 'Revoking'} delegate ${delegate} for node: ${nodeId}`);
+    return await this.blockchainService.setNodeDelegate(nodeId, delegate, authorized);
+  }
+
+  /**
+   * Add UPT to a node's stake
+   * @param {number} nodeId - The ID of the node
+   * @param {string} amount - The amount of UPT to add
+   * @returns {Promise<{tx: object}>} - The transaction information
+   */
+  async increaseStake(nodeId, amount) {
+    this.logger.info(`Adding ${amount} UPT to the stake of node: ${nodeId}`);
+    return await this.blockchainService.increaseStake(nodeId, amount);
+  }
+
+  /**
+   * Start unbonding part of a node's stake
+   * @param {number} nodeId - The ID of the node
+   * @param {string} amount - The amount of UPT to unstake
+   * @returns {Promise<{tx: object}>} - The transaction information
+   */
+  async requestUnstake(nodeId, amount) {
+    this.logger.info(`Unstaking ${amount} UPT from node: ${nodeId}`);
+    return await this.blockchainService.requestUnstake(nodeId, amount);
+  }
+
+  /**
+   * Withdraw a node's stake once its unbonding period has passed
+   * @param {number} nodeId - The ID of the node
+   * @returns {Promise<{tx: object}>} - The transaction information
+   */
+  async withdrawStake(nodeId) {
+    this.logger.info(`Withdrawing unbonded stake of node: ${nodeId}`);
+    return await this.blockchainService.withdrawStake(nodeId);
+  }
+
+  /**
+   * Claim the rewards accrued by a node
+   * @param {number} nodeId - The ID of the node
+   * @returns {Promise<{amount: string, tx: object}>} - The claimed amount and transaction information
+   */
+  async claimRewards(nodeId) {
+    this.logger.info(`Claiming rewards for node: ${nodeId}`);
+    return await this.blockchainService.claimRewards(nodeId);
+  }
+
   /**
    * Check the status of a specific website
    * @param {number} websiteId - The ID of the website to check
    * @param {number} nodeId - The ID of the node performing the check
-   * @returns {Promise<object>} - The check result and transaction information
+   * @returns {Promise<object>} - The check result and transaction information (null for an Unknown result, which is not reported)
    */
   async checkWebsite(websiteId, nodeId) {
     this.logger.info(`Checking website with ID: ${websiteId} as node: ${nodeId}`);
     
     try {
-      // Get website details from the blockchain
-      const websiteDetails = await this.blockchainService.getWebsiteDetails(websiteId);
-      this.logger.debug(`Website details: ${JSON.stringify(websiteDetails)}`);
+      const statusResult = await this.runCheck(websiteId);
       
-      // Check the website status
-      const statusResult = await this.statusChecker.checkWebsite(websiteDetails.url);
-      this.logger.debug(`Status check result: ${JSON.stringify(statusResult)}`);
+      // An Unknown result says nothing about the website, so it is not reported
+      if (statusResult.status === 0) {
+        this.logger.warn(`Not reporting website ${websiteId}: ${statusResult.message}`);
+        return {
+          websiteId,
+          nodeId,
+          statusResult,
+          reportResult: null
+        };
+      }
       
       // Report the status to the blockchain
       const reportResult = await this.blockchainService.submitStatusReport(
@@ -63,47 +156,372 @@ class NodeClient {
   }
 
   /**
-   * Start automatic checking of all active websites
-   * @param {number} intervalMinutes - The interval in minutes between checks
+   * Check a website without reporting the result
+   * @param {number} websiteId - The ID of the website to check
+   * @returns {Promise<object>} - The check result
+   */
+  async runCheck(websiteId) {
+    // Get website details from the blockchain
+    const websiteDetails = await this.blockchainService.getWebsiteDetails(websiteId);
+    this.logger.debug(`Website details: ${JSON.stringify(websiteDetails)}`);
+    
+    // Check the website status with the checker for its monitor type
+    const checker = this.monitors.getCheckerForWebsite(websiteDetails.url, websiteDetails.checkConfig);
+    const statusResult = await this.checkWithConfirmation(checker, websiteDetails.url, websiteDetails.checkConfig);
+    this.logger.debug(`Status check result: ${JSON.stringify(statusResult)}`);
+    
+    return statusResult;
+  }
+
+  /**
+   * Run a check, retrying with exponential backoff before an Offline result is accepted
+   * Transient packet loss on the node's own connection should not turn into an Offline report.
+   * @param {object} checker - The checker for the website's monitor type
+   * @param {string} url - The URL of the website
+   * @param {object} config - The website's check configuration
+   * @returns {Promise<object>} - The final check result, with the number of `attempts` made
+   */
+  async checkWithConfirmation(checker, url, config) {
+    const confirmation = config.confirmation || {};
+    const retries = confirmation.retries ?? this.confirmRetries;
+    const backoffMs = confirmation.backoffMs ?? this.retryBackoffMs;
+    
+    let attempts = 0;
+    let result;
+    
+    while (true) {
+      attempts++;
+      result = await checker.checkWebsite(url, config);
+      
+      if (result.status !== 2 || attempts > retries) {
+        break;
+      }
+      
+      const delay = backoffMs * 2 ** (attempts - 1);
+      this.logger.warn(`${url} appears offline (attempt ${attempts}/${retries + 1}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    
+    if (result.status === 2 && attempts > 1) {
+      result.message = `${result.message} - Confirmed after ${attempts} attempts`;
+    }
+    
+    return { ...result, attempts };
+  }
+
+  /**
+   * Check the websites that are due, with bounded parallelism
+   * A run is skipped if the previous one is still in progress; its due websites are picked up by the next run.
    * @param {number} nodeId - The ID of the node performing the checks
-   * @returns {Promise<void>}
+   * @param {number} [defaultFrequency] - Check frequency in minutes for websites without one on-chain
+   * @returns {Promise<object|null>} - The run metrics, or null if the run was skipped or nothing was due
    */
-  async startAutomaticChecking(intervalMinutes, nodeId) {
-    this.logger.info(`Starting automatic website checking every ${intervalMinutes} minutes as node: ${nodeId}`);
+  async runScheduledChecks(nodeId, defaultFrequency = 5) {
+    if (this.currentRun) {
+      this.runMetrics.skippedRuns++;
+      this.logger.warn('Previous check run is still in progress, skipping this run');
+      return null;
+    }
     
-    // Stop any existing cron jobs
-    this.stopAutomaticChecking();
+    this.currentRun = this.executeCheckRun(nodeId, defaultFrequency);
     
-    // Create a new cron job for checking websites
-    const cronExpression = `*/${intervalMinutes} * * * *`; // Run every X minutes
-    const job = cron.schedule(cronExpression, async () => {
+    try {
+      return await this.currentRun;
+    } finally {
+      this.currentRun = null;
+    }
+  }
+
+  /**
+   * Execute a check run over the due websites and record its metrics
+   * @param {number} nodeId - The ID of the node performing the checks
+   * @param {number} defaultFrequency - Check frequency in minutes for websites without one on-chain
+   * @returns {Promise<object|null>} - The run metrics, or null if no website was due
+   */
+  async executeCheckRun(nodeId, defaultFrequency) {
+    const startedAt = Date.now();
+    const run = {
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: 0,
+      websites: 0,
+      succeeded: 0,
+      failed: 0
+    };
+    let shortestFrequency = null;
+    
+    try {
+      const websites = await this.getDueWebsites(defaultFrequency, startedAt);
+      if (websites.length === 0) {
+        this.logger.debug('No websites due for checking');
+        return null;
+      }
+      
+      run.websites = websites.length;
+      shortestFrequency = Math.min(...websites.map(website => this.getCheckFrequency(website, defaultFrequency)));
+      this.logger.info(`Found ${websites.length} websites due for checking (concurrency: ${this.concurrency})`);
+      
+      // Record the start time up front so a failing website is retried on its schedule, not every tick
+      for (const website of websites) {
+        this.lastCheckedAt.set(website.id, startedAt);
+      }
+      
+      // Buffer the results and submit them in batches once every website has been checked
+      const results = [];
+      
+      await this.runWithConcurrency(websites, this.concurrency, async (website) => {
+        try {
+          const statusResult = await this.runCheck(website.id);
+          results.push({ websiteId: website.id, statusResult });
+          this.logger.info(`Successfully checked website ${website.id} (${website.url})`);
+        } catch (error) {
+          run.failed++;
+          this.logger.error(`Error checking website ${website.id}: ${error.message}`);
+          // Continue with other websites even if one fails
+        }
+      });
+      
+      const flushed = await this.flushReports(nodeId, results);
+      run.succeeded += flushed.submitted;
+      run.failed += flushed.failed;
+    } catch (error) {
+      this.logger.error(`Error in automatic checking: ${error.message}`);
+    }
+    
+    run.durationMs = Date.now() - startedAt;
+    this.recordRunMetrics(run);
+    
+    this.logger.info(`Check run finished in ${run.durationMs}ms: ${run.succeeded} succeeded, ${run.failed} failed`);
+    if (shortestFrequency && run.durationMs > shortestFrequency * MINUTE_MS) {
+      this.logger.warn(`Check run took longer than the shortest check frequency (${shortestFrequency} minutes); consider raising CHECK_CONCURRENCY`);
+    }
+    
+    return run;
+  }
+
+  /**
+   * Submit buffered check results in batches of `reportBatchSize` reports per transaction
+   * Unknown results (e.g. a request that could not be built) say nothing about the website and are not submitted.
+   * @param {number} nodeId - The ID of the node performing the checks
+   * @param {Array<{websiteId: number, statusResult: object}>} results - The buffered check results
+   * @returns {Promise<{submitted: number, failed: number}>} - The number of reports submitted and lost
+   */
+  async flushReports(nodeId, results) {
+    const batchSize = Math.max(this.reportBatchSize, 1);
+    const batches = [];
+    
+    const known = results.filter(({ websiteId, statusResult }) => {
+      if (statusResult.status === 0) {
+        this.logger.warn(`Not reporting website ${websiteId}: ${statusResult.message}`);
+        return false;
+      }
+      return true;
+    });
+    
+    for (let i = 0; i < known.length; i += batchSize) {
+      batches.push(known.slice(i, i + batchSize));
+    }
+    
+    // Transactions are queued with consecutive nonces, so receipts are awaited in parallel
+    const outcomes = await Promise.all(batches.map(async (batch) => {
       try {
-        this.logger.info('Running scheduled website checks...');
-        
-        // Get all active websites from the blockchain
-        const websites = await this.blockchainService.getActiveWebsites();
-        this.logger.info(`Found ${websites.length} active websites to check`);
-        
-        // Check each website
-        for (const website of websites) {
-          try {
-            await this.checkWebsite(website.id, nodeId);
-            this.logger.info(`Successfully checked website ${website.id} (${website.url})`);
-          } catch (error) {
-            this.logger.error(`Error checking website ${website.id}: ${error.message}`);
-            // Continue with next website even if one fails
-          }
+        if (this.reportMode === 'merkle') {
+          await this.commitReportBatch(nodeId, batch);
+        } else {
+          await this.blockchainService.submitStatusReports(nodeId, batch.map(({ websiteId, statusResult }) => ({
+            websiteId,
+            status: statusResult.status,
+            responseTime: statusResult.responseTime,
+            statusMessage: statusResult.message
+          })));
         }
+        return { submitted: batch.length, failed: 0 };
       } catch (error) {
-        this.logger.error(`Error in automatic checking: ${error.message}`);
+        this.logger.error(`Error submitting reports for websites ${batch.map(result => result.websiteId).join(', ')}: ${error.message}`);
+        return { submitted: 0, failed: batch.length };
       }
+    }));
+    
+    return outcomes.reduce(
+      (total, outcome) => ({ submitted: total.submitted + outcome.submitted, failed: total.failed + outcome.failed }),
+      { submitted: 0, failed: 0 }
+    );
+  }
+
+  /**
+   * Commit a batch of check results by Merkle root, keeping the detailed results in the local archive
+   * @param {number} nodeId - The ID of the node performing the checks
+   * @param {Array<{websiteId: number, statusResult: object}>} batch - The check results to commit
+   * @returns {Promise<object>} - The archived batch
+   */
+  async commitReportBatch(nodeId, batch) {
+    const reports = batch.map(({ websiteId, statusResult }) => {
+      const details = JSON.stringify(statusResult);
+      const detailsHash = MerkleTree.hashDetails(details);
+      
+      return {
+        websiteId,
+        status: statusResult.status,
+        responseTime: statusResult.responseTime,
+        details,
+        detailsHash,
+        leaf: MerkleTree.hashLeaf(websiteId, statusResult.status, statusResult.responseTime, detailsHash)
+      };
     });
     
+    const tree = new MerkleTree(reports.map(report => report.leaf));
+    const merkleRoot = tree.getRoot();
+    
+    const { batchId, reportIds } = await this.blockchainService.submitReportBatchRoot(nodeId, reports, merkleRoot);
+    
+    const archived = {
+      batchId,
+      nodeId: Number(nodeId),
+      merkleRoot,
+      reports: reports.map((report, index) => ({
+        reportId: reportIds[index],
+        websiteId: report.websiteId,
+        status: report.status,
+        responseTime: report.responseTime,
+        details: report.details,
+        detailsHash: report.detailsHash,
+        proof: tree.getProof(index)
+      }))
+    };
+    
+    this.reportArchive.save(archived);
+    return archived;
+  }
+
+  /**
+   * Get an archived check result with its Merkle proof, verified against the on-chain root
+   * @param {number} reportId - The ID of the report
+   * @returns {Promise<object>} - The batch ID, Merkle root, archived report and verification result
+   */
+  async getReportProof(reportId) {
+    const found = this.reportArchive.findReport(reportId);
+    if (!found) {
+      throw new Error(`Report ${reportId} is not in the local report archive`);
+    }
+    
+    const { batch, report } = found;
+    const verified = await this.blockchainService.verifyReport(batch.batchId, report.reportId, report.detailsHash, report.proof);
+    
+    return {
+      batchId: batch.batchId,
+      merkleRoot: batch.merkleRoot,
+      report,
+      verified
+    };
+  }
+
+  /**
+   * Get the active websites whose check frequency has elapsed since their last check
+   * The website list (and each website's frequency) is reloaded every `websiteRefreshMinutes`.
+   * @param {number} defaultFrequency - Check frequency in minutes for websites without one on-chain
+   * @param {number} [now] - The current time in milliseconds
+   * @returns {Promise<Array<object>>} - The websites due for checking
+   */
+  async getDueWebsites(defaultFrequency, now = Date.now()) {
+    if (!this.websites || now - this.websitesRefreshedAt >= this.websiteRefreshMinutes * MINUTE_MS) {
+      this.websites = await this.blockchainService.getActiveWebsites();
+      this.websitesRefreshedAt = now;
+      
+      // Forget websites that were deactivated
+      const activeIds = new Set(this.websites.map(website => website.id));
+      for (const websiteId of this.lastCheckedAt.keys()) {
+        if (!activeIds.has(websiteId)) {
+          this.lastCheckedAt.delete(websiteId);
+        }
+      }
+    }
+    
+    return this.websites.filter(website => {
+      const lastCheckedAt = this.lastCheckedAt.get(website.id);
+      if (lastCheckedAt === undefined) {
+        return true;
+      }
+      
+      const frequencyMs = this.getCheckFrequency(website, defaultFrequency) * MINUTE_MS;
+      return now - lastCheckedAt >= frequencyMs - SCHEDULE_TOLERANCE_MS;
+    });
+  }
+
+  /**
+   * Get the check frequency of a website
+   * @param {object} website - The website, as returned by `getActiveWebsites`
+   * @param {number} defaultFrequency - Check frequency in minutes used if the website has none
+   * @returns {number} - The check frequency in minutes
+   */
+  getCheckFrequency(website, defaultFrequency) {
+    return Number(website.checkFrequency || defaultFrequency);
+  }
+
+  /**
+   * Process items with a fixed number of concurrent workers
+   * @param {Array} items - The items to process
+   * @param {number} concurrency - The maximum number of items processed at once
+   * @param {Function} worker - Async function called for each item
+   * @returns {Promise<void>}
+   */
+  async runWithConcurrency(items, concurrency, worker) {
+    let nextIndex = 0;
+    
+    const workers = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, async () => {
+      while (nextIndex < items.length) {
+        const item = items[nextIndex++];
+        await worker(item);
+      }
+    });
+    
+    await Promise.all(workers);
+  }
+
+  /**
+   * Add a finished run to the run metrics
+   * @param {object} run - The metrics of the finished run
+   */
+  recordRunMetrics(run) {
+    const metrics = this.runMetrics;
+    
+    metrics.averageDurationMs = Math.round(
+      (metrics.averageDurationMs * metrics.completedRuns + run.durationMs) / (metrics.completedRuns + 1)
+    );
+    metrics.completedRuns++;
+    metrics.lastRun = run;
+  }
+
+  /**
+   * Start automatic checking of all active websites
+   * Every minute, the websites whose owner-chosen check frequency has elapsed are checked.
+   * @param {number} defaultFrequency - Check frequency in minutes for websites without one on-chain
+   * @param {number} nodeId - The ID of the node performing the checks
+   * @param {number} [concurrency] - The number of websites checked in parallel
+   * @returns {Promise<void>}
+   */
+  async startAutomaticChecking(defaultFrequency, nodeId, concurrency = this.concurrency) {
+    this.logger.info(`Starting automatic website checking as node: ${nodeId} (default frequency: ${defaultFrequency} minutes)`);
+    
+    // Stop any existing cron jobs
+    this.stopAutomaticChecking();
+    this.concurrency = Number(concurrency);
+    this.websites = null;
+    this.lastCheckedAt.clear();
+    
+    // Reveal reports committed before a restart; checking goes on without them if they cannot be loaded
+    try {
+      this.blockchainService.resumePendingReveals();
+    } catch (error) {
+      this.logger.error(`Failed to resume pending reveals: ${error.message}`);
+    }
+    
+    // Tick every minute and check whichever websites are due
+    const job = cron.schedule('* * * * *', () => this.runScheduledChecks(nodeId, Number(defaultFrequency)));
+    
     job.start();
     this.cronJobs.push(job);
     
     this.logger.info('Automatic checking started successfully');
-    return { success: true, message: 'Automatic checking started', interval: intervalMinutes };
+    return { success: true, message: 'Automatic checking started', defaultFrequency };
   }
 
   /**
@@ -143,13 +561,18 @@ class NodeClient {
       // Get node rewards
       const rewards = await this.blockchainService.getNodeRewards(nodeId);
       
+      // Get node stake and slashing history
+      const stake = await this.blockchainService.getNodeStake(nodeId);
+      
       return {
         nodeId,
         details: nodeDetails,
         reportsCount: reports.length,
         reputation,
         rewards,
-        automaticCheckingActive: this.cronJobs.length > 0
+        stake,
+        automaticCheckingActive: this.cronJobs.length > 0,
+        checkRuns: this.runMetrics
       };
     } catch (error) {
       this.logger.error(`Error getting node status: ${error.message}`);
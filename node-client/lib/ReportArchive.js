@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local store for the detailed check results of Merkle-committed report batches
+ * Each batch is written to `batch-<batchId>.json` so its results can be published and proven later.
+ */
+class ReportArchive {
+  constructor(logger, directory = process.env.REPORT_ARCHIVE_DIR || './reports') {
+    this.logger = logger;
+    this.directory = directory;
+  }
+
+  /**
+   * Save a committed batch
+   * @param {object} batch - The batch, with `batchId`, `merkleRoot` and `reports` (each with `reportId`, `details` and `proof`)
+   * @returns {string} - The path of the archive file
+   */
+  save(batch) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    
+    const file = path.join(this.directory, `batch-${batch.batchId}.json`);
+    fs.writeFileSync(file, JSON.stringify(batch, null, 2));
+    
+    this.logger.debug(`Archived report batch ${batch.batchId} to ${file}`);
+    return file;
+  }
+
+  /**
+   * Load a committed batch
+   * @param {number} batchId - The ID of the batch
+   * @returns {object|null} - The batch, or null if it is not in the archive
+   */
+  load(batchId) {
+    const file = path.join(this.directory, `batch-${batchId}.json`);
+    
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Find an archived report and the batch it was committed in
+   * @param {number} reportId - The ID of the report
+   * @returns {{batch: object, report: object}|null} - The batch and report, or null if the report is not in the archive
+   */
+  findReport(reportId) {
+    if (!fs.existsSync(this.directory)) {
+      return null;
+    }
+    
+    for (const name of fs.readdirSync(this.directory)) {
+      if (!/^batch-\d+\.json$/.test(name)) {
+        continue;
+      }
+      
+      const batch = JSON.parse(fs.readFileSync(path.join(this.directory, name), 'utf8'));
+      const report = batch.reports.find(entry => entry.reportId === Number(reportId));
+      
+      if (report) {
+        return { batch, report };
+      }
+    }
+    
+    return null;
+  }
+}
+
+module.exports = ReportArchive;
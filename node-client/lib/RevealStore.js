@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local store for committed reports waiting for their round's reveal phase
+ * Each pending reveal, salt included, is written to `reveal-<nodeId>-<websiteId>-<round>.json` so that
+ * a restarted client can still reveal it. Files are written to a temporary path and renamed into place,
+ * so a crash mid-write never leaves a truncated store file.
+ */
+class RevealStore {
+  constructor(logger, directory = process.env.REVEAL_STORE_DIR || './reveals') {
+    this.logger = logger;
+    this.directory = directory;
+  }
+
+  /**
+   * Save a pending reveal
+   * @param {object} reveal - The pending reveal, with `nodeId`, `websiteId` and `round`
+   * @returns {string} - The path of the store file
+   */
+  save(reveal) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    
+    const file = this.getFile(reveal.nodeId, reveal.websiteId, reveal.round);
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(reveal, null, 2));
+    fs.renameSync(temporary, file);
+    
+    this.logger.debug(`Stored pending reveal of node ${reveal.nodeId} for website ${reveal.websiteId} in round ${reveal.round}`);
+    return file;
+  }
+
+  /**
+   * Remove a pending reveal once it is revealed or missed
+   * @param {number} nodeId - The ID of the node
+   * @param {number} websiteId - The ID of the website
+   * @param {number} round - The round number
+   */
+  remove(nodeId, websiteId, round) {
+    fs.rmSync(this.getFile(nodeId, websiteId, round), { force: true });
+  }
+
+  /**
+   * Load every pending reveal in the store
+   * A file that cannot be parsed is renamed to `<file>.corrupt` and skipped, so that it cannot keep the
+   * client from starting.
+   * @returns {Array<object>} - The pending reveals
+   */
+  loadAll() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+    
+    const reveals = [];
+    for (const name of fs.readdirSync(this.directory)) {
+      if (!/^reveal-\d+-\d+-\d+\.json$/.test(name)) {
+        continue;
+      }
+      
+      const file = path.join(this.directory, name);
+      try {
+        reveals.push(JSON.parse(fs.readFileSync(file, 'utf8')));
+      } catch (error) {
+        this.logger.warn(`Skipping unreadable pending reveal ${file}: ${error.message}`);
+        fs.renameSync(file, `${file}.corrupt`);
+      }
+    }
+    
+    return reveals;
+  }
+
+  /**
+   * Get the path of a pending reveal's store file
+   * @param {number} nodeId - The ID of the node
+   * @param {number} websiteId - The ID of the website
+   * @param {number} round - The round number
+   * @returns {string} - The file path
+   */
+  getFile(nodeId, websiteId, round) {
+    return path.join(this.directory, `reveal-${nodeId}-${websiteId}-${round}.json`);
+  }
+}
+
+module.exports = RevealStore;
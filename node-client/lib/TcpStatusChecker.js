@@ -0,0 +1,136 @@
+const net = require('net');
+
+class TcpStatusChecker {
+  constructor(logger) {
+    this.logger = logger;
+    this.timeout = process.env.TIMEOUT_MS || 5000; // Default timeout: 5 seconds
+  }
+
+  /**
+   * Check that a TCP port accepts connections
+   * @param {string} url - The target, as `host:port` or `tcp://host:port`
+   * @param {object} [config] - The website's check configuration
+   * @param {number} [config.port] - The port to connect to if the target does not include one
+   * @param {number} [config.timeoutMs] - Connection timeout for this target (defaults to TIMEOUT_MS)
+   * @param {object} [config.latency] - Latency thresholds ({warningMs, criticalMs})
+   * @returns {Promise<object>} - The status check result
+   */
+  async checkWebsite(url, config = {}) {
+    this.logger.info(`Checking TCP port: ${url}`);
+    
+    let target;
+    try {
+      target = this.parseTarget(url, config);
+    } catch (error) {
+      this.logger.error(`Invalid TCP target ${url}: ${error.message}`);
+      
+      // A target that cannot be connected to says nothing about the service behind it
+      return {
+        url,
+        status: 0, // Unknown
+        responseTime: 0,
+        httpStatus: null,
+        message: `Unknown - Invalid TCP target: ${error.message}`
+      };
+    }
+    
+    const { host, port } = target;
+    const latency = config.latency || {};
+    const timeoutMs = Number(config.timeoutMs || this.timeout);
+    const warningMs = Number(latency.warningMs ?? timeoutMs * 0.8);
+    const criticalMs = latency.criticalMs !== undefined ? Number(latency.criticalMs) : null;
+    const startTime = Date.now();
+    
+    try {
+      await this.connect(host, port, timeoutMs);
+      
+      const responseTime = Date.now() - startTime;
+      this.logger.debug(`Connected to ${host}:${port} in ${responseTime}ms`);
+      
+      // A handshake slower than the critical threshold is as good as none, like a slow HTTP response
+      if (criticalMs !== null && responseTime > criticalMs) {
+        return {
+          url,
+          status: 2, // Offline
+          responseTime,
+          httpStatus: null,
+          message: `Offline - TCP connect time ${responseTime}ms exceeds critical threshold of ${criticalMs}ms`
+        };
+      }
+      
+      const status = responseTime > warningMs ? 3 : 1;
+      
+      return {
+        url,
+        status,
+        responseTime,
+        httpStatus: null,
+        message: status === 1
+          ? `Online - TCP port ${port} open - Connect time: ${responseTime}ms`
+          : `Degraded - Slow TCP connect to port ${port}: ${responseTime}ms (warning threshold: ${warningMs}ms)`
+      };
+    } catch (error) {
+      const responseTime = Date.now() - startTime;
+      this.logger.error(`Error connecting to ${host}:${port}: ${error.message}`);
+      
+      return {
+        url,
+        status: 2, // Offline
+        responseTime,
+        httpStatus: null,
+        message: `Offline - TCP port ${port} unreachable: ${error.code || error.message}`
+      };
+    }
+  }
+
+  /**
+   * Extract the host and port to connect to
+   * @param {string} url - The target, as `host:port` or `tcp://host:port`
+   * @param {object} config - The website's check configuration
+   * @returns {{host: string, port: number}} - The connection target
+   */
+  parseTarget(url, config) {
+    const target = new URL(url.includes('://') ? url : `tcp://${url}`);
+    const port = Number(target.port || config.port);
+    
+    if (!port) {
+      throw new Error(`No port specified for TCP check of ${url}`);
+    }
+    
+    return { host: target.hostname, port };
+  }
+
+  /**
+   * Open a TCP connection and close it as soon as it is established
+   * @param {string} host - The host to connect to
+   * @param {number} port - The port to connect to
+   * @param {number} timeoutMs - Connection timeout in milliseconds
+   * @returns {Promise<void>} - Resolves once the connection is established
+   */
+  connect(host, port, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host, port });
+      
+      socket.setTimeout(timeoutMs);
+      
+      socket.once('connect', () => {
+        socket.destroy();
+        resolve();
+      });
+      
+      socket.once('timeout', () => {
+        socket.destroy();
+        const error = new Error(`Connection timed out after ${timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      });
+      
+      socket.once('error', (error) => {
+        socket.destroy();
+        reject(error);
+      });
+    });
+  }
+}
+
+module.exports = TcpStatusChecker;
@@ -1,17 +1,46 @@
 const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const vm = require('vm');
+const { performance } = require('perf_hooks');
+const CheckSecrets = require('./CheckSecrets');
+
+// Milliseconds in a day, used for certificate expiry calculations
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default number of redirects followed before a check gives up
+const DEFAULT_MAX_REDIRECTS = 5;
+
+// Limits on regex assertions, which run patterns from website owners against bodies from their servers
+const MAX_REGEX_LENGTH = 256; // Longest accepted pattern
+const MAX_REGEX_INPUT_LENGTH = 64 * 1024; // Only the start of the body is matched
+const REGEX_TIMEOUT_MS = 100; // A match running longer than this is abandoned as catastrophic backtracking
 
 class WebsiteStatusChecker {
-  constructor(logger) {
+  constructor(logger, options = {}) {
     this.logger = logger;
+    this.ca = options.ca; // Trusted CA certificates (PEM) in place of Node's bundled ones, e.g. for a private CA
     this.timeout = process.env.TIMEOUT_MS || 5000; // Default timeout: 5 seconds
+    this.certExpiryWarningDays = Number(process.env.CERT_EXPIRY_WARNING_DAYS || 14); // Default window: 14 days
+    this.secrets = new CheckSecrets(this.logger);
   }
 
   /**
    * Check the status of a website
    * @param {string} url - The URL of the website to check
+   * @param {object} [config] - The website's check configuration
+   * @param {Array<object>} [config.assertions] - Content assertions to run against the response body
+   * @param {boolean} [config.checkCertificate] - Whether to inspect the TLS certificate of HTTPS targets (default: true)
+   * @param {number} [config.certExpiryWarningDays] - Days before certificate expiry to report Degraded
+   * @param {object} [config.request] - The request spec (method, headers, body and encrypted secrets)
+   * @param {object} [config.redirect] - The redirect policy ({policy: 'follow'|'accept'|'none', maxHops, flagCrossHost})
+   * @param {number} [config.timeoutMs] - Request timeout for this website (defaults to TIMEOUT_MS)
+   * @param {object} [config.latency] - Latency thresholds ({warningMs, criticalMs})
    * @returns {Promise<object>} - The status check result
    */
-  async checkWebsite(url) {
+  async checkWebsite(url, config = {}) {
     this.logger.info(`Checking website status: ${url}`);
     
     // Ensure URL has a protocol
@@ -19,31 +48,131 @@ class WebsiteStatusChecker {
       url = `https://${url}`;
     }
     
-    const startTime = Date.now();
+    const thresholds = this.getThresholds(config);
+    
+    // Inspect the certificate separately so that TLS failures get a precise message
+    const certificate = url.startsWith('https://') && config.checkCertificate !== false
+      ? await this.inspectCertificate(url, thresholds.timeoutMs)
+      : null;
+    const certificateIssue = certificate
+      ? this.getCertificateIssue(certificate, config.certExpiryWarningDays ?? this.certExpiryWarningDays)
+      : null;
+    
+    const redirectPolicy = config.redirect || {};
+    const followRedirects = !redirectPolicy.policy || redirectPolicy.policy === 'follow';
+    const redirects = [];
+    
+    const marks = {};
+    let request = null;
+    let startTime = Date.now();
     
     try {
-      const response = await axios.get(url, {
-        timeout: this.timeout,
-        validateStatus: null // Allow all status codes
+      request = this.buildRequest(url, config.request);
+      
+      // Timing starts once the request is built, so decrypting secrets does not count as response time
+      startTime = Date.now();
+      marks.start = performance.now();
+      
+      const response = await axios.request({
+        ...request,
+        timeout: thresholds.timeoutMs,
+        responseType: 'text', // Keep the raw body for content assertions
+        validateStatus: null, // Allow all status codes
+        maxRedirects: followRedirects ? (redirectPolicy.maxHops ?? DEFAULT_MAX_REDIRECTS) : 0,
+        beforeRedirect: (options, { statusCode }) => {
+          redirects.push({ status: statusCode, url: options.href });
+        },
+        httpAgent: this.createTimedAgent(http.Agent, marks),
+        httpsAgent: this.createTimedAgent(https.Agent, marks)
       });
       
+      marks.end = performance.now();
       const responseTime = Date.now() - startTime;
-      this.logger.debug(`Request completed in ${responseTime}ms with status ${response.status}`);
+      const timings = this.getTimingBreakdown(marks);
+      this.logger.debug(`Request completed in ${responseTime}ms with status ${response.status} (${JSON.stringify(timings)})`);
+      
+      // A redirect that was not followed is still recorded, pointing at its Location
+      if (!followRedirects && response.status >= 300 && response.status < 400 && response.headers.location) {
+        redirects.push({ status: response.status, url: new URL(response.headers.location, url).href });
+      }
+      const finalUrl = redirects.length > 0 ? redirects[redirects.length - 1].url : url;
       
       // Determine website status based on HTTP status code
-      let status = this.determineStatus(response.status, responseTime);
+      let status = this.determineStatus(response.status, responseTime, config);
+      let message = this.getStatusMessage(status, response.status, responseTime, config);
+      
+      // Redirects to another host may mean a hijacked or misconfigured domain
+      if (status === 1 && redirectPolicy.flagCrossHost && !this.isSameHost(url, finalUrl)) {
+        status = 3;
+        message = `Degraded - Redirected to a different host - HTTP ${response.status} - Response time: ${responseTime}ms`;
+      }
+      
+      // A reachable website can still fail "softly" (e.g. a 200 maintenance page)
+      if (status !== 2 && config.assertions && config.assertions.length > 0) {
+        const failure = this.evaluateAssertions(response.data, config.assertions);
+        
+        if (failure) {
+          this.logger.debug(`Content assertion failed for ${url}: ${failure.reason}`);
+          status = failure.severity === 'offline' ? 2 : 3;
+          message = `${status === 2 ? 'Offline' : 'Degraded'} - Assertion failed: ${failure.reason} - HTTP ${response.status} - Response time: ${responseTime}ms`;
+        }
+      }
+      
+      // An invalid certificate always wins; an expiring one only downgrades an Online result
+      if (certificateIssue && (certificateIssue.status === 2 || status === 1)) {
+        status = certificateIssue.status;
+        message = `${certificateIssue.message} - HTTP ${response.status} - Response time: ${responseTime}ms`;
+      }
+      
+      if (redirects.length > 0) {
+        message = `${message} - Redirected to ${finalUrl}`;
+      }
       
       return {
         url,
         status,
         responseTime,
         httpStatus: response.status,
-        message: this.getStatusMessage(status, response.status, responseTime)
+        certificate,
+        timings,
+        redirects,
+        finalUrl,
+        message: `${message} ${this.formatTimings(timings)}`
       };
     } catch (error) {
       const responseTime = Date.now() - startTime;
       this.logger.error(`Error checking website ${url}: ${error.message}`);
       
+      // A spec that cannot be executed (e.g. undecryptable secrets) says nothing about the website
+      if (!request) {
+        return {
+          url,
+          status: 0, // Unknown
+          responseTime: 0,
+          httpStatus: null,
+          certificate,
+          timings: null,
+          redirects,
+          finalUrl: null,
+          message: `Unknown - Request could not be built: ${error.message}`
+        };
+      }
+      
+      // A redirect loop means the website responds but cannot serve the page
+      if (error.code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+        return {
+          url,
+          status: 3, // Degraded
+          responseTime,
+          httpStatus: null,
+          certificate,
+          timings: null,
+          redirects,
+          finalUrl: redirects.length > 0 ? redirects[redirects.length - 1].url : url,
+          message: `Degraded - Too many redirects (more than ${redirectPolicy.maxHops ?? DEFAULT_MAX_REDIRECTS})`
+        };
+      }
+      
       // Determine status based on error type
       const status = 2; // Offline (Status.Offline)
       
@@ -52,26 +181,245 @@ class WebsiteStatusChecker {
         status,
         responseTime,
         httpStatus: null,
-        message: `Error: ${error.code || error.message}`
+        certificate,
+        timings: null,
+        redirects,
+        finalUrl: null,
+        message: certificateIssue && certificateIssue.status === 2
+          ? certificateIssue.message
+          : `Error: ${error.code || error.message}`
       };
     }
   }
 
+  /**
+   * Get the timeout and latency thresholds for a website
+   * @param {object} [config] - The website's check configuration
+   * @returns {{timeoutMs: number, warningMs: number, criticalMs: number|null}} - The thresholds in milliseconds
+   */
+  getThresholds(config = {}) {
+    const latency = config.latency || {};
+    const timeoutMs = Number(config.timeoutMs || this.timeout);
+    
+    return {
+      timeoutMs,
+      // Without a warning threshold, responses slower than 80% of the timeout are degraded
+      warningMs: Number(latency.warningMs ?? timeoutMs * 0.8),
+      criticalMs: latency.criticalMs !== undefined ? Number(latency.criticalMs) : null
+    };
+  }
+
+  /**
+   * Check whether two URLs point to the same host
+   * A `www.` prefix is ignored, so apex to www redirects are not flagged.
+   * @param {string} a - The first URL
+   * @param {string} b - The second URL
+   * @returns {boolean} - Whether both URLs have the same host
+   */
+  isSameHost(a, b) {
+    const host = (value) => new URL(value).hostname.replace(/^www\./, '');
+    return host(a) === host(b);
+  }
+
+  /**
+   * Build the axios request options for a website's request spec
+   * @param {string} url - The URL of the website
+   * @param {object} [spec] - The request spec ({method, headers, body, secrets})
+   * @returns {object} - The axios request options
+   */
+  buildRequest(url, spec = {}) {
+    const method = (spec.method || 'GET').toUpperCase();
+    const request = {
+      url,
+      method,
+      headers: { ...(spec.headers || {}) }
+    };
+    
+    if (spec.body !== undefined && method !== 'GET' && method !== 'HEAD') {
+      request.data = spec.body;
+    }
+    
+    // Credentials are only ever published encrypted, never as plain request fields
+    if (spec.secrets) {
+      const secrets = this.secrets.decrypt(spec.secrets);
+      Object.assign(request.headers, secrets.headers || {});
+      
+      if (secrets.auth && secrets.auth.type === 'basic') {
+        request.auth = {
+          username: secrets.auth.username,
+          password: secrets.auth.password
+        };
+      } else if (secrets.auth && secrets.auth.type === 'bearer') {
+        request.headers.Authorization = `Bearer ${secrets.auth.token}`;
+      }
+    }
+    
+    return request;
+  }
+
+  /**
+   * Create a single-use HTTP(S) agent that records connection phase timestamps
+   * @param {Function} Agent - The agent class (http.Agent or https.Agent)
+   * @param {object} marks - The object to record timestamps on (only the first connection is recorded)
+   * @returns {object} - The agent instance
+   */
+  createTimedAgent(Agent, marks) {
+    const agent = new Agent({ keepAlive: false, ca: this.ca });
+    const createConnection = agent.createConnection.bind(agent);
+    
+    agent.createConnection = (options, callback) => {
+      const socket = createConnection(options, callback);
+      
+      socket.once('lookup', () => { marks.lookup ??= performance.now(); });
+      socket.once('connect', () => { marks.connect ??= performance.now(); });
+      socket.once('secureConnect', () => { marks.secureConnect ??= performance.now(); });
+      socket.once('data', () => { marks.firstByte ??= performance.now(); });
+      
+      return socket;
+    };
+    
+    return agent;
+  }
+
+  /**
+   * Convert connection phase timestamps into durations
+   * @param {object} marks - The recorded timestamps
+   * @returns {{dns: number, tcp: number, tls: number, ttfb: number, download: number, total: number}} - Phase durations in milliseconds
+   */
+  getTimingBreakdown(marks) {
+    // Phases that did not happen (e.g. no DNS lookup for an IP address) take no time
+    const lookup = marks.lookup ?? marks.start;
+    const connect = marks.connect ?? lookup;
+    const secureConnect = marks.secureConnect ?? connect;
+    const firstByte = marks.firstByte ?? marks.end;
+    
+    return {
+      dns: Math.round(lookup - marks.start),
+      tcp: Math.round(connect - lookup),
+      tls: Math.round(secureConnect - connect),
+      ttfb: Math.round(firstByte - secureConnect),
+      download: Math.round(marks.end - firstByte),
+      total: Math.round(marks.end - marks.start)
+    };
+  }
+
+  /**
+   * Format a timing breakdown for the on-chain status message
+   * @param {object} timings - The phase durations from getTimingBreakdown
+   * @returns {string} - A compact, parseable summary (e.g. `[dns=4 tcp=12 tls=30 ttfb=85 download=6]`)
+   */
+  formatTimings(timings) {
+    return `[dns=${timings.dns} tcp=${timings.tcp} tls=${timings.tls} ttfb=${timings.ttfb} download=${timings.download}]`;
+  }
+
+  /**
+   * Inspect the TLS certificate presented by an HTTPS website
+   * @param {string} url - The HTTPS URL of the website
+   * @param {number} [timeoutMs] - Connection timeout in milliseconds
+   * @returns {Promise<object|null>} - The certificate details, or null if no TLS connection could be made
+   */
+  inspectCertificate(url, timeoutMs = this.timeout) {
+    const { hostname, port } = new URL(url);
+    
+    return new Promise((resolve) => {
+      const socket = tls.connect({
+        host: hostname,
+        port: Number(port) || 443,
+        servername: net.isIP(hostname) ? undefined : hostname, // SNI does not allow IP addresses
+        ca: this.ca,
+        rejectUnauthorized: false // Inspect invalid certificates instead of failing the handshake
+      });
+      
+      socket.setTimeout(Number(timeoutMs));
+      
+      socket.once('secureConnect', () => {
+        const cert = socket.getPeerCertificate();
+        
+        if (!cert || !cert.valid_to) {
+          socket.destroy();
+          resolve(null);
+          return;
+        }
+        
+        const validTo = new Date(cert.valid_to);
+        const identityError = tls.checkServerIdentity(hostname, cert);
+        
+        const certificate = {
+          subject: cert.subject ? cert.subject.CN : null,
+          issuer: cert.issuer ? (cert.issuer.O || cert.issuer.CN) : null,
+          validFrom: new Date(cert.valid_from).toISOString(),
+          validTo: validTo.toISOString(),
+          daysUntilExpiry: Math.floor((validTo.getTime() - Date.now()) / DAY_MS),
+          hostnameMatch: !identityError,
+          chainValid: socket.authorized,
+          error: socket.authorizationError ? String(socket.authorizationError) : null
+        };
+        
+        socket.destroy();
+        this.logger.debug(`Certificate for ${hostname}: ${JSON.stringify(certificate)}`);
+        resolve(certificate);
+      });
+      
+      socket.once('timeout', () => {
+        socket.destroy();
+        resolve(null);
+      });
+      
+      socket.once('error', (error) => {
+        this.logger.debug(`Could not inspect certificate for ${hostname}: ${error.message}`);
+        socket.destroy();
+        resolve(null);
+      });
+    });
+  }
+
+  /**
+   * Determine whether a certificate should affect the website status
+   * @param {object} certificate - The certificate details from inspectCertificate
+   * @param {number} warningDays - Days before expiry to report Degraded
+   * @returns {{status: number, message: string}|null} - The resulting status and message, or null if the certificate is fine
+   */
+  getCertificateIssue(certificate, warningDays) {
+    const expiryDate = certificate.validTo.slice(0, 10);
+    
+    if (certificate.daysUntilExpiry < 0) {
+      return { status: 2, message: `Offline - TLS certificate expired on ${expiryDate}` };
+    }
+    if (!certificate.hostnameMatch) {
+      return { status: 2, message: `Offline - TLS certificate is not valid for this hostname (issued to ${certificate.subject})` };
+    }
+    if (!certificate.chainValid) {
+      return { status: 2, message: `Offline - TLS certificate chain is invalid: ${certificate.error}` };
+    }
+    if (certificate.daysUntilExpiry <= warningDays) {
+      return { status: 3, message: `Degraded - TLS certificate expires on ${expiryDate} (${certificate.daysUntilExpiry} days)` };
+    }
+    
+    return null;
+  }
+
   /**
    * Determine the website status based on HTTP status code and response time
    * @param {number} httpStatus - The HTTP status code
    * @param {number} responseTime - The response time in milliseconds
+   * @param {object} [config] - The website's check configuration
    * @returns {number} - The status code (0: Unknown, 1: Online, 2: Offline, 3: Degraded)
    */
-  determineStatus(httpStatus, responseTime) {
+  determineStatus(httpStatus, responseTime, config = {}) {
     if (!httpStatus) {
       return 0; // Unknown
     }
     
     // 2xx status codes indicate success
     if (httpStatus >= 200 && httpStatus < 300) {
+      const { warningMs, criticalMs } = this.getThresholds(config);
+      
+      // A response slower than the critical threshold is as good as no response
+      if (criticalMs !== null && responseTime > criticalMs) {
+        return 2; // Offline
+      }
       // If response time is too high, mark as degraded
-      if (responseTime > this.timeout * 0.8) {
+      if (responseTime > warningMs) {
         return 3; // Degraded
       }
       return 1; // Online
@@ -87,28 +435,150 @@ class WebsiteStatusChecker {
       return 3; // Degraded
     }
     
-    // 3xx status codes are redirects, consider them degraded
+    // 3xx status codes are only seen when redirects are not followed; they are
+    // degraded unless the website's redirect policy accepts them
     if (httpStatus >= 300 && httpStatus < 400) {
-      return 3; // Degraded
+      return config.redirect && config.redirect.policy === 'accept' ? 1 : 3;
     }
     
     return 0; // Unknown
   }
 
+  /**
+   * Evaluate content assertions against a response body
+   * @param {string} body - The raw response body
+   * @param {Array<object>} assertions - The assertions to evaluate, in order
+   * @returns {{reason: string, severity: string}|null} - The first failed assertion, or null if all passed
+   */
+  evaluateAssertions(body, assertions) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    
+    for (const assertion of assertions) {
+      const reason = this.evaluateAssertion(text, assertion);
+      
+      if (reason) {
+        return {
+          reason,
+          severity: assertion.severity === 'offline' ? 'offline' : 'degraded'
+        };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Evaluate a single content assertion
+   * @param {string} text - The response body as text
+   * @param {object} assertion - The assertion ({type: 'contains'|'notContains'|'regex'|'jsonPath', ...})
+   * @returns {string|null} - A description of the failure, or null if the assertion passed
+   */
+  evaluateAssertion(text, assertion) {
+    switch (assertion.type) {
+      case 'contains':
+        return text.includes(assertion.value)
+          ? null
+          : `body does not contain "${assertion.value}"`;
+      case 'notContains':
+        return text.includes(assertion.value)
+          ? `body contains "${assertion.value}"`
+          : null;
+      case 'regex': {
+        if (String(assertion.value).length > MAX_REGEX_LENGTH) {
+          return `regex is longer than ${MAX_REGEX_LENGTH} characters`;
+        }
+        
+        let pattern;
+        try {
+          pattern = new RegExp(assertion.value, assertion.flags);
+        } catch (error) {
+          return `invalid regex /${assertion.value}/`;
+        }
+        
+        let matched;
+        try {
+          matched = this.testRegex(pattern, text.slice(0, MAX_REGEX_INPUT_LENGTH));
+        } catch (error) {
+          return `regex /${assertion.value}/ took longer than ${REGEX_TIMEOUT_MS}ms`;
+        }
+        return matched ? null : `body does not match /${assertion.value}/`;
+      }
+      case 'jsonPath': {
+        let json;
+        try {
+          json = JSON.parse(text);
+        } catch (error) {
+          return 'body is not valid JSON';
+        }
+        
+        const actual = this.resolveJsonPath(json, assertion.path);
+        if (actual === undefined) {
+          return `${assertion.path} not found`;
+        }
+        if ('equals' in assertion && JSON.stringify(actual) !== JSON.stringify(assertion.equals)) {
+          return `${assertion.path} is ${JSON.stringify(actual)}, expected ${JSON.stringify(assertion.equals)}`;
+        }
+        return null;
+      }
+      default:
+        return `unknown assertion type "${assertion.type}"`;
+    }
+  }
+
+  /**
+   * Test a regex in a separate context so that a catastrophically backtracking pattern can be interrupted
+   * @param {RegExp} pattern - The pattern to test
+   * @param {string} text - The text to match
+   * @returns {boolean} - Whether the pattern matched
+   * @throws {Error} - If the match took longer than REGEX_TIMEOUT_MS
+   */
+  testRegex(pattern, text) {
+    return vm.runInNewContext('pattern.test(text)', { pattern, text }, { timeout: REGEX_TIMEOUT_MS });
+  }
+
+  /**
+   * Resolve a simple JSONPath expression (e.g. `$.data.items[0].status`) against a value
+   * @param {*} json - The parsed JSON value
+   * @param {string} path - The JSONPath expression (dot and index notation only)
+   * @returns {*} - The resolved value, or undefined if the path does not exist
+   */
+  resolveJsonPath(json, path) {
+    const segments = path
+      .replace(/^\$\.?/, '')
+      .split(/\.|\[(\d+)\]/)
+      .filter(segment => segment !== undefined && segment !== '');
+    
+    let current = json;
+    for (const segment of segments) {
+      if (current === null || typeof current !== 'object' || !(segment in current)) {
+        return undefined;
+      }
+      current = current[segment];
+    }
+    
+    return current;
+  }
+
   /**
    * Generate a status message based on status code and HTTP status
    * @param {number} status - The status code (0: Unknown, 1: Online, 2: Offline, 3: Degraded)
    * @param {number} httpStatus - The HTTP status code
    * @param {number} responseTime - The response time in milliseconds
+   * @param {object} [config] - The website's check configuration
    * @returns {string} - A human-readable status message
    */
-  getStatusMessage(status, httpStatus, responseTime) {
+  getStatusMessage(status, httpStatus, responseTime, config = {}) {
+    const { warningMs, criticalMs } = this.getThresholds(config);
+    
     switch (status) {
       case 0: // Unknown
         return 'Status unknown';
       case 1: // Online
         return `Online - HTTP ${httpStatus} - Response time: ${responseTime}ms`;
       case 2: // Offline
+        if (httpStatus >= 200 && httpStatus < 300 && criticalMs !== null && responseTime > criticalMs) {
+          return `Offline - Response time ${responseTime}ms exceeds critical threshold of ${criticalMs}ms`;
+        }
         return httpStatus 
           ? `Offline - HTTP ${httpStatus} - Response time: ${responseTime}ms` 
           : 'Offline - Could not connect to server';
@@ -119,8 +589,8 @@ class WebsiteStatusChecker {
         if (httpStatus >= 400 && httpStatus < 500) {
           return `Degraded - HTTP ${httpStatus} (Client Error) - Response time: ${responseTime}ms`;
         }
-        if (responseTime > this.timeout * 0.8) {
-          return `Degraded - Slow response time: ${responseTime}ms`;
+        if (responseTime > warningMs) {
+          return `Degraded - Slow response time: ${responseTime}ms (warning threshold: ${warningMs}ms)`;
         }
         return `Degraded - HTTP ${httpStatus} - Response time: ${responseTime}ms`;
       default:
@@ -36,7 +36,15 @@ NODE_ID=0
 
 # Monitoring settings
 CHECK_INTERVAL=5
+CHECK_CONCURRENCY=5
+WEBSITE_REFRESH_MINUTES=5
+REPORT_BATCH_SIZE=20
+REPORT_MODE=full
+REPORT_ARCHIVE_DIR=./reports
 TIMEOUT_MS=5000
+CERT_EXPIRY_WARNING_DAYS=14
+CONFIRM_RETRIES=2
+RETRY_BACKOFF_MS=1000
 LOG_LEVEL=info
 `;
 
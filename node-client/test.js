@@ -14,6 +14,7 @@ require('dotenv').config();
 const { ethers } = require('ethers');
 const { execSync } = require('child_process');
 const WebsiteRegistryABI = require('./abis/WebsiteRegistry.json');
+const UptimeTokenABI = require('./abis/UptimeToken.json');
 
 // Configuration
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
@@ -67,6 +68,13 @@ async function runTest() {
         );
         await tx.wait();
         console.log('  ✓ Test website registered successfully with ID: 0');
+
+        // Fund one day of checks, which activates the website
+        const dailyPrice = await websiteRegistry.getDailyPrice(0);
+        const uptimeToken = new ethers.Contract(await websiteRegistry.paymentToken(), UptimeTokenABI, wallet);
+        await (await uptimeToken.approve(WEBSITE_REGISTRY_ADDRESS, dailyPrice)).wait();
+        await (await websiteRegistry.topUpEscrow(0, dailyPrice)).wait();
+        console.log('  ✓ Test website escrow funded');
       } catch (error) {
         console.error('  ✗ Failed to register test website:', error.message);
         return;
@@ -0,0 +1,227 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const BlockchainService = require('../lib/BlockchainService');
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+// The service needs a key and contract addresses, but these tests never reach a chain
+process.env.RPC_URL = 'http://127.0.0.1:1';
+process.env.PRIVATE_KEY = ethers.Wallet.createRandom().privateKey;
+process.env.NODE_REGISTRY_ADDRESS = ethers.constants.AddressZero;
+process.env.STATUS_REPORT_ADDRESS = ethers.constants.AddressZero;
+process.env.WEBSITE_REGISTRY_ADDRESS = ethers.constants.AddressZero;
+
+const ROUND = 3;
+const COMMITTED_AT = 1000;
+const COMMIT_END = 1060;
+const REVEAL_END = 1120;
+
+describe('BlockchainService', () => {
+  describe('commit-reveal', () => {
+    let directory;
+    let services;
+    let rejected;
+    let blockTime;
+    let commitCalls;
+    let revealCalls;
+    
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reveals-'));
+      process.env.REVEAL_STORE_DIR = directory;
+      services = [];
+      rejected = new Set();
+      blockTime = COMMITTED_AT;
+      commitCalls = [];
+      revealCalls = [];
+    });
+    
+    afterEach(() => {
+      for (const service of services) {
+        clearTimeout(service.revealTimer);
+      }
+      
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+    
+    function receipt(events) {
+      return { wait: async () => ({ events, gasUsed: ethers.BigNumber.from(0), blockNumber: 1 }) };
+    }
+    
+    // A service whose contracts commit every website not in `rejected` to ROUND and reveal every report
+    function createService() {
+      const service = new BlockchainService(logger);
+      service.nextNonce = 0;
+      service.wallet.getTransactionCount = async () => 0; // Resynchronizes the nonce after a failed transaction
+      
+      service.provider = {
+        getBlock: async () => ({ timestamp: COMMITTED_AT }),
+        send: async () => ({ timestamp: ethers.utils.hexValue(blockTime) })
+      };
+      
+      service.consensusEngine = {
+        getRoundPhases: async () => ({
+          commitEnd: ethers.BigNumber.from(COMMIT_END),
+          revealEnd: ethers.BigNumber.from(REVEAL_END)
+        })
+      };
+      
+      service.statusReport = {
+        commitReports: async (websiteIds, nodeId, commitments) => {
+          commitCalls.push({ websiteIds, nodeId, commitments });
+          return receipt(websiteIds.map(websiteId => rejected.has(websiteId)
+            ? { event: 'ReportCommitRejected', args: { websiteId: ethers.BigNumber.from(websiteId) } }
+            : { event: 'ReportCommitted', args: { round: ethers.BigNumber.from(ROUND) } }
+          ));
+        },
+        revealReports: async (websiteIds, nodeId, statuses, responseTimes, statusMessages, salts) => {
+          revealCalls.push({ websiteIds, nodeId, statuses, responseTimes, salts });
+          return receipt(websiteIds.map((websiteId, i) => ({
+            event: 'ReportSubmitted',
+            args: { reportId: ethers.BigNumber.from(revealCalls.length * 10 + i) }
+          })));
+        }
+      };
+      
+      services.push(service);
+      return service;
+    }
+    
+    function reportFor(websiteId) {
+      return { websiteId, status: 1, responseTime: 100, statusMessage: 'Online' };
+    }
+    
+    it('schedules reveals only for the commitments their round accepted', async () => {
+      const service = createService();
+      rejected.add(2);
+      
+      const { rounds } = await service.commitStatusReports(0, [reportFor(1), reportFor(2)]);
+      
+      assert.deepStrictEqual(rounds, [ROUND, 0]);
+      assert.deepStrictEqual([...service.pendingReveals.keys()], [`0:1:${ROUND}`]);
+      
+      const stored = service.revealStore.loadAll();
+      assert.strictEqual(stored.length, 1);
+      assert.strictEqual(stored[0].websiteId, 1);
+      assert.strictEqual(stored[0].commitEnd, COMMIT_END);
+    });
+    
+    it('keeps the pending reveals of nodes sharing a wallet apart', async () => {
+      const service = createService();
+      
+      await service.commitStatusReports(0, [reportFor(1)]);
+      await service.commitStatusReports(1, [reportFor(1)]);
+      
+      assert.deepStrictEqual([...service.pendingReveals.keys()].sort(), [`0:1:${ROUND}`, `1:1:${ROUND}`]);
+      assert.strictEqual(service.revealStore.loadAll().length, 2);
+    });
+    
+    it('reveals due reports with their committed salts in one transaction per node', async () => {
+      const service = createService();
+      await service.commitStatusReports(0, [reportFor(1), reportFor(2)]);
+      await service.commitStatusReports(1, [reportFor(1)]);
+      
+      blockTime = COMMIT_END + 1;
+      const reportIds = await service.revealDueReports();
+      
+      assert.deepStrictEqual(reportIds, [10, 11, 20]);
+      assert.deepStrictEqual(revealCalls.map(call => call.nodeId), [0, 1]);
+      assert.deepStrictEqual(revealCalls[0].websiteIds, [1, 2]);
+      
+      // Each reveal opens the commitment its node made
+      for (let i = 0; i < revealCalls.length; i++) {
+        const { websiteIds, nodeId, statuses, responseTimes, salts } = revealCalls[i];
+        const commitments = websiteIds.map((websiteId, j) =>
+          BlockchainService.computeCommitment(websiteId, nodeId, statuses[j], responseTimes[j], salts[j])
+        );
+        
+        assert.deepStrictEqual(commitments, commitCalls[i].commitments);
+      }
+      
+      assert.strictEqual(service.pendingReveals.size, 0);
+      assert.deepStrictEqual(service.revealStore.loadAll(), []);
+    });
+    
+    it('waits for a block past the commit phase and drops missed reveals', async () => {
+      const service = createService();
+      await service.commitStatusReports(0, [reportFor(1)]);
+      
+      blockTime = COMMIT_END;
+      assert.deepStrictEqual(await service.revealDueReports(), []);
+      assert.strictEqual(service.pendingReveals.size, 1);
+      
+      blockTime = REVEAL_END + 1;
+      assert.deepStrictEqual(await service.revealDueReports(), []);
+      assert.strictEqual(revealCalls.length, 0);
+      assert.strictEqual(service.pendingReveals.size, 0);
+      assert.deepStrictEqual(service.revealStore.loadAll(), []);
+    });
+    
+    it('keeps reports pending when their reveal fails', async () => {
+      const service = createService();
+      await service.commitStatusReports(0, [reportFor(1)]);
+      service.statusReport.revealReports = async () => {
+        throw new Error('reverted');
+      };
+      
+      blockTime = COMMIT_END + 1;
+      assert.deepStrictEqual(await service.revealDueReports(), []);
+      assert.strictEqual(service.pendingReveals.size, 1);
+      assert.strictEqual(service.revealStore.loadAll().length, 1);
+    });
+    
+    it('reveals the reports of a failed transaction one by one', async () => {
+      const service = createService();
+      await service.commitStatusReports(0, [reportFor(1), reportFor(2), reportFor(3)]);
+      
+      // Website 2's round can no longer take its reveal, which reverts any transaction that includes it
+      const revealReports = service.statusReport.revealReports;
+      service.statusReport.revealReports = async (websiteIds, ...args) => {
+        if (websiteIds.includes(2)) {
+          throw new Error('execution reverted: ConsensusEngine: No round to reveal in');
+        }
+        return revealReports(websiteIds, ...args);
+      };
+      
+      blockTime = COMMIT_END + 1;
+      assert.deepStrictEqual(await service.revealDueReports(), [10, 20]);
+      assert.deepStrictEqual(revealCalls.map(call => call.websiteIds), [[1], [3]]);
+      
+      // The report that failed on its own stays pending until its reveal phase ends
+      assert.deepStrictEqual([...service.pendingReveals.keys()], [`0:2:${ROUND}`]);
+      assert.strictEqual(service.revealStore.loadAll().length, 1);
+    });
+    
+    it('resumes the pending reveals left by a previous run', async () => {
+      await createService().commitStatusReports(0, [reportFor(1), reportFor(2)]);
+      
+      const restarted = createService();
+      assert.strictEqual(restarted.resumePendingReveals(), 2);
+      
+      blockTime = COMMIT_END + 1;
+      assert.deepStrictEqual(await restarted.revealDueReports(), [10, 11]);
+      assert.deepStrictEqual(revealCalls[0].websiteIds.sort(), [1, 2]);
+    });
+    
+    it('skips a store file left truncated by a crash and resumes the others', async () => {
+      await createService().commitStatusReports(0, [reportFor(1), reportFor(2)]);
+      
+      // Saved files are renamed into place, so no temporary file is left behind
+      assert.deepStrictEqual(fs.readdirSync(directory).sort(), [`reveal-0-1-${ROUND}.json`, `reveal-0-2-${ROUND}.json`]);
+      
+      const truncated = path.join(directory, `reveal-0-2-${ROUND}.json`);
+      fs.writeFileSync(truncated, fs.readFileSync(truncated, 'utf8').slice(0, 20));
+      
+      const restarted = createService();
+      assert.strictEqual(restarted.resumePendingReveals(), 1);
+      assert.ok(fs.existsSync(`${truncated}.corrupt`));
+      
+      blockTime = COMMIT_END + 1;
+      assert.deepStrictEqual(await restarted.revealDueReports(), [10]);
+      assert.deepStrictEqual(revealCalls[0].websiteIds, [1]);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const CheckSecrets = require('../lib/CheckSecrets');
+const WebsiteStatusChecker = require('../lib/WebsiteStatusChecker');
+const { serveHttp } = require('./helpers/servers');
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+// The frontend module that encrypts request secrets when a website is registered
+const FRONTEND_CHECK_SECRETS = path.join(__dirname, '../../frontend/src/services/checkSecrets.js');
+
+describe('CheckSecrets', () => {
+  let encryptSecrets;
+  let publicKeyPem;
+  
+  before(async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    
+    // Both keys as they would appear in .env files, with escaped newlines
+    process.env.CHECK_SECRETS_PRIVATE_KEY = privateKey.replace(/\n/g, '\\n');
+    publicKeyPem = publicKey.replace(/\n/g, '\\n');
+    
+    encryptSecrets = (await import(pathToFileURL(FRONTEND_CHECK_SECRETS).href)).default;
+  });
+  
+  after(() => {
+    delete process.env.CHECK_SECRETS_PRIVATE_KEY;
+  });
+  
+  it('decrypts secrets encrypted by the frontend', async () => {
+    const secrets = { headers: { 'X-Api-Key': 'key-123' }, auth: { type: 'basic', username: 'monitor', password: 'p@ss' } };
+    const envelope = await encryptSecrets(secrets, publicKeyPem);
+    
+    assert.deepStrictEqual(new CheckSecrets(logger).decrypt(envelope), secrets);
+  });
+  
+  it('rejects a tampered envelope', async () => {
+    const envelope = await encryptSecrets({ auth: { type: 'bearer', token: 'token' } }, publicKeyPem);
+    const data = Buffer.from(envelope.data, 'base64');
+    data[0] ^= 1;
+    
+    assert.throws(() => new CheckSecrets(logger).decrypt({ ...envelope, data: data.toString('base64') }));
+  });
+  
+  it('refuses to decrypt without a private key', async () => {
+    const envelope = await encryptSecrets({ auth: { type: 'bearer', token: 'token' } }, publicKeyPem);
+    const secrets = new CheckSecrets(logger);
+    secrets.privateKey = null;
+    
+    assert.throws(() => secrets.decrypt(envelope), /no CHECK_SECRETS_PRIVATE_KEY is configured/);
+  });
+  
+  describe('checks with secrets', () => {
+    let server;
+    
+    before(async () => {
+      // Echoes the credentials the check sent
+      server = await serveHttp((req, res) => res.end(JSON.stringify({
+        authorization: req.headers.authorization,
+        apiKey: req.headers['x-api-key']
+      })));
+    });
+    
+    after(() => server.close());
+    
+    it('sends the decrypted headers and credentials', async () => {
+      const checker = new WebsiteStatusChecker(logger);
+      const secrets = await encryptSecrets({ headers: { 'X-Api-Key': 'key-123' }, auth: { type: 'bearer', token: 'token-456' } }, publicKeyPem);
+      
+      const result = await checker.checkWebsite(server.url, {
+        request: { secrets },
+        assertions: [
+          { type: 'jsonPath', path: '$.authorization', equals: 'Bearer token-456' },
+          { type: 'jsonPath', path: '$.apiKey', equals: 'key-123' }
+        ]
+      });
+      
+      assert.strictEqual(result.status, 1);
+    });
+    
+    it('reports a website whose secrets cannot be decrypted as unknown', async () => {
+      const checker = new WebsiteStatusChecker(logger);
+      const secrets = await encryptSecrets({ auth: { type: 'bearer', token: 'token' } }, publicKeyPem);
+      
+      const result = await checker.checkWebsite(server.url, { request: { secrets: { ...secrets, key: secrets.iv } } });
+      
+      assert.strictEqual(result.status, 0);
+      assert.match(result.message, /^Unknown - Request could not be built/);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const DnsStatusChecker = require('../lib/DnsStatusChecker');
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+// Records served by the stub resolver, by hostname and record type
+const RECORDS = {
+  'example.com': {
+    A: ['93.184.216.34', '93.184.216.35'],
+    MX: [{ priority: 10, exchange: 'mail.example.com' }],
+    TXT: [['v=spf1 ', '-all']]
+  }
+};
+
+/**
+ * Stub of dns.promises.Resolver answering from RECORDS, after `StubResolver.delayMs`
+ */
+class StubResolver {
+  constructor(options) {
+    this.options = options;
+    this.servers = null;
+    StubResolver.instances.push(this);
+  }
+
+  setServers(servers) {
+    // Like dns.promises.Resolver, reject anything that is not an IP address
+    const invalid = servers.find(server => !net.isIP(server));
+    if (invalid !== undefined) {
+      throw Object.assign(new TypeError(`Invalid IP address: ${invalid}`), { code: 'ERR_INVALID_IP_ADDRESS' });
+    }
+    this.servers = servers;
+  }
+
+  async resolve(hostname, recordType) {
+    await new Promise(resolve => setTimeout(resolve, StubResolver.delayMs));
+    
+    const records = RECORDS[hostname] && RECORDS[hostname][recordType];
+    if (!records) {
+      throw Object.assign(new Error(`queryA ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+    }
+    return records;
+  }
+}
+
+describe('DnsStatusChecker', () => {
+  const checker = new DnsStatusChecker(logger, { Resolver: StubResolver });
+  
+  beforeEach(() => {
+    StubResolver.instances = [];
+    StubResolver.delayMs = 0;
+  });
+  
+  it('reports a hostname that resolves online', async () => {
+    const result = await checker.checkWebsite('example.com');
+    
+    assert.strictEqual(result.status, 1);
+    assert.match(result.message, /^Online - A example\.com resolved to 93\.184\.216\.34, 93\.184\.216\.35/);
+  });
+  
+  it('resolves the hostname of a URL', async () => {
+    const result = await checker.checkWebsite('dns://example.com/ignored');
+    
+    assert.strictEqual(result.status, 1);
+  });
+  
+  it('formats MX and TXT records', async () => {
+    const mx = await checker.checkWebsite('example.com', { recordType: 'mx' });
+    const txt = await checker.checkWebsite('example.com', { recordType: 'TXT' });
+    
+    assert.match(mx.message, /MX example\.com resolved to mail\.example\.com/);
+    assert.match(txt.message, /TXT example\.com resolved to v=spf1 -all/);
+  });
+  
+  it('reports a hostname that resolves to none of the expected values degraded', async () => {
+    const unexpected = await checker.checkWebsite('example.com', { expected: ['10.0.0.1'] });
+    const expected = await checker.checkWebsite('example.com', { expected: ['10.0.0.1', '93.184.216.35'] });
+    
+    assert.strictEqual(unexpected.status, 3);
+    assert.match(unexpected.message, /resolved to unexpected 93\.184\.216\.34, 93\.184\.216\.35/);
+    assert.strictEqual(expected.status, 1);
+  });
+  
+  it('reports a hostname that does not resolve offline', async () => {
+    const result = await checker.checkWebsite('missing.example.com');
+    
+    assert.strictEqual(result.status, 2);
+    assert.match(result.message, /^Offline - A lookup for missing\.example\.com failed: ENOTFOUND/);
+  });
+  
+  it('reports a slow lookup degraded', async () => {
+    StubResolver.delayMs = 50;
+    const result = await checker.checkWebsite('example.com', { latency: { warningMs: 10 } });
+    
+    assert.strictEqual(result.status, 3);
+    assert.match(result.message, /^Degraded - Slow DNS lookup for example\.com/);
+  });
+  
+  it('reports a lookup slower than the critical threshold offline', async () => {
+    StubResolver.delayMs = 50;
+    const critical = await checker.checkWebsite('example.com', { latency: { warningMs: 10, criticalMs: 20 } });
+    const warning = await checker.checkWebsite('example.com', { latency: { warningMs: 10, criticalMs: 5000 } });
+    
+    assert.strictEqual(critical.status, 2);
+    assert.match(critical.message, /^Offline - DNS lookup time \d+ms for example\.com exceeds critical threshold of 20ms/);
+    assert.strictEqual(warning.status, 3);
+  });
+  
+  it('queries the configured servers with the configured timeout', async () => {
+    await checker.checkWebsite('example.com', { servers: ['1.1.1.1'], timeoutMs: 2000 });
+    await checker.checkWebsite('example.com');
+    
+    const [configured, defaults] = StubResolver.instances;
+    assert.deepStrictEqual(configured.servers, ['1.1.1.1']);
+    assert.deepStrictEqual(configured.options, { timeout: 2000, tries: 1 });
+    assert.strictEqual(defaults.servers, null);
+  });
+  
+  it('reports a check with an invalid server unknown', async () => {
+    const result = await checker.checkWebsite('example.com', { servers: ['not-a-server'] });
+    
+    assert.strictEqual(result.status, 0);
+    assert.match(result.message, /^Unknown - Invalid DNS check configuration: Invalid IP address: not-a-server/);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const MerkleTree = require('../lib/MerkleTree');
+
+// Leaves for the given number of reports
+function leaves(count) {
+  return Array.from({ length: count }, (_, i) =>
+    MerkleTree.hashLeaf(i + 1, 1, 100 + i, MerkleTree.hashDetails(`details ${i}`))
+  );
+}
+
+describe('MerkleTree', () => {
+  it('refuses to build a tree without leaves', () => {
+    assert.throws(() => new MerkleTree([]), /without leaves/);
+  });
+  
+  it('uses the leaf of a single-leaf tree as its root, with an empty proof', () => {
+    const [leaf] = leaves(1);
+    const tree = new MerkleTree([leaf]);
+    
+    assert.strictEqual(tree.getRoot(), leaf);
+    assert.deepStrictEqual(tree.getProof(0), []);
+    assert.strictEqual(MerkleTree.verify([], tree.getRoot(), leaf), true);
+  });
+  
+  it('hashes pairs in sorted order', () => {
+    const [a, b] = leaves(2);
+    
+    assert.strictEqual(MerkleTree.hashPair(a, b), MerkleTree.hashPair(b, a));
+    assert.strictEqual(new MerkleTree([a, b]).getRoot(), new MerkleTree([b, a]).getRoot());
+  });
+  
+  it('carries an unpaired node up to the next level', () => {
+    const [a, b, c] = leaves(3);
+    const tree = new MerkleTree([a, b, c]);
+    
+    assert.strictEqual(tree.getRoot(), MerkleTree.hashPair(MerkleTree.hashPair(a, b), c));
+    assert.deepStrictEqual(tree.getProof(2), [MerkleTree.hashPair(a, b)]);
+  });
+  
+  it('builds a proof for every leaf of odd and even trees', () => {
+    for (const count of [2, 3, 5, 7, 8]) {
+      const tree = new MerkleTree(leaves(count));
+      
+      leaves(count).forEach((leaf, index) => {
+        assert.strictEqual(MerkleTree.verify(tree.getProof(index), tree.getRoot(), leaf), true, `leaf ${index} of ${count}`);
+      });
+    }
+  });
+  
+  it('rejects a proof for another leaf', () => {
+    const all = leaves(5);
+    const tree = new MerkleTree(all);
+    
+    assert.strictEqual(MerkleTree.verify(tree.getProof(0), tree.getRoot(), all[1]), false);
+  });
+  
+  it('double hashes the ABI-encoded report as a leaf', () => {
+    const detailsHash = MerkleTree.hashDetails('details');
+    const encoded = ethers.utils.defaultAbiCoder.encode(['uint256', 'uint8', 'uint256', 'bytes32'], [4, 2, 0, detailsHash]);
+    
+    assert.strictEqual(MerkleTree.hashLeaf(4, 2, 0, detailsHash), ethers.utils.keccak256(ethers.utils.keccak256(encoded)));
+    assert.strictEqual(detailsHash, ethers.utils.keccak256(ethers.utils.toUtf8Bytes('details')));
+  });
+});
@@ -0,0 +1,380 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const NodeClient = require('../lib/NodeClient');
+const WebsiteStatusChecker = require('../lib/WebsiteStatusChecker');
+const { serveHttp } = require('./helpers/servers');
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+const MINUTE_MS = 60 * 1000;
+
+// The blockchain service needs a key and contract addresses, but these tests never reach a chain
+process.env.RPC_URL = 'http://127.0.0.1:1';
+process.env.PRIVATE_KEY = ethers.Wallet.createRandom().privateKey;
+process.env.NODE_REGISTRY_ADDRESS = ethers.constants.AddressZero;
+process.env.STATUS_REPORT_ADDRESS = ethers.constants.AddressZero;
+process.env.WEBSITE_REGISTRY_ADDRESS = ethers.constants.AddressZero;
+
+describe('NodeClient', () => {
+  describe('offline confirmation', () => {
+    let server;
+    let failures;
+    let requestTimes;
+    const checker = new WebsiteStatusChecker(logger);
+    
+    before(async () => {
+      // Answers 503 to the first `failures` requests, then 200
+      server = await serveHttp((req, res) => {
+        requestTimes.push(Date.now());
+        res.statusCode = requestTimes.length <= failures ? 503 : 200;
+        res.end('OK');
+      });
+    });
+    
+    after(() => server.close());
+    
+    beforeEach(() => {
+      requestTimes = [];
+    });
+    
+    function createClient() {
+      const client = new NodeClient(logger);
+      client.confirmRetries = 2;
+      client.retryBackoffMs = 50;
+      return client;
+    }
+    
+    it('reads CONFIRM_RETRIES as a non-negative integer, falling back to 2', () => {
+      const configured = process.env.CONFIRM_RETRIES;
+      const retriesFor = (value) => {
+        process.env.CONFIRM_RETRIES = value;
+        return new NodeClient(logger).confirmRetries;
+      };
+      
+      try {
+        assert.deepStrictEqual(['0', '3', ' 4 '].map(retriesFor), [0, 3, 4]);
+        assert.deepStrictEqual(['', ' ', 'abc', '-1', '1.5'].map(retriesFor), [2, 2, 2, 2, 2]);
+        
+        delete process.env.CONFIRM_RETRIES;
+        assert.strictEqual(new NodeClient(logger).confirmRetries, 2);
+      } finally {
+        if (configured === undefined) {
+          delete process.env.CONFIRM_RETRIES;
+        } else {
+          process.env.CONFIRM_RETRIES = configured;
+        }
+      }
+    });
+    
+    it('reports a website that recovers on a retry online', async () => {
+      failures = 1;
+      const result = await createClient().checkWithConfirmation(checker, server.url, {});
+      
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(result.attempts, 2);
+    });
+    
+    it('confirms an offline website after every retry, doubling the backoff', async () => {
+      failures = Infinity;
+      const result = await createClient().checkWithConfirmation(checker, server.url, {});
+      
+      assert.strictEqual(result.status, 2);
+      assert.strictEqual(result.attempts, 3);
+      assert.match(result.message, /Confirmed after 3 attempts/);
+      assert.ok(requestTimes[1] - requestTimes[0] >= 50);
+      assert.ok(requestTimes[2] - requestTimes[1] >= 100);
+    });
+    
+    it('uses the retries configured for the website', async () => {
+      failures = Infinity;
+      const result = await createClient().checkWithConfirmation(checker, server.url, { confirmation: { retries: 0 } });
+      
+      assert.strictEqual(result.status, 2);
+      assert.strictEqual(result.attempts, 1);
+      assert.doesNotMatch(result.message, /Confirmed/);
+    });
+    
+    it('does not retry a website that is not offline', async () => {
+      failures = 0;
+      const result = await createClient().checkWithConfirmation(checker, server.url, {});
+      
+      assert.strictEqual(result.attempts, 1);
+      assert.strictEqual(requestTimes.length, 1);
+    });
+  });
+  
+  describe('scheduling', () => {
+    let client;
+    let websites;
+    let loads;
+    
+    beforeEach(() => {
+      websites = [
+        { id: 1, url: 'https://a.example', checkFrequency: 1 },
+        { id: 2, url: 'https://b.example', checkFrequency: 10 },
+        { id: 3, url: 'https://c.example', checkFrequency: 0 }
+      ];
+      loads = 0;
+      
+      client = new NodeClient(logger);
+      client.websiteRefreshMinutes = 5;
+      client.blockchainService = {
+        getActiveWebsites: async () => {
+          loads++;
+          return websites;
+        }
+      };
+    });
+    
+    // IDs of the websites due at `now`, marking them as checked like a scheduled run does
+    async function checkDue(now) {
+      const due = await client.getDueWebsites(5, now);
+      due.forEach(website => client.lastCheckedAt.set(website.id, now));
+      return due.map(website => website.id);
+    }
+    
+    it('checks every website on the first run', async () => {
+      assert.deepStrictEqual(await checkDue(0), [1, 2, 3]);
+    });
+    
+    it('checks each website at its own frequency, falling back to the default', async () => {
+      await checkDue(0);
+      
+      assert.deepStrictEqual(await checkDue(MINUTE_MS), [1]);
+      assert.deepStrictEqual(await checkDue(5 * MINUTE_MS), [1, 3]);
+      assert.deepStrictEqual(await checkDue(10 * MINUTE_MS), [1, 2, 3]);
+    });
+    
+    it('tolerates a tick that fires slightly early', async () => {
+      await checkDue(0);
+      
+      assert.deepStrictEqual(await checkDue(MINUTE_MS - 4000), [1]);
+      assert.deepStrictEqual(await checkDue(2 * MINUTE_MS - 4000 - 6000), []);
+    });
+    
+    it('reloads the website list only every websiteRefreshMinutes', async () => {
+      await checkDue(0);
+      await checkDue(MINUTE_MS);
+      assert.strictEqual(loads, 1);
+      
+      await checkDue(5 * MINUTE_MS);
+      assert.strictEqual(loads, 2);
+    });
+    
+    it('forgets websites that were deactivated', async () => {
+      await checkDue(0);
+      websites = websites.filter(website => website.id !== 2);
+      await checkDue(5 * MINUTE_MS);
+      
+      assert.deepStrictEqual(Array.from(client.lastCheckedAt.keys()), [1, 3]);
+      
+      // A reactivated website is checked again straight away
+      websites.push({ id: 2, url: 'https://b.example', checkFrequency: 10 });
+      assert.deepStrictEqual(await checkDue(10 * MINUTE_MS + 1000), [1, 3, 2]);
+    });
+  });
+  
+  describe('monitor types', () => {
+    let client;
+    let checked;
+    
+    beforeEach(() => {
+      checked = [];
+      
+      const websites = [
+        { url: 'https://example.com', checkConfig: {} },
+        { url: 'tcp://db.example.com:5432', checkConfig: {} },
+        { url: 'dns://example.com', checkConfig: { recordType: 'MX' } },
+        { url: 'tcp://db.example.com:5432', checkConfig: { type: 'http' } }
+      ];
+      
+      client = new NodeClient(logger);
+      client.blockchainService = {
+        getWebsiteDetails: async (websiteId) => websites[websiteId]
+      };
+      
+      // Each checker records the monitor type it was used for
+      for (const type of ['http', 'tcp', 'dns']) {
+        client.monitors.register(type, {
+          checkWebsite: async (url, config) => {
+            checked.push({ type, url, config });
+            return { url, status: 1, responseTime: 1, httpStatus: null, message: 'Online' };
+          }
+        });
+      }
+    });
+    
+    it('checks a tcp:// website with the TCP checker', async () => {
+      await client.runCheck(1);
+      
+      assert.deepStrictEqual(checked.map(check => [check.type, check.url]), [['tcp', 'tcp://db.example.com:5432']]);
+    });
+    
+    it('checks a dns:// website with the DNS checker', async () => {
+      await client.runCheck(2);
+      
+      assert.deepStrictEqual(checked.map(check => [check.type, check.url]), [['dns', 'dns://example.com']]);
+      assert.strictEqual(checked[0].config.recordType, 'MX');
+    });
+    
+    it('checks an https:// website with the HTTP checker', async () => {
+      await client.runCheck(0);
+      
+      assert.deepStrictEqual(checked.map(check => check.type), ['http']);
+    });
+    
+    it('prefers the type named in the check configuration over the URL scheme', async () => {
+      await client.runCheck(3);
+      
+      assert.deepStrictEqual(checked.map(check => check.type), ['http']);
+    });
+  });
+
+  describe('check runs', () => {
+    const WEBSITE_COUNT = 6;
+    let server;
+    let inFlight;
+    let maxInFlight;
+    let client;
+    let submitted;
+    
+    before(async () => {
+      // Holds each request for 50ms, counting how many are in progress at once
+      server = await serveHttp((req, res) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(() => {
+          inFlight--;
+          res.end('OK');
+        }, 50);
+      });
+    });
+    
+    after(() => server.close());
+    
+    beforeEach(() => {
+      inFlight = 0;
+      maxInFlight = 0;
+      submitted = [];
+      
+      const websites = Array.from({ length: WEBSITE_COUNT }, (_, id) => ({ id, url: `${server.url}${id}`, checkFrequency: 5 }));
+      
+      client = new NodeClient(logger);
+      client.blockchainService = {
+        getActiveWebsites: async () => websites,
+        getWebsiteDetails: async (websiteId) => ({ ...websites[websiteId], checkConfig: {} }),
+        submitStatusReports: async (nodeId, reports) => {
+          submitted.push(...reports);
+        }
+      };
+    });
+    
+    it('checks every due website with at most `concurrency` checks at once', async () => {
+      client.concurrency = 2;
+      const run = await client.runScheduledChecks(0);
+      
+      assert.strictEqual(maxInFlight, 2);
+      assert.strictEqual(run.websites, WEBSITE_COUNT);
+      assert.strictEqual(run.succeeded, WEBSITE_COUNT);
+      assert.deepStrictEqual(submitted.map(report => report.websiteId).sort(), [0, 1, 2, 3, 4, 5]);
+      assert.ok(submitted.every(report => report.status === 1));
+    });
+    
+    it('skips a run while the previous one is still in progress', async () => {
+      client.concurrency = 1;
+      const first = client.runScheduledChecks(0);
+      
+      assert.strictEqual(await client.runScheduledChecks(0), null);
+      assert.strictEqual(client.runMetrics.skippedRuns, 1);
+      
+      await first;
+      assert.strictEqual(client.runMetrics.completedRuns, 1);
+      assert.strictEqual(maxInFlight, 1);
+    });
+    
+    it('keeps checking the other websites when one fails', async () => {
+      const getWebsiteDetails = client.blockchainService.getWebsiteDetails;
+      client.blockchainService.getWebsiteDetails = async (websiteId) => {
+        if (websiteId === 3) {
+          throw new Error('RPC unavailable');
+        }
+        return getWebsiteDetails(websiteId);
+      };
+      
+      const run = await client.runScheduledChecks(0);
+      
+      assert.strictEqual(run.succeeded, WEBSITE_COUNT - 1);
+      assert.strictEqual(run.failed, 1);
+    });
+    
+    it('processes every item with a pool larger than the work', async () => {
+      const processed = [];
+      await client.runWithConcurrency([1, 2, 3], 10, async (item) => processed.push(item));
+      
+      assert.deepStrictEqual(processed, [1, 2, 3]);
+    });
+  });
+  
+  describe('report batches', () => {
+    let client;
+    let batches;
+    
+    // Check results for the given website IDs, all Online
+    function results(websiteIds) {
+      return websiteIds.map(websiteId => ({
+        websiteId,
+        statusResult: { status: 1, responseTime: 100 + websiteId, message: `Online ${websiteId}` }
+      }));
+    }
+    
+    beforeEach(() => {
+      batches = [];
+      
+      client = new NodeClient(logger);
+      client.reportBatchSize = 2;
+      client.blockchainService = {
+        submitStatusReports: async (nodeId, reports) => {
+          batches.push(reports);
+        }
+      };
+    });
+    
+    it('submits the reports in batches of reportBatchSize', async () => {
+      const flushed = await client.flushReports(7, results([1, 2, 3, 4, 5]));
+      
+      assert.deepStrictEqual(flushed, { submitted: 5, failed: 0 });
+      assert.deepStrictEqual(batches.map(batch => batch.map(report => report.websiteId)), [[1, 2], [3, 4], [5]]);
+      assert.deepStrictEqual(batches[0][1], { websiteId: 2, status: 1, responseTime: 102, statusMessage: 'Online 2' });
+    });
+    
+    it('counts the reports of a failed batch as failed and submits the others', async () => {
+      client.blockchainService.submitStatusReports = async (nodeId, reports) => {
+        if (reports.some(report => report.websiteId === 3)) {
+          throw new Error('execution reverted');
+        }
+        batches.push(reports);
+      };
+      
+      const flushed = await client.flushReports(7, results([1, 2, 3, 4, 5]));
+      
+      assert.deepStrictEqual(flushed, { submitted: 3, failed: 2 });
+      assert.deepStrictEqual(batches.map(batch => batch.map(report => report.websiteId)), [[1, 2], [5]]);
+    });
+    
+    it('does not submit Unknown results', async () => {
+      const checked = results([1, 2, 3]);
+      checked[1].statusResult = { status: 0, responseTime: 0, message: 'Unknown - Request could not be built' };
+      
+      const flushed = await client.flushReports(7, checked);
+      
+      assert.deepStrictEqual(flushed, { submitted: 2, failed: 0 });
+      assert.deepStrictEqual(batches.map(batch => batch.map(report => report.websiteId)), [[1, 3]]);
+    });
+    
+    it('submits nothing when there are no results', async () => {
+      assert.deepStrictEqual(await client.flushReports(7, []), { submitted: 0, failed: 0 });
+      assert.strictEqual(batches.length, 0);
+    });
+  });
+});
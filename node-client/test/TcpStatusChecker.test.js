@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const TcpStatusChecker = require('../lib/TcpStatusChecker');
+const { serveTcp } = require('./helpers/servers');
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+describe('TcpStatusChecker', () => {
+  let server;
+  const checker = new TcpStatusChecker(logger);
+  
+  before(async () => {
+    server = await serveTcp();
+  });
+  
+  after(() => server.close());
+  
+  it('reports an open port online', async () => {
+    const result = await checker.checkWebsite(`127.0.0.1:${server.port}`);
+    
+    assert.strictEqual(result.status, 1);
+    assert.match(result.message, new RegExp(`TCP port ${server.port} open`));
+  });
+  
+  it('takes the port from the configuration when the target has none', async () => {
+    const result = await checker.checkWebsite('tcp://127.0.0.1', { port: server.port });
+    
+    assert.strictEqual(result.status, 1);
+  });
+  
+  it('reports a closed port offline', async () => {
+    // Reserve a free port, then release it so nothing is listening on it
+    const closed = net.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+    
+    const result = await checker.checkWebsite(`127.0.0.1:${port}`);
+    
+    assert.strictEqual(result.status, 2);
+    assert.match(result.message, /ECONNREFUSED/);
+  });
+  
+  it('reports a slow connect degraded past the warning threshold', async () => {
+    const result = await checker.checkWebsite(`127.0.0.1:${server.port}`, { latency: { warningMs: -1 } });
+    
+    assert.strictEqual(result.status, 3);
+    assert.match(result.message, /Slow TCP connect/);
+  });
+  
+  it('reports a connect slower than the critical threshold offline', async () => {
+    const result = await checker.checkWebsite(`127.0.0.1:${server.port}`, { latency: { warningMs: -1, criticalMs: -1 } });
+    
+    assert.strictEqual(result.status, 2);
+    assert.match(result.message, /exceeds critical threshold/);
+  });
+  
+  it('reports a target without a port unknown', async () => {
+    const result = await checker.checkWebsite('tcp://127.0.0.1');
+    
+    assert.strictEqual(result.status, 0);
+    assert.match(result.message, /No port specified/);
+  });
+  
+  it('reports a malformed target unknown', async () => {
+    const result = await checker.checkWebsite('tcp://[not-a-host:80');
+    
+    assert.strictEqual(result.status, 0);
+    assert.match(result.message, /Invalid TCP target/);
+  });
+});
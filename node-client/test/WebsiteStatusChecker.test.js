@@ -0,0 +1,362 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebsiteStatusChecker = require('../lib/WebsiteStatusChecker');
+const { createCertificate } = require('./helpers/certificates');
+const { serveHttp, serveHttps } = require('./helpers/servers');
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+describe('WebsiteStatusChecker', () => {
+  describe('certificates', () => {
+    let ca;
+    let checker;
+    
+    before(() => {
+      ca = createCertificate({ commonName: 'Test CA', isCA: true, validToDays: 3650 });
+      checker = new WebsiteStatusChecker(logger, { ca: ca.cert });
+    });
+    
+    // Check a local server presenting a certificate for localhost signed by the test CA, with the given overrides
+    async function checkWithCertificate(overrides) {
+      const server = await serveHttps(createCertificate({
+        commonName: 'localhost',
+        dnsNames: ['localhost'],
+        ipAddresses: ['127.0.0.1'],
+        issuer: ca,
+        ...overrides
+      }));
+      
+      try {
+        return await checker.checkWebsite(server.url);
+      } finally {
+        await server.close();
+      }
+    }
+    
+    it('reports a website with a valid certificate online', async () => {
+      const result = await checkWithCertificate({});
+      
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(result.certificate.subject, 'localhost');
+      assert.strictEqual(result.certificate.hostnameMatch, true);
+      assert.strictEqual(result.certificate.chainValid, true);
+      assert.ok(result.certificate.daysUntilExpiry > 300);
+    });
+    
+    it('reports a website whose certificate expires soon degraded', async () => {
+      const result = await checkWithCertificate({ validToDays: 5 });
+      
+      assert.strictEqual(result.status, 3);
+      assert.match(result.message, /^Degraded - TLS certificate expires on \d{4}-\d{2}-\d{2} \(4 days\)/);
+    });
+    
+    it('reports a website with an expired certificate offline', async () => {
+      const result = await checkWithCertificate({ validFromDays: -30, validToDays: -1 });
+      
+      assert.strictEqual(result.status, 2);
+      assert.strictEqual(result.httpStatus, null);
+      assert.match(result.message, /^Offline - TLS certificate expired on/);
+    });
+    
+    it('reports a website whose certificate is for another hostname offline', async () => {
+      const result = await checkWithCertificate({ commonName: 'other.example', dnsNames: ['other.example'], ipAddresses: [] });
+      
+      assert.strictEqual(result.status, 2);
+      assert.strictEqual(result.certificate.hostnameMatch, false);
+      assert.strictEqual(result.message, 'Offline - TLS certificate is not valid for this hostname (issued to other.example)');
+    });
+    
+    it('reports a website whose certificate is not signed by a trusted CA offline', async () => {
+      // Self-signed, so the chain does not lead to the test CA
+      const result = await checkWithCertificate({ issuer: undefined });
+      
+      assert.strictEqual(result.status, 2);
+      assert.strictEqual(result.certificate.hostnameMatch, true);
+      assert.strictEqual(result.certificate.chainValid, false);
+      assert.match(result.message, /^Offline - TLS certificate chain is invalid: /);
+    });
+    
+    it('does not inspect the certificate when certificate checks are disabled', async () => {
+      const server = await serveHttps(createCertificate({ commonName: 'localhost', dnsNames: ['localhost'], issuer: ca, validToDays: 5 }));
+      
+      try {
+        const result = await checker.checkWebsite(server.url, { checkCertificate: false });
+        
+        assert.strictEqual(result.status, 1);
+        assert.strictEqual(result.certificate, null);
+      } finally {
+        await server.close();
+      }
+    });
+    
+    it('returns no certificate when no TLS connection can be made', async () => {
+      assert.strictEqual(await checker.inspectCertificate('https://localhost:1/', 1000), null);
+    });
+  });
+  
+  describe('assertions', () => {
+    let server;
+    let body;
+    const checker = new WebsiteStatusChecker(logger);
+    
+    before(async () => {
+      server = await serveHttp((req, res) => res.end(body));
+    });
+    
+    after(() => server.close());
+    
+    // Check the local server serving the given body against the given assertions
+    function checkBody(text, assertions) {
+      body = text;
+      return checker.checkWebsite(server.url, { assertions });
+    }
+    
+    it('reports a website whose body passes every assertion online', async () => {
+      const result = await checkBody('{"checks":[{"status":"ok"}],"build":"build-42"}', [
+        { type: 'contains', value: 'build' },
+        { type: 'notContains', value: 'Under Maintenance' },
+        { type: 'regex', value: 'BUILD-[0-9]+', flags: 'i' },
+        { type: 'jsonPath', path: '$.checks[0].status', equals: 'ok' }
+      ]);
+      
+      assert.strictEqual(result.status, 1);
+    });
+    
+    it('reports the first failed assertion as degraded', async () => {
+      const result = await checkBody('Welcome', [
+        { type: 'contains', value: 'Welcome' },
+        { type: 'contains', value: 'Dashboard' },
+        { type: 'notContains', value: 'Welcome' }
+      ]);
+      
+      assert.strictEqual(result.status, 3);
+      assert.match(result.message, /Assertion failed: body does not contain "Dashboard"/);
+    });
+    
+    it('reports a failed assertion with offline severity offline', async () => {
+      const result = await checkBody('Under Maintenance', [
+        { type: 'notContains', value: 'Under Maintenance', severity: 'offline' }
+      ]);
+      
+      assert.strictEqual(result.status, 2);
+      assert.match(result.message, /^Offline - Assertion failed: body contains "Under Maintenance"/);
+    });
+    
+    it('reports missing or different JSON values', async () => {
+      const missing = await checkBody('{"checks":[]}', [{ type: 'jsonPath', path: '$.checks[0].status' }]);
+      const different = await checkBody('{"checks":[{"status":"down"}]}', [{ type: 'jsonPath', path: '$.checks[0].status', equals: 'ok' }]);
+      const invalid = await checkBody('<html></html>', [{ type: 'jsonPath', path: '$.status' }]);
+      
+      assert.match(missing.message, /\$\.checks\[0\]\.status not found/);
+      assert.match(different.message, /\$\.checks\[0\]\.status is "down", expected "ok"/);
+      assert.match(invalid.message, /body is not valid JSON/);
+    });
+    
+    it('rejects invalid and overlong regexes', async () => {
+      const invalid = await checkBody('OK', [{ type: 'regex', value: '(' }]);
+      const overlong = await checkBody('OK', [{ type: 'regex', value: 'a'.repeat(257) }]);
+      
+      assert.match(invalid.message, /invalid regex \/\(\//);
+      assert.match(overlong.message, /regex is longer than 256 characters/);
+    });
+    
+    it('abandons a catastrophically backtracking regex', async () => {
+      const startedAt = Date.now();
+      const result = await checkBody(`${'a'.repeat(40)}!`, [{ type: 'regex', value: '^(a+)+$' }]);
+      
+      assert.strictEqual(result.status, 3);
+      assert.match(result.message, /took longer than 100ms/);
+      assert.ok(Date.now() - startedAt < 2000);
+    });
+    
+    it('only matches a regex against the start of a large body', async () => {
+      const result = await checkBody(`${'x'.repeat(64 * 1024)}marker`, [{ type: 'regex', value: 'marker' }]);
+      
+      assert.strictEqual(result.status, 3);
+      assert.match(result.message, /body does not match \/marker\//);
+    });
+  });
+  
+  describe('latency thresholds', () => {
+    const checker = new WebsiteStatusChecker(logger);
+    
+    // Statuses of 200 responses taking just below, exactly and just above `ms`
+    function statusesAround(ms, config) {
+      return [ms - 1, ms, ms + 1].map(responseTime => checker.determineStatus(200, responseTime, config));
+    }
+    
+    it('degrades responses slower than 80% of the timeout by default', () => {
+      assert.deepStrictEqual(checker.getThresholds(), { timeoutMs: 5000, warningMs: 4000, criticalMs: null });
+      assert.deepStrictEqual(checker.getThresholds({ timeoutMs: 10000 }), { timeoutMs: 10000, warningMs: 8000, criticalMs: null });
+      
+      assert.deepStrictEqual(statusesAround(4000), [1, 1, 3]);
+      assert.deepStrictEqual(statusesAround(8000, { timeoutMs: 10000 }), [1, 1, 3]);
+    });
+    
+    it('degrades responses slower than the warning threshold', () => {
+      const config = { latency: { warningMs: 400 } };
+      
+      assert.deepStrictEqual(checker.getThresholds(config), { timeoutMs: 5000, warningMs: 400, criticalMs: null });
+      assert.deepStrictEqual(statusesAround(400, config), [1, 1, 3]);
+    });
+    
+    it('reports responses slower than the critical threshold offline', () => {
+      const config = { latency: { warningMs: 400, criticalMs: 2000 } };
+      
+      assert.deepStrictEqual(statusesAround(2000, config), [3, 3, 2]);
+    });
+    
+    it('applies a warning threshold of zero', () => {
+      assert.deepStrictEqual(statusesAround(1, { latency: { warningMs: 0 } }), [1, 3, 3]);
+    });
+    
+    it('only applies the thresholds to successful responses', () => {
+      const config = { latency: { warningMs: 400, criticalMs: 2000 } };
+      
+      assert.strictEqual(checker.determineStatus(404, 3000, config), 3);
+      assert.strictEqual(checker.determineStatus(503, 10, config), 2);
+    });
+    
+    it('classifies a slow local server by its response time', async () => {
+      const server = await serveHttp((req, res) => setTimeout(() => res.end('OK'), 150));
+      
+      try {
+        const degraded = await checker.checkWebsite(server.url, { latency: { warningMs: 50 } });
+        const offline = await checker.checkWebsite(server.url, { latency: { warningMs: 50, criticalMs: 100 } });
+        const online = await checker.checkWebsite(server.url, { latency: { warningMs: 1000 } });
+        
+        assert.strictEqual(degraded.status, 3);
+        assert.strictEqual(offline.status, 2);
+        assert.strictEqual(online.status, 1);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+  
+  describe('redirects', () => {
+    let server;
+    const checker = new WebsiteStatusChecker(logger);
+    
+    before(async () => {
+      // `/hops/<n>` redirects n more times before reaching `/`, and `/elsewhere` redirects to another host
+      server = await serveHttp((req, res) => {
+        const hops = req.url.match(/^\/hops\/(\d+)$/);
+        
+        if (hops) {
+          const remaining = Number(hops[1]) - 1;
+          res.writeHead(302, { Location: remaining > 0 ? `/hops/${remaining}` : '/' });
+        } else if (req.url === '/elsewhere') {
+          res.writeHead(302, { Location: `http://127.0.0.1:${server.port}/` });
+        }
+        res.end('OK');
+      });
+    });
+    
+    after(() => server.close());
+    
+    it('follows redirects and records the chain', async () => {
+      const result = await checker.checkWebsite(`${server.url}hops/2`);
+      
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(result.redirects.length, 2);
+      assert.strictEqual(result.finalUrl, server.url);
+      assert.match(result.message, new RegExp(`Redirected to ${server.url}`));
+    });
+    
+    it('reports more redirects than maxHops degraded', async () => {
+      const result = await checker.checkWebsite(`${server.url}hops/4`, { redirect: { maxHops: 3 } });
+      
+      assert.strictEqual(result.status, 3);
+      assert.match(result.message, /Too many redirects \(more than 3\)/);
+    });
+    
+    it('does not follow redirects with the accept and none policies', async () => {
+      const accepted = await checker.checkWebsite(`${server.url}hops/1`, { redirect: { policy: 'accept' } });
+      const refused = await checker.checkWebsite(`${server.url}hops/1`, { redirect: { policy: 'none' } });
+      
+      assert.strictEqual(accepted.status, 1);
+      assert.strictEqual(refused.status, 3);
+      assert.strictEqual(accepted.httpStatus, 302);
+      assert.deepStrictEqual(accepted.redirects, [{ status: 302, url: server.url }]);
+    });
+    
+    it('flags a redirect to another host only when asked to', async () => {
+      const flagged = await checker.checkWebsite(`${server.url}elsewhere`, { redirect: { flagCrossHost: true } });
+      const unflagged = await checker.checkWebsite(`${server.url}elsewhere`);
+      
+      assert.strictEqual(flagged.status, 3);
+      assert.match(flagged.message, /Redirected to a different host/);
+      assert.strictEqual(unflagged.status, 1);
+    });
+  });
+  
+  describe('timings', () => {
+    const PHASE_DELAY_MS = 100;
+    let ca;
+    let checker;
+    
+    // Holds the first byte and then the rest of the body for PHASE_DELAY_MS each
+    function slowHandler(req, res) {
+      setTimeout(() => {
+        res.write('first');
+        setTimeout(() => res.end(' last'), PHASE_DELAY_MS);
+      }, PHASE_DELAY_MS);
+    }
+    
+    // Check that the phases add up to the total, allowing for each phase being rounded
+    function assertConsistent(timings) {
+      const phases = timings.dns + timings.tcp + timings.tls + timings.ttfb + timings.download;
+      
+      assert.ok(Object.values(timings).every(value => value >= 0));
+      assert.ok(Math.abs(phases - timings.total) <= 3, `${phases}ms of phases in ${timings.total}ms`);
+    }
+    
+    before(() => {
+      ca = createCertificate({ commonName: 'Test CA', isCA: true, validToDays: 3650 });
+      checker = new WebsiteStatusChecker(logger, { ca: ca.cert });
+    });
+    
+    it('breaks an HTTP request down into its phases', async () => {
+      const server = await serveHttp(slowHandler);
+      
+      try {
+        const result = await checker.checkWebsite(server.url);
+        const { timings } = result;
+        
+        assertConsistent(timings);
+        assert.strictEqual(timings.tls, 0);
+        assert.ok(timings.ttfb >= PHASE_DELAY_MS - 5, `ttfb ${timings.ttfb}ms`);
+        assert.ok(timings.download >= PHASE_DELAY_MS - 5, `download ${timings.download}ms`);
+        assert.ok(result.message.endsWith(
+          `[dns=${timings.dns} tcp=${timings.tcp} tls=0 ttfb=${timings.ttfb} download=${timings.download}]`
+        ));
+      } finally {
+        await server.close();
+      }
+    });
+    
+    it('times the TLS handshake of an HTTPS request', async () => {
+      const certificate = createCertificate({ commonName: 'localhost', dnsNames: ['localhost'], issuer: ca });
+      const server = await serveHttps(certificate, slowHandler, PHASE_DELAY_MS);
+      
+      try {
+        const { timings } = await checker.checkWebsite(server.url, { checkCertificate: false });
+        
+        assertConsistent(timings);
+        assert.ok(timings.tls >= PHASE_DELAY_MS - 5, `tls ${timings.tls}ms`);
+        assert.ok(timings.ttfb >= PHASE_DELAY_MS - 5, `ttfb ${timings.ttfb}ms`);
+        assert.ok(timings.download >= PHASE_DELAY_MS - 5, `download ${timings.download}ms`);
+      } finally {
+        await server.close();
+      }
+    });
+    
+    it('gives no time to phases that did not happen', () => {
+      // A request to an IP address over HTTP, whose response arrived in one chunk
+      const timings = checker.getTimingBreakdown({ start: 0, connect: 5, firstByte: 30, end: 30 });
+      
+      assert.deepStrictEqual(timings, { dns: 0, tcp: 5, tls: 0, ttfb: 25, download: 0, total: 30 });
+    });
+  });
+});
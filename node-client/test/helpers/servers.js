@@ -0,0 +1,57 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * Start a server on a random local port
+ * @param {object} server - The server to start
+ * @param {string} protocol - The protocol of the server's URL
+ * @returns {Promise<{url: string, port: number, close: Function}>} - The server's URL and port, and a function that stops it
+ */
+function listen(server, protocol) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      
+      resolve({
+        url: `${protocol}://localhost:${port}/`,
+        port,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Start a local HTTP server
+ * @param {Function} handler - The request handler, called with `(req, res)`
+ * @returns {Promise<{url: string, port: number, close: Function}>} - The running server
+ */
+function serveHttp(handler) {
+  return listen(http.createServer(handler), 'http');
+}
+
+/**
+ * Start a local HTTPS server presenting the given certificate
+ * @param {{cert: string, key: string}} certificate - The PEM certificate and key
+ * @param {Function} [handler] - The request handler, called with `(req, res)`
+ * @param {number} [handshakeDelayMs] - Time the server holds each TLS handshake for
+ * @returns {Promise<{url: string, port: number, close: Function}>} - The running server
+ */
+function serveHttps({ cert, key }, handler = (req, res) => res.end('OK'), handshakeDelayMs = 0) {
+  const context = tls.createSecureContext({ cert, key });
+  const SNICallback = (servername, callback) => setTimeout(() => callback(null, context), handshakeDelayMs);
+  
+  return listen(https.createServer({ cert, key, SNICallback }, handler), 'https');
+}
+
+/**
+ * Start a local TCP server that closes every connection it accepts
+ * @returns {Promise<{url: string, port: number, close: Function}>} - The running server
+ */
+function serveTcp() {
+  return listen(net.createServer(socket => socket.end()), 'tcp');
+}
+
+module.exports = { serveHttp, serveHttps, serveTcp };
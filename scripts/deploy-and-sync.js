@@ -176,7 +176,13 @@ async function main() {
     // Deploy WebsiteRegistry
     console.log('\nDeploying WebsiteRegistry...');
     const WebsiteRegistry = await ethers.getContractFactory("WebsiteRegistry");
-    const websiteRegistry = await WebsiteRegistry.deploy();
+    // Website owners prepay 0.1 UPT per check per region
+    const pricePerCheck = ethers.utils && ethers.utils.parseEther
+      ? ethers.utils.parseEther("0.1")
+      : ethers.parseEther
+        ? ethers.parseEther("0.1")
+        : ethers.BigNumber.from("100000000000000000");
+    const websiteRegistry = await WebsiteRegistry.deploy(getContractAddress(uptimeToken), pricePerCheck);
     await waitForDeployment(websiteRegistry);
     console.log(`WebsiteRegistry deployed to: ${getContractAddress(websiteRegistry)}`);
     
@@ -188,7 +194,7 @@ async function main() {
       : ethers.parseEther
         ? ethers.parseEther("100")
         : ethers.BigNumber.from("100000000000000000000");
-    const nodeRegistry = await NodeRegistry.deploy(minimumStake);
+    const nodeRegistry = await NodeRegistry.deploy(getContractAddress(uptimeToken), minimumStake);
     await waitForDeployment(nodeRegistry);
     console.log(`NodeRegistry deployed to: ${getContractAddress(nodeRegistry)}`);
     
@@ -196,11 +202,11 @@ async function main() {
     console.log('\nDeploying StatusReport...');
     const StatusReport = await ethers.getContractFactory("StatusReport");
 
-    // StatusReport doesn't take any constructor parameters
-    console.log('Deploying StatusReport with no constructor parameters');
+    // StatusReport authenticates report submitters against the NodeRegistry
+    console.log(`Deploying StatusReport with NodeRegistry address: ${getContractAddress(nodeRegistry)}`);
     let statusReport;
     try {
-      statusReport = await StatusReport.deploy();
+      statusReport = await StatusReport.deploy(getContractAddress(nodeRegistry));
       await waitForDeployment(statusReport);
       console.log(`StatusReport deployed to: ${getContractAddress(statusReport)}`);
     } catch (error) {
@@ -248,20 +254,24 @@ async function main() {
     const RewardDistribution = await ethers.getContractFactory("RewardDistribution");
 
     // Define reward parameters
-    const baseRewardAmount = 10; // Base reward tokens per report
+    const baseRewardAmount = 10; // Base reward weight per report
     const reputationMultiplier = 5; // 5% adjustment per reputation point difference from 50
 
     // Log constructor arguments for debugging
     console.log('RewardDistribution constructor arguments:');
     console.log(`UptimeToken address: ${getContractAddress(uptimeToken)}`);
+    console.log(`NodeRegistry address: ${getContractAddress(nodeRegistry)}`);
+    console.log(`WebsiteRegistry address: ${getContractAddress(websiteRegistry)}`);
     console.log(`ReputationSystem address: ${getContractAddress(reputationSystem)}`);
     console.log(`ConsensusEngine address: ${getContractAddress(consensusEngine)}`);
     console.log(`baseRewardAmount: ${baseRewardAmount}`);
     console.log(`reputationMultiplier: ${reputationMultiplier}`);
 
-    // Execute deployment with the exact 5 parameters from the constructor
+    // Execute deployment with the exact 7 parameters from the constructor
     const rewardDistribution = await RewardDistribution.deploy(
       getContractAddress(uptimeToken),        // _tokenAddress
+      getContractAddress(nodeRegistry),       // _nodeRegistryAddress
+      getContractAddress(websiteRegistry),    // _websiteRegistryAddress
       getContractAddress(reputationSystem),   // _reputationSystemAddress
       getContractAddress(consensusEngine),    // _consensusEngineAddress
       baseRewardAmount,                       // _baseRewardAmount
@@ -270,6 +280,44 @@ async function main() {
     await waitForDeployment(rewardDistribution);
     console.log(`RewardDistribution deployed to: ${getContractAddress(rewardDistribution)}`);
     
+    // Authorize the contracts that update node statistics and reputations
+    console.log('\nWiring contract permissions...');
+    const setStatusReportTx = await nodeRegistry.setStatusReportContract(getContractAddress(statusReport));
+    await setStatusReportTx.wait();
+    console.log(`NodeRegistry accepts reports from StatusReport: ${getContractAddress(statusReport)}`);
+    
+    const setConsensusEngineTx = await reputationSystem.setConsensusEngineContract(getContractAddress(consensusEngine));
+    await setConsensusEngineTx.wait();
+    console.log(`ReputationSystem accepts updates from ConsensusEngine: ${getContractAddress(consensusEngine)}`);
+    
+    const setReputationSystemTx = await nodeRegistry.setReputationSystemContract(getContractAddress(reputationSystem));
+    await setReputationSystemTx.wait();
+    const setNodeRegistryTx = await reputationSystem.setNodeRegistryContract(getContractAddress(nodeRegistry));
+    await setNodeRegistryTx.wait();
+    console.log(`ReputationSystem slashes stake in NodeRegistry: ${getContractAddress(nodeRegistry)}`);
+    
+    const setRewardDistributionTx = await websiteRegistry.setRewardDistributionContract(getContractAddress(rewardDistribution));
+    await setRewardDistributionTx.wait();
+    console.log(`WebsiteRegistry escrows pay RewardDistribution: ${getContractAddress(rewardDistribution)}`);
+    
+    const setConsensusRewardsTx = await consensusEngine.setRewardDistributionContract(getContractAddress(rewardDistribution));
+    await setConsensusRewardsTx.wait();
+    console.log(`ConsensusEngine distributes rewards through RewardDistribution when a round reaches consensus`);
+    
+    // New websites are only checked once their owner has prepaid for checks
+    const setActivateOnFundingTx = await websiteRegistry.setActivateOnFunding(true);
+    await setActivateOnFundingTx.wait();
+    console.log(`WebsiteRegistry activates new websites once their escrow can pay for a check`);
+    
+    // Reports are committed and revealed in 2-minute phases so nodes cannot copy each other
+    const commitPhaseDuration = 120;
+    const revealPhaseDuration = 120;
+    const setStatusConsensusTx = await statusReport.setConsensusEngineContract(getContractAddress(consensusEngine));
+    await setStatusConsensusTx.wait();
+    const setCommitRevealTx = await consensusEngine.setCommitRevealParameters(true, commitPhaseDuration, revealPhaseDuration);
+    await setCommitRevealTx.wait();
+    console.log(`StatusReport commits and reveals reports through ConsensusEngine (${commitPhaseDuration}s commit, ${revealPhaseDuration}s reveal)`);
+    
     // Step 4: Verify contract deployments
     console.log('\nStep 4: Verifying contract deployments...');
     
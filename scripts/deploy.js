@@ -22,20 +22,21 @@ async function main() {
   // Deploy WebsiteRegistry
   console.log("\nDeploying WebsiteRegistry...");
   const WebsiteRegistry = await ethers.getContractFactory("WebsiteRegistry");
-  const websiteRegistry = await WebsiteRegistry.deploy();
+  // Website owners prepay 0.1 UPT per check per region
+  const websiteRegistry = await WebsiteRegistry.deploy(uptimeToken.address, ethers.utils.parseEther("0.1"));
   console.log(`WebsiteRegistry deployed to: ${websiteRegistry.address}`);
   
   // Deploy NodeRegistry
   console.log("\nDeploying NodeRegistry...");
   const NodeRegistry = await ethers.getContractFactory("NodeRegistry");
   const minimumStake = ethers.parseEther("100");
-  const nodeRegistry = await NodeRegistry.deploy(minimumStake);
+  const nodeRegistry = await NodeRegistry.deploy(uptimeToken.address, minimumStake);
   console.log(`NodeRegistry deployed to: ${nodeRegistry.address}`);
   
   // Deploy StatusReport
   console.log("\nDeploying StatusReport...");
   const StatusReport = await ethers.getContractFactory("StatusReport");
-  const statusReport = await StatusReport.deploy(websiteRegistry.address, nodeRegistry.address);
+  const statusReport = await StatusReport.deploy(nodeRegistry.address);
   console.log(`StatusReport deployed to: ${statusReport.address}`);
   
   // Deploy ReputationSystem
@@ -68,11 +69,31 @@ async function main() {
   const rewardDistribution = await RewardDistribution.deploy(
     uptimeToken.address,
     nodeRegistry.address,
+    websiteRegistry.address,
     reputationSystem.address,
-    consensusEngine.address
+    consensusEngine.address,
+    10, // Base reward weight per report
+    5 // 5% adjustment per reputation point difference from 50
   );
   console.log(`RewardDistribution deployed to: ${rewardDistribution.address}`);
   
+  // Authorize the contracts that update node statistics and reputations
+  console.log("\nWiring contract permissions...");
+  await nodeRegistry.setStatusReportContract(statusReport.address);
+  await reputationSystem.setConsensusEngineContract(consensusEngine.address);
+  await nodeRegistry.setReputationSystemContract(reputationSystem.address);
+  await reputationSystem.setNodeRegistryContract(nodeRegistry.address);
+  
+  await websiteRegistry.setRewardDistributionContract(rewardDistribution.address);
+  await consensusEngine.setRewardDistributionContract(rewardDistribution.address);
+  
+  // New websites are only checked once their owner has prepaid for checks
+  await websiteRegistry.setActivateOnFunding(true);
+  
+  // Reports are committed and revealed in 2-minute phases so nodes cannot copy each other
+  await statusReport.setConsensusEngineContract(consensusEngine.address);
+  await consensusEngine.setCommitRevealParameters(true, 120, 120);
+  
   // Print the deployment summary
   console.log("\n==== Deployment Summary ====");
   console.log(`UptimeToken: ${uptimeToken.address}`);
@@ -187,6 +187,16 @@ async function registerWebsite() {
       }
     }
     
+    // Fund one day of checks, which activates the website
+    const dailyPrice = await websiteRegistry.getDailyPrice(testState.websiteId);
+    const UptimeToken = await ethers.getContractFactory('UptimeToken');
+    const uptimeToken = await UptimeToken.attach(testState.contracts.UptimeToken);
+    console.log(`Funding escrow: ${dailyPrice.toString()}`);
+    const approveTx = await uptimeToken.approve(testState.contracts.WebsiteRegistry, dailyPrice);
+    await approveTx.wait();
+    const topUpTx = await websiteRegistry.topUpEscrow(testState.websiteId, dailyPrice);
+    await topUpTx.wait();
+    
     // Verify website details
     const websiteDetails = await websiteRegistry.getWebsiteDetails(testState.websiteId);
     console.log('Website details:');
@@ -218,6 +228,14 @@ async function registerNode() {
     const NodeRegistry = await ethers.getContractFactory('NodeRegistry');
     const nodeRegistry = await NodeRegistry.attach(testState.contracts.NodeRegistry);
     
+    // Approve the minimum stake, which registerNode transfers from the operator
+    const minimumStake = await nodeRegistry.minimumStake();
+    const UptimeToken = await ethers.getContractFactory('UptimeToken');
+    const uptimeToken = await UptimeToken.attach(testState.contracts.UptimeToken);
+    console.log(`Approving minimum stake: ${minimumStake.toString()}`);
+    const approveTx = await uptimeToken.approve(testState.contracts.NodeRegistry, minimumStake);
+    await approveTx.wait();
+    
     // Register node
     console.log(`Registering node: ${TEST_NODE_NAME} (${TEST_NODE_ENDPOINT})`);
     const tx = await nodeRegistry.registerNode(TEST_NODE_NAME, TEST_NODE_ENDPOINT);
@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("NodeRegistry", function () {
+  const MINIMUM_STAKE = ethers.parseEther("100");
+  const UNBONDING_PERIOD = 7 * 24 * 60 * 60;
+
+  let uptimeToken;
+  let nodeRegistry;
+  let owner;
+  let nodeOwner;
+  let statusReport;
+  let reputationSystem;
+  let attacker;
+
+  beforeEach(async function () {
+    // Get signers (statusReport and reputationSystem stand in for those contracts)
+    [owner, nodeOwner, statusReport, reputationSystem, attacker] = await ethers.getSigners();
+
+    // Deploy contracts
+    const UptimeToken = await ethers.getContractFactory("UptimeToken");
+    uptimeToken = await UptimeToken.deploy();
+
+    const NodeRegistry = await ethers.getContractFactory("NodeRegistry");
+    nodeRegistry = await NodeRegistry.deploy(await uptimeToken.getAddress(), MINIMUM_STAKE);
+
+    // Fund the node operator and register a node with the minimum stake
+    await uptimeToken.transfer(nodeOwner.address, ethers.parseEther("1000"));
+    await uptimeToken.connect(nodeOwner).approve(await nodeRegistry.getAddress(), MINIMUM_STAKE);
+    await nodeRegistry.connect(nodeOwner).registerNode("Node", "http://node.example.com");
+  });
+
+  describe("Wiring", function () {
+    it("Should let the owner set the StatusReport contract", async function () {
+      await expect(nodeRegistry.setStatusReportContract(statusReport.address))
+        .to.emit(nodeRegistry, "StatusReportContractChanged")
+        .withArgs(ethers.ZeroAddress, statusReport.address);
+
+      expect(await nodeRegistry.statusReportContract()).to.equal(statusReport.address);
+    });
+
+    it("Should not let anyone else set the StatusReport contract", async function () {
+      await expect(
+        nodeRegistry.connect(attacker).setStatusReportContract(attacker.address)
+      ).to.be.revertedWithCustomError(nodeRegistry, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Recording reports", function () {
+    beforeEach(async function () {
+      await nodeRegistry.setStatusReportContract(statusReport.address);
+    });
+
+    it("Should record a report from the StatusReport contract", async function () {
+      await nodeRegistry.connect(statusReport).recordReport(0);
+
+      const details = await nodeRegistry.getNodeDetails(0);
+      expect(details.reportsSubmitted).to.equal(1n);
+    });
+
+    it("Should reject reports recorded by any other caller", async function () {
+      await expect(
+        nodeRegistry.connect(attacker).recordReport(0)
+      ).to.be.revertedWith("NodeRegistry: Caller is not the StatusReport contract");
+
+      await expect(
+        nodeRegistry.connect(nodeOwner).recordReport(0)
+      ).to.be.revertedWith("NodeRegistry: Caller is not the StatusReport contract");
+
+      await expect(
+        nodeRegistry.recordReport(0)
+      ).to.be.revertedWith("NodeRegistry: Caller is not the StatusReport contract");
+    });
+  });
+
+  describe("Staking", function () {
+    it("Should lock the minimum stake on registration", async function () {
+      const stake = await nodeRegistry.getNodeStake(0);
+      expect(stake.staked).to.equal(MINIMUM_STAKE);
+      expect(await uptimeToken.balanceOf(await nodeRegistry.getAddress())).to.equal(MINIMUM_STAKE);
+    });
+
+    it("Should not register a node without an approved stake", async function () {
+      await expect(
+        nodeRegistry.connect(attacker).registerNode("Free", "http://free.example.com")
+      ).to.be.revertedWithCustomError(uptimeToken, "ERC20InsufficientAllowance");
+    });
+
+    it("Should let the node owner top up the stake", async function () {
+      const topUp = ethers.parseEther("50");
+      await uptimeToken.connect(nodeOwner).approve(await nodeRegistry.getAddress(), topUp);
+
+      await expect(nodeRegistry.connect(nodeOwner).increaseStake(0, topUp))
+        .to.emit(nodeRegistry, "StakeIncreased")
+        .withArgs(0, topUp, MINIMUM_STAKE + topUp);
+    });
+
+    it("Should only release unstaked tokens after the unbonding period", async function () {
+      await nodeRegistry.connect(nodeOwner).requestUnstake(0, MINIMUM_STAKE);
+
+      // Dropping below the minimum stake deactivates the node
+      expect((await nodeRegistry.getNodeDetails(0)).active).to.equal(false);
+
+      await expect(
+        nodeRegistry.connect(nodeOwner).withdrawStake(0)
+      ).to.be.revertedWith("NodeRegistry: Stake is still unbonding");
+
+      await time.increase(UNBONDING_PERIOD);
+
+      const balanceBefore = await uptimeToken.balanceOf(nodeOwner.address);
+      await nodeRegistry.connect(nodeOwner).withdrawStake(0);
+      expect(await uptimeToken.balanceOf(nodeOwner.address)).to.equal(balanceBefore + MINIMUM_STAKE);
+    });
+
+    it("Should not reactivate a node without the minimum stake", async function () {
+      await nodeRegistry.connect(nodeOwner).requestUnstake(0, ethers.parseEther("1"));
+
+      await expect(
+        nodeRegistry.connect(nodeOwner).setNodeActive(0, true)
+      ).to.be.revertedWith("NodeRegistry: Insufficient stake");
+    });
+
+    it("Should not let anyone else unstake or withdraw", async function () {
+      await expect(
+        nodeRegistry.connect(attacker).requestUnstake(0, MINIMUM_STAKE)
+      ).to.be.revertedWith("NodeRegistry: Not the node owner");
+
+      await expect(
+        nodeRegistry.connect(attacker).withdrawStake(0)
+      ).to.be.revertedWith("NodeRegistry: Not the node owner");
+    });
+  });
+
+  describe("Slashing", function () {
+    beforeEach(async function () {
+      await nodeRegistry.setReputationSystemContract(reputationSystem.address);
+    });
+
+    it("Should slash stake, including unbonding stake, and record it", async function () {
+      await nodeRegistry.connect(nodeOwner).requestUnstake(0, ethers.parseEther("60"));
+
+      // 50% of 100 is 50: all 40 remaining staked tokens and 10 of the unbonding ones
+      await expect(nodeRegistry.connect(reputationSystem).slashStake(0, 50))
+        .to.emit(nodeRegistry, "StakeSlashed")
+        .withArgs(0, ethers.parseEther("50"), 0);
+
+      const stake = await nodeRegistry.getNodeStake(0);
+      expect(stake.staked).to.equal(0n);
+      expect(stake.unbondingAmount).to.equal(ethers.parseEther("50"));
+      expect(stake.slashed).to.equal(ethers.parseEther("50"));
+
+      const history = await nodeRegistry.getSlashHistory(0);
+      expect(history.amounts).to.deep.equal([ethers.parseEther("50")]);
+    });
+
+    it("Should reject slashing by any other caller", async function () {
+      await expect(
+        nodeRegistry.connect(attacker).slashStake(0, 100)
+      ).to.be.revertedWith("NodeRegistry: Caller is not the ReputationSystem contract");
+    });
+  });
+});
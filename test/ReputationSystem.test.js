@@ -0,0 +1,234 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ReputationSystem", function () {
+  let reputationSystem;
+  let owner;
+  let consensusEngine;
+  let attacker;
+
+  beforeEach(async function () {
+    // Get signers (consensusEngine stands in for the ConsensusEngine contract)
+    [owner, consensusEngine, attacker] = await ethers.getSigners();
+
+    // Deploy contracts
+    const ReputationSystem = await ethers.getContractFactory("ReputationSystem");
+    reputationSystem = await ReputationSystem.deploy(30);
+  });
+
+  describe("Wiring", function () {
+    it("Should let the owner set the ConsensusEngine contract", async function () {
+      await expect(reputationSystem.setConsensusEngineContract(consensusEngine.address))
+        .to.emit(reputationSystem, "ConsensusEngineContractChanged")
+        .withArgs(ethers.ZeroAddress, consensusEngine.address);
+    });
+
+    it("Should not let anyone else set the ConsensusEngine contract", async function () {
+      await expect(
+        reputationSystem.connect(attacker).setConsensusEngineContract(attacker.address)
+      ).to.be.revertedWithCustomError(reputationSystem, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Reputation updates", function () {
+    beforeEach(async function () {
+      await reputationSystem.setConsensusEngineContract(consensusEngine.address);
+    });
+
+    it("Should apply updates from the ConsensusEngine contract", async function () {
+      await reputationSystem.connect(consensusEngine).recordCorrectReport(0);
+      expect((await reputationSystem.getNodeReputation(0)).score).to.equal(51n);
+
+      await reputationSystem.connect(consensusEngine).recordIncorrectReport(0);
+      expect((await reputationSystem.getNodeReputation(0)).score).to.equal(49n);
+    });
+
+    it("Should reject updates from any other caller", async function () {
+      await expect(
+        reputationSystem.connect(attacker).recordCorrectReport(0)
+      ).to.be.revertedWith("ReputationSystem: Caller is not the ConsensusEngine contract");
+
+      await expect(
+        reputationSystem.connect(attacker).recordIncorrectReport(0)
+      ).to.be.revertedWith("ReputationSystem: Caller is not the ConsensusEngine contract");
+
+      await expect(
+        reputationSystem.connect(attacker).initializeNodeReputation(0)
+      ).to.be.revertedWith("ReputationSystem: Caller is not the ConsensusEngine contract");
+
+      await expect(
+        reputationSystem.recordCorrectReport(0)
+      ).to.be.revertedWith("ReputationSystem: Caller is not the ConsensusEngine contract");
+    });
+  });
+
+  describe("Slashing", function () {
+    let uptimeToken;
+    let nodeRegistry;
+    let nodeOwner;
+
+    beforeEach(async function () {
+      nodeOwner = attacker;
+
+      const UptimeToken = await ethers.getContractFactory("UptimeToken");
+      uptimeToken = await UptimeToken.deploy();
+
+      const NodeRegistry = await ethers.getContractFactory("NodeRegistry");
+      nodeRegistry = await NodeRegistry.deploy(await uptimeToken.getAddress(), ethers.parseEther("100"));
+
+      await uptimeToken.transfer(nodeOwner.address, ethers.parseEther("100"));
+      await uptimeToken.connect(nodeOwner).approve(await nodeRegistry.getAddress(), ethers.parseEther("100"));
+      await nodeRegistry.connect(nodeOwner).registerNode("Node", "http://node.example.com");
+
+      // Wire both directions
+      await reputationSystem.setConsensusEngineContract(consensusEngine.address);
+      await reputationSystem.setNodeRegistryContract(await nodeRegistry.getAddress());
+      await nodeRegistry.setReputationSystemContract(await reputationSystem.getAddress());
+    });
+
+    it("Should slash the stake after consecutive incorrect reports", async function () {
+      await reputationSystem.connect(consensusEngine).recordIncorrectReport(0);
+      await reputationSystem.connect(consensusEngine).recordIncorrectReport(0);
+
+      // The third incorrect report in a row slashes 10% of the stake
+      await expect(reputationSystem.connect(consensusEngine).recordIncorrectReport(0))
+        .to.emit(reputationSystem, "NodeSlashed")
+        .withArgs(0, 3, ethers.parseEther("10"));
+
+      expect((await nodeRegistry.getNodeStake(0)).staked).to.equal(ethers.parseEther("90"));
+    });
+
+    it("Should reset the count after a correct report", async function () {
+      await reputationSystem.connect(consensusEngine).recordIncorrectReport(0);
+      await reputationSystem.connect(consensusEngine).recordIncorrectReport(0);
+      await reputationSystem.connect(consensusEngine).recordCorrectReport(0);
+
+      await expect(reputationSystem.connect(consensusEngine).recordIncorrectReport(0))
+        .not.to.emit(reputationSystem, "NodeSlashed");
+
+      expect((await nodeRegistry.getNodeStake(0)).staked).to.equal(ethers.parseEther("100"));
+    });
+  });
+
+  describe("Decay", function () {
+    const HALF_LIFE = 30 * 24 * 60 * 60;
+
+    // Record a number of correct or incorrect reports for a node
+    async function record(nodeId, correct, times) {
+      for (let i = 0; i < times; i++) {
+        if (correct) {
+          await reputationSystem.connect(consensusEngine).recordCorrectReport(nodeId);
+        } else {
+          await reputationSystem.connect(consensusEngine).recordIncorrectReport(nodeId);
+        }
+      }
+    }
+
+    beforeEach(async function () {
+      await reputationSystem.setConsensusEngineContract(consensusEngine.address);
+    });
+
+    it("Should decay an idle node's score down toward the initial reputation", async function () {
+      await record(0, true, 10);
+
+      await time.increase(HALF_LIFE);
+      expect((await reputationSystem.getNodeReputation(0)).score).to.equal(55n);
+
+      await time.increase(HALF_LIFE * 10);
+      expect((await reputationSystem.getNodeReputation(0)).score).to.equal(50n);
+    });
+
+    it("Should decay an idle penalized node's score up toward the initial reputation", async function () {
+      await record(0, false, 10);
+      expect((await reputationSystem.getNodeReputation(0)).score).to.equal(30n);
+
+      await time.increase(HALF_LIFE);
+      expect((await reputationSystem.getNodeReputation(0)).score).to.equal(40n);
+
+      await time.increase(HALF_LIFE * 10);
+      expect((await reputationSystem.getNodeReputation(0)).score).to.equal(50n);
+    });
+
+    it("Should weigh recent reports more than old ones", async function () {
+      // Node 0 was accurate a half-life ago and inaccurate since; node 1 the other way round
+      await record(0, true, 5);
+      await record(1, false, 5);
+      await time.increase(HALF_LIFE);
+      await record(0, false, 5);
+      await record(1, true, 5);
+
+      // Old accuracy and old penalties both fade
+      expect((await reputationSystem.getNodeReputation(0)).score).to.equal(43n);
+      expect((await reputationSystem.getNodeReputation(1)).score).to.equal(50n);
+    });
+
+    it("Should keep a penalized node ineligible for rewards until its score has decayed back", async function () {
+      await record(0, false, 15);
+      expect(await reputationSystem.isEligibleForRewards(0)).to.equal(false);
+
+      // 20 recovers to 35 over a half-life, past the threshold of 30
+      await time.increase(HALF_LIFE / 2);
+      expect(await reputationSystem.isEligibleForRewards(0)).to.equal(false);
+
+      await time.increase(HALF_LIFE / 2);
+      expect(await reputationSystem.isEligibleForRewards(0)).to.equal(true);
+    });
+
+    it("Should return the score as of a timestamp", async function () {
+      const createdAt = await time.latest();
+      await record(0, true, 10);
+      const updatedAt = await time.latest();
+
+      await time.increase(HALF_LIFE);
+      await record(0, true, 1);
+
+      expect(await reputationSystem.getScoreAt(0, createdAt)).to.equal(0n);
+      expect(await reputationSystem.getScoreAt(0, updatedAt)).to.equal(60n);
+      expect(await reputationSystem.getScoreAt(0, updatedAt + HALF_LIFE / 4)).to.equal(59n);
+      expect(await reputationSystem.getScoreAt(0, await time.latest())).to.equal(56n);
+      expect(await reputationSystem.getScoreAt(0, (await time.latest()) + HALF_LIFE)).to.equal(53n);
+    });
+
+    it("Should keep past scores when the decay half-life changes", async function () {
+      await record(0, true, 10);
+      const updatedAt = await time.latest();
+      expect(await reputationSystem.getScoreAt(0, updatedAt + HALF_LIFE)).to.equal(55n);
+
+      await reputationSystem.setScoringParameters(1, 2, HALF_LIFE / 2);
+      expect(await reputationSystem.getScoreAt(0, updatedAt + HALF_LIFE)).to.equal(55n);
+
+      // The new half-life applies from the node's next update
+      await record(0, true, 1);
+      expect(await reputationSystem.getScoreAt(0, (await time.latest()) + HALF_LIFE / 2)).to.equal(55n);
+    });
+
+    it("Should apply the configured scoring parameters", async function () {
+      await expect(reputationSystem.setScoringParameters(5, 10, 0))
+        .to.emit(reputationSystem, "ScoringParametersChanged")
+        .withArgs(5, 10, 0);
+
+      await record(0, true, 2);
+      await record(1, false, 1);
+
+      // Without decay the scores stay where they are
+      await time.increase(HALF_LIFE * 10);
+      expect((await reputationSystem.getNodeReputation(0)).score).to.equal(60n);
+      expect((await reputationSystem.getNodeReputation(1)).score).to.equal(40n);
+    });
+
+    it("Should not let anyone else set the scoring parameters", async function () {
+      await expect(
+        reputationSystem.connect(attacker).setScoringParameters(1, 2, 0)
+      ).to.be.revertedWithCustomError(reputationSystem, "OwnableUnauthorizedAccount");
+
+      await expect(
+        reputationSystem.setScoringParameters(101, 2, 0)
+      ).to.be.revertedWith("ReputationSystem: Score change too large");
+
+      await expect(
+        reputationSystem.setScoringParameters(1, 2, 2n ** 64n)
+      ).to.be.revertedWith("ReputationSystem: Half-life too long");
+    });
+  });
+});
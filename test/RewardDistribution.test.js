@@ -0,0 +1,491 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("RewardDistribution", function () {
+  const WEBSITE_ID = 0;
+  const BASE_REWARD = 10;
+  const CHECK_PRICE = ethers.parseEther("0.3");
+  const NODE_REWARD = CHECK_PRICE / 3n;
+  const ESCROW = ethers.parseEther("3");
+  const CHECK_INTERVAL = 5 * 60;
+
+  let uptimeToken;
+  let websiteRegistry;
+  let nodeRegistry;
+  let statusReport;
+  let reputationSystem;
+  let consensusEngine;
+  let rewardDistribution;
+  let owner;
+  let operators;
+  let payout;
+  let caller;
+  let nextReportId;
+  let round;
+
+  // Each operator reports the given status (online by default) in a new round, which closes with consensus
+  // The round starts a check interval after the previous one, so the website pays for each
+  async function reachConsensus(statuses = [1, 1, 1]) {
+    if (round > 0) {
+      await time.increase(CHECK_INTERVAL);
+    }
+
+    for (let i = 0; i < operators.length; i++) {
+      await statusReport.connect(operators[i]).submitReport(WEBSITE_ID, i, statuses[i], 100, "Report");
+      await consensusEngine.processReport(nextReportId);
+      nextReportId++;
+    }
+
+    round++;
+  }
+
+  beforeEach(async function () {
+    // Get signers (owner also owns the monitored website)
+    let operatorA, operatorB, operatorC;
+    [owner, operatorA, operatorB, operatorC, payout, caller] = await ethers.getSigners();
+    operators = [operatorA, operatorB, operatorC];
+
+    // Deploy contracts
+    const UptimeToken = await ethers.getContractFactory("UptimeToken");
+    uptimeToken = await UptimeToken.deploy();
+
+    const WebsiteRegistry = await ethers.getContractFactory("WebsiteRegistry");
+    websiteRegistry = await WebsiteRegistry.deploy(await uptimeToken.getAddress(), CHECK_PRICE);
+
+    const NodeRegistry = await ethers.getContractFactory("NodeRegistry");
+    nodeRegistry = await NodeRegistry.deploy(await uptimeToken.getAddress(), 0);
+
+    const StatusReport = await ethers.getContractFactory("StatusReport");
+    statusReport = await StatusReport.deploy(await nodeRegistry.getAddress());
+
+    const ReputationSystem = await ethers.getContractFactory("ReputationSystem");
+    reputationSystem = await ReputationSystem.deploy(30);
+
+    const ConsensusEngine = await ethers.getContractFactory("ConsensusEngine");
+    consensusEngine = await ConsensusEngine.deploy(
+      await statusReport.getAddress(),
+      await reputationSystem.getAddress(),
+      3,
+      66,
+      3600
+    );
+
+    const RewardDistribution = await ethers.getContractFactory("RewardDistribution");
+    rewardDistribution = await RewardDistribution.deploy(
+      await uptimeToken.getAddress(),
+      await nodeRegistry.getAddress(),
+      await websiteRegistry.getAddress(),
+      await reputationSystem.getAddress(),
+      await consensusEngine.getAddress(),
+      BASE_REWARD,
+      0
+    );
+
+    // Wire the contracts together
+    await nodeRegistry.setStatusReportContract(await statusReport.getAddress());
+    await reputationSystem.setConsensusEngineContract(await consensusEngine.getAddress());
+    await websiteRegistry.setRewardDistributionContract(await rewardDistribution.getAddress());
+
+    // Register and fund the monitored website
+    await websiteRegistry.registerWebsite("https://example.com", "Example");
+    await uptimeToken.approve(await websiteRegistry.getAddress(), ESCROW);
+    await websiteRegistry.topUpEscrow(WEBSITE_ID, ESCROW);
+
+    // Each operator registers a node
+    for (let i = 0; i < operators.length; i++) {
+      await nodeRegistry.connect(operators[i]).registerNode(`Node ${i}`, `http://node${i}.example.com`);
+    }
+
+    nextReportId = 0;
+    round = 0;
+    await reachConsensus();
+  });
+
+  it("Should accrue rewards from the website's escrow without paying them out", async function () {
+    await expect(rewardDistribution.connect(caller).distributeRewards(WEBSITE_ID, round))
+      .to.emit(rewardDistribution, "NodeRewarded")
+      .withArgs(0, NODE_REWARD);
+
+    for (let i = 0; i < operators.length; i++) {
+      const rewards = await rewardDistribution.getNodeRewards(i);
+      expect(rewards.total).to.equal(NODE_REWARD);
+      expect(rewards.claimable).to.equal(NODE_REWARD);
+      expect(rewards.claimed).to.equal(0n);
+      expect(await uptimeToken.balanceOf(operators[i].address)).to.equal(0n);
+    }
+
+    expect(await websiteRegistry.getEscrowBalance(WEBSITE_ID)).to.equal(ESCROW - CHECK_PRICE);
+    expect(await uptimeToken.balanceOf(await rewardDistribution.getAddress())).to.equal(CHECK_PRICE);
+  });
+
+  it("Should pay each node's claimed reward to its owner, not the caller", async function () {
+    await rewardDistribution.connect(caller).distributeRewards(WEBSITE_ID, round);
+
+    for (let i = 0; i < operators.length; i++) {
+      await expect(rewardDistribution.connect(operators[i]).claimRewards(i))
+        .to.emit(rewardDistribution, "NodeRewardPaid")
+        .withArgs(i, operators[i].address, NODE_REWARD);
+
+      expect(await uptimeToken.balanceOf(operators[i].address)).to.equal(NODE_REWARD);
+    }
+
+    expect(await uptimeToken.balanceOf(caller.address)).to.equal(0n);
+
+    const rewards = await rewardDistribution.getNodeRewards(0);
+    expect(rewards.claimable).to.equal(0n);
+    expect(rewards.claimed).to.equal(NODE_REWARD);
+  });
+
+  it("Should let an operator claim several distributions at once", async function () {
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+    await reachConsensus();
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+
+    await rewardDistribution.connect(operators[0]).claimRewards(0);
+    expect(await uptimeToken.balanceOf(operators[0].address)).to.equal(NODE_REWARD * 2n);
+
+    await expect(
+      rewardDistribution.connect(operators[0]).claimRewards(0)
+    ).to.be.revertedWith("RewardDistribution: No rewards to claim");
+  });
+
+  it("Should reward each consensus round once", async function () {
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+
+    await expect(
+      rewardDistribution.distributeRewards(WEBSITE_ID, round)
+    ).to.be.revertedWith("RewardDistribution: Rewards already distributed for this round");
+
+    // The next round is rewarded on its own
+    await reachConsensus();
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+
+    expect(await rewardDistribution.roundRewarded(WEBSITE_ID, round)).to.equal(true);
+    expect((await rewardDistribution.getNodeRewards(0)).claimable).to.equal(NODE_REWARD * 2n);
+  });
+
+  it("Should only reward the nodes that agreed with the consensus", async function () {
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+
+    // Node 2 reports the website offline and is outvoted
+    await reachConsensus([1, 1, 2]);
+    expect(await consensusEngine.getRoundAgreeingNodes(WEBSITE_ID, round)).to.deep.equal([0n, 1n]);
+
+    await expect(rewardDistribution.distributeRewards(WEBSITE_ID, round))
+      .to.emit(rewardDistribution, "RewardsDistributed")
+      .withArgs(WEBSITE_ID, round, CHECK_PRICE);
+
+    expect((await rewardDistribution.getNodeRewards(0)).total).to.equal(NODE_REWARD + CHECK_PRICE / 2n);
+    expect((await rewardDistribution.getNodeRewards(1)).total).to.equal(NODE_REWARD + CHECK_PRICE / 2n);
+    expect((await rewardDistribution.getNodeRewards(2)).total).to.equal(NODE_REWARD);
+  });
+
+  it("Should not reward a node whose response time was an outlier", async function () {
+    await statusReport.connect(operators[0]).submitReport(WEBSITE_ID, 0, 1, 100, "Online");
+    await consensusEngine.processReport(nextReportId++);
+    await statusReport.connect(operators[1]).submitReport(WEBSITE_ID, 1, 1, 100, "Online");
+    await consensusEngine.processReport(nextReportId++);
+    await statusReport.connect(operators[2]).submitReport(WEBSITE_ID, 2, 1, 5000, "Online");
+    await expect(consensusEngine.processReport(nextReportId++))
+      .to.emit(consensusEngine, "LatencyOutlierFlagged");
+    round++;
+
+    expect(await consensusEngine.getRoundAgreeingNodes(WEBSITE_ID, round)).to.deep.equal([0n, 1n]);
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+    expect((await rewardDistribution.getNodeRewards(2)).total).to.equal(0n);
+  });
+
+  it("Should give a node with a low score no weight when the reputation multiplier is large", async function () {
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+
+    // Node 2 is outvoted twice, so its score stays below the initial reputation after it agrees again
+    await reachConsensus([1, 1, 2]);
+    await reachConsensus([1, 1, 2]);
+    await reachConsensus();
+    const [score] = await reputationSystem.getNodeReputation(2);
+    expect(score).to.be.lessThan(50n);
+    expect(await reputationSystem.isEligibleForRewards(2)).to.equal(true);
+
+    // At 100x, any score below 50 would reduce the weight by more than 100%
+    await rewardDistribution.setRewardParameters(BASE_REWARD, 10000);
+
+    // Nodes 0 and 1 split the check price, and node 2 gets nothing for the round
+    await expect(rewardDistribution.distributeRewards(WEBSITE_ID, round))
+      .to.emit(rewardDistribution, "RewardsDistributed");
+    expect((await rewardDistribution.getNodeRewards(2)).total).to.equal(NODE_REWARD);
+    expect((await rewardDistribution.getNodeRewards(0)).total).to.be.greaterThan(NODE_REWARD + CHECK_PRICE / 2n - 1n);
+  });
+
+  it("Should pay the rounds that close within the check interval once the interval passes", async function () {
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+
+    // A second round within the interval cannot charge the website yet, so its nodes are owed a share
+    for (let i = 0; i < operators.length; i++) {
+      await statusReport.connect(operators[i]).submitReport(WEBSITE_ID, i, 1, 100, "Online");
+      await consensusEngine.processReport(nextReportId++);
+    }
+    round++;
+
+    await expect(rewardDistribution.distributeRewards(WEBSITE_ID, round))
+      .to.emit(rewardDistribution, "RewardsPending")
+      .withArgs(WEBSITE_ID, round, BASE_REWARD * 3)
+      .and.not.to.emit(rewardDistribution, "RewardsDistributed");
+
+    expect(await rewardDistribution.roundRewarded(WEBSITE_ID, round)).to.equal(true);
+    expect(await websiteRegistry.getEscrowBalance(WEBSITE_ID)).to.equal(ESCROW - CHECK_PRICE);
+    await expect(
+      rewardDistribution.settleRewards(WEBSITE_ID)
+    ).to.be.revertedWith("RewardDistribution: Check interval has not passed");
+
+    // Once the interval has passed the pending payment is settled in full
+    await time.increase(CHECK_INTERVAL);
+    await expect(rewardDistribution.connect(caller).settleRewards(WEBSITE_ID))
+      .to.emit(rewardDistribution, "RewardsDistributed")
+      .withArgs(WEBSITE_ID, round, CHECK_PRICE);
+
+    expect(await websiteRegistry.getEscrowBalance(WEBSITE_ID)).to.equal(ESCROW - CHECK_PRICE * 2n);
+    expect((await rewardDistribution.getNodeRewards(0)).total).to.equal(NODE_REWARD * 2n);
+    expect((await rewardDistribution.getPendingPayment(WEBSITE_ID)).totalWeight).to.equal(0n);
+    await expect(
+      rewardDistribution.settleRewards(WEBSITE_ID)
+    ).to.be.revertedWith("RewardDistribution: No pending rewards");
+  });
+
+  it("Should split one check price between the nodes of every round in the interval", async function () {
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+
+    // Two more rounds within the interval; node 2 is outvoted in the first of them
+    for (const statuses of [[1, 1, 2], [1, 1, 1]]) {
+      for (let i = 0; i < operators.length; i++) {
+        await statusReport.connect(operators[i]).submitReport(WEBSITE_ID, i, statuses[i], 100, "Report");
+        await consensusEngine.processReport(nextReportId++);
+      }
+      round++;
+      await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+    }
+
+    // The round that closes after the interval settles the owed shares along with its own
+    await reachConsensus();
+    await expect(rewardDistribution.distributeRewards(WEBSITE_ID, round))
+      .to.emit(rewardDistribution, "RewardsDistributed")
+      .withArgs(WEBSITE_ID, round, anyValue);
+
+    expect(await websiteRegistry.getEscrowBalance(WEBSITE_ID)).to.equal(ESCROW - CHECK_PRICE * 2n);
+    const [rewardsA, rewardsC] = [await rewardDistribution.getNodeRewards(0), await rewardDistribution.getNodeRewards(2)];
+    expect(rewardsA.total - NODE_REWARD).to.be.greaterThan(rewardsC.total - NODE_REWARD);
+  });
+
+  it("Should not reward a round once a later round has reached consensus", async function () {
+    const staleRound = round;
+    await reachConsensus();
+
+    await expect(
+      rewardDistribution.distributeRewards(WEBSITE_ID, staleRound)
+    ).to.be.revertedWith("RewardDistribution: Round is too old to reward");
+  });
+
+  it("Should not reward a round more than a check interval after it reached consensus", async function () {
+    await time.increase(CHECK_INTERVAL + 1);
+
+    await expect(
+      rewardDistribution.distributeRewards(WEBSITE_ID, round)
+    ).to.be.revertedWith("RewardDistribution: Round is too old to reward");
+  });
+
+  it("Should not reward a round without consensus", async function () {
+    // Only one node reports in the next round
+    await statusReport.connect(operators[0]).submitReport(WEBSITE_ID, 0, 1, 100, "Online");
+    await consensusEngine.processReport(nextReportId);
+
+    await expect(
+      rewardDistribution.distributeRewards(WEBSITE_ID, round + 1)
+    ).to.be.revertedWith("RewardDistribution: No consensus in this round");
+  });
+
+  it("Should not let anyone else claim a node's rewards", async function () {
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+
+    await expect(
+      rewardDistribution.connect(caller).claimRewards(0)
+    ).to.be.revertedWith("RewardDistribution: Not the node owner or payout address");
+  });
+
+  it("Should bound the rewards a node accrues per epoch", async function () {
+    const cap = NODE_REWARD + NODE_REWARD / 2n;
+    await expect(rewardDistribution.setEpochParameters(86400, cap))
+      .to.emit(rewardDistribution, "EpochParametersChanged")
+      .withArgs(86400, cap);
+
+    // Start at the beginning of an epoch so both distributions below fall in it
+    await time.increaseTo((Math.floor((await time.latest()) / 86400) + 1) * 86400);
+    await reachConsensus();
+
+    // The second distribution in the epoch only accrues, and charges the escrow, up to the cap
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+    await reachConsensus();
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+
+    expect((await rewardDistribution.getNodeRewards(0)).claimable).to.equal(cap);
+    expect(await websiteRegistry.getEscrowBalance(WEBSITE_ID)).to.equal(ESCROW - cap * 3n);
+
+    // The cap resets in the next epoch
+    await time.increase(86400);
+    await reachConsensus();
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+
+    expect((await rewardDistribution.getNodeRewards(0)).claimable).to.equal(cap + NODE_REWARD);
+  });
+
+  it("Should deactivate the website and scale rewards down when its escrow runs out", async function () {
+    // Leave one and a half checks in the escrow
+    await websiteRegistry.withdrawEscrow(WEBSITE_ID, ESCROW - CHECK_PRICE * 3n / 2n);
+
+    // The first check leaves too little for another one
+    await expect(rewardDistribution.distributeRewards(WEBSITE_ID, round))
+      .to.emit(websiteRegistry, "EscrowDepleted")
+      .withArgs(WEBSITE_ID);
+
+    expect((await websiteRegistry.getWebsiteDetails(WEBSITE_ID)).active).to.equal(false);
+
+    // The rest of the escrow pays half rewards
+    await reachConsensus();
+    await rewardDistribution.distributeRewards(WEBSITE_ID, round);
+
+    expect((await rewardDistribution.getNodeRewards(0)).claimable).to.equal(NODE_REWARD + NODE_REWARD / 2n);
+    expect(await websiteRegistry.getEscrowBalance(WEBSITE_ID)).to.equal(0n);
+  });
+
+  it("Should not charge the escrow when no contributor is eligible", async function () {
+    await reputationSystem.setMinReputationForRewards(100);
+
+    await expect(rewardDistribution.distributeRewards(WEBSITE_ID, round))
+      .to.emit(rewardDistribution, "RewardsDistributed")
+      .withArgs(WEBSITE_ID, round, 0);
+
+    expect(await websiteRegistry.getEscrowBalance(WEBSITE_ID)).to.equal(ESCROW);
+  });
+
+  it("Should pay a node's claimed reward to its payout address when one is set", async function () {
+    await expect(rewardDistribution.connect(operators[1]).setPayoutAddress(1, payout.address))
+      .to.emit(rewardDistribution, "PayoutAddressChanged")
+      .withArgs(1, payout.address);
+
+    await rewardDistribution.connect(caller).distributeRewards(WEBSITE_ID, round);
+    await rewardDistribution.connect(payout).claimRewards(1);
+
+    expect(await uptimeToken.balanceOf(payout.address)).to.equal(NODE_REWARD);
+    expect(await uptimeToken.balanceOf(operators[1].address)).to.equal(0n);
+  });
+
+  it("Should pay the owner again once the payout address is cleared", async function () {
+    await rewardDistribution.connect(operators[0]).setPayoutAddress(0, payout.address);
+    await rewardDistribution.connect(operators[0]).setPayoutAddress(0, ethers.ZeroAddress);
+
+    expect(await rewardDistribution.getPayoutAddress(0)).to.equal(operators[0].address);
+  });
+
+  it("Should not let anyone but the node owner set the payout address", async function () {
+    await expect(
+      rewardDistribution.connect(caller).setPayoutAddress(0, caller.address)
+    ).to.be.revertedWith("RewardDistribution: Not the node owner");
+  });
+
+  describe("Automatic consensus", function () {
+    beforeEach(async function () {
+      await statusReport.setConsensusEngineContract(await consensusEngine.getAddress());
+      await consensusEngine.setRewardDistributionContract(await rewardDistribution.getAddress());
+    });
+
+    it("Should reach consensus and reward the nodes as their reports are submitted", async function () {
+      for (let i = 0; i < operators.length - 1; i++) {
+        await statusReport.connect(operators[i]).submitReport(WEBSITE_ID, i, 1, 100, "Online");
+      }
+
+      // The last report reaches quorum, closing the round and distributing its rewards
+      const lastReport = statusReport.connect(operators[2]).submitReport(WEBSITE_ID, 2, 1, 100, "Online");
+      await expect(lastReport)
+        .to.emit(consensusEngine, "ConsensusReached");
+      await expect(lastReport)
+        .to.emit(rewardDistribution, "RewardsDistributed")
+        .withArgs(WEBSITE_ID, round + 1, CHECK_PRICE);
+
+      const consensus = await consensusEngine.getWebsiteConsensus(WEBSITE_ID);
+      expect(consensus.status).to.equal(1n);
+      expect(await rewardDistribution.roundRewarded(WEBSITE_ID, round + 1)).to.equal(true);
+
+      for (let i = 0; i < operators.length; i++) {
+        await rewardDistribution.connect(operators[i]).claimRewards(i);
+        expect(await uptimeToken.balanceOf(operators[i].address)).to.equal(NODE_REWARD);
+      }
+    });
+
+    it("Should pay the rounds that close within the check interval without another call", async function () {
+      // The round from the setup was never rewarded, so this one charges the escrow
+      for (let i = 0; i < operators.length; i++) {
+        await statusReport.connect(operators[i]).submitReport(WEBSITE_ID, i, 1, 100, "Online");
+      }
+
+      // The next round closes within the check interval, so its nodes are owed a share
+      for (let i = 0; i < operators.length - 1; i++) {
+        await statusReport.connect(operators[i]).submitReport(WEBSITE_ID, i, 1, 100, "Online");
+      }
+      await expect(statusReport.connect(operators[2]).submitReport(WEBSITE_ID, 2, 1, 100, "Online"))
+        .to.emit(rewardDistribution, "RewardsPending")
+        .withArgs(WEBSITE_ID, round + 2, BASE_REWARD * 3)
+        .and.not.to.emit(consensusEngine, "RewardDistributionFailed");
+
+      // The first round after the interval pays it along with its own share
+      await time.increase(CHECK_INTERVAL);
+      for (let i = 0; i < operators.length - 1; i++) {
+        await statusReport.connect(operators[i]).submitReport(WEBSITE_ID, i, 1, 100, "Online");
+      }
+      await expect(statusReport.connect(operators[2]).submitReport(WEBSITE_ID, 2, 1, 100, "Online"))
+        .to.emit(rewardDistribution, "RewardsDistributed")
+        .withArgs(WEBSITE_ID, round + 3, CHECK_PRICE);
+
+      expect((await rewardDistribution.getNodeRewards(0)).claimable).to.equal(NODE_REWARD * 2n);
+      expect(await websiteRegistry.getEscrowBalance(WEBSITE_ID)).to.equal(ESCROW - CHECK_PRICE * 2n);
+    });
+
+    it("Should add batch-submitted reports to consensus", async function () {
+      await websiteRegistry.registerWebsite("https://example.org", "Other");
+      await uptimeToken.approve(await websiteRegistry.getAddress(), ESCROW);
+      await websiteRegistry.topUpEscrow(1, ESCROW);
+
+      for (let i = 0; i < operators.length; i++) {
+        await statusReport.connect(operators[i]).submitReports([WEBSITE_ID, 1], i, [1, 2], [100, 0], ["Online", "Offline"]);
+      }
+
+      expect((await consensusEngine.getWebsiteConsensus(1)).status).to.equal(2n);
+      expect((await rewardDistribution.getNodeRewards(0)).claimable).to.equal(NODE_REWARD * 2n);
+    });
+
+    it("Should keep the consensus when the reward distribution fails", async function () {
+      // The registry rejects escrow charges from anyone but its reward distribution contract
+      await websiteRegistry.setRewardDistributionContract(caller.address);
+
+      for (let i = 0; i < operators.length - 1; i++) {
+        await statusReport.connect(operators[i]).submitReport(WEBSITE_ID, i, 1, 100, "Online");
+      }
+
+      await expect(statusReport.connect(operators[2]).submitReport(WEBSITE_ID, 2, 1, 100, "Online"))
+        .to.emit(consensusEngine, "RewardDistributionFailed")
+        .withArgs(WEBSITE_ID, round + 1);
+
+      expect((await consensusEngine.getRound(WEBSITE_ID, round + 1)).consensusReached).to.equal(true);
+
+      // The round can still be rewarded by hand
+      await websiteRegistry.setRewardDistributionContract(await rewardDistribution.getAddress());
+      await rewardDistribution.distributeRewards(WEBSITE_ID, round + 1);
+      expect((await rewardDistribution.getNodeRewards(0)).claimable).to.equal(NODE_REWARD);
+    });
+
+    it("Should not let anyone else set the reward distribution contract", async function () {
+      await expect(
+        consensusEngine.connect(caller).setRewardDistributionContract(caller.address)
+      ).to.be.revertedWithCustomError(consensusEngine, "OwnableUnauthorizedAccount");
+    });
+  });
+});
@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const MerkleTree = require("../node-client/lib/MerkleTree");
+
+describe("StatusReport", function () {
+  let nodeRegistry;
+  let statusReport;
+  let owner;
+  let nodeOwner;
+  let delegate;
+  let attacker;
+  let nodeId;
+
+  beforeEach(async function () {
+    // Get signers
+    [owner, nodeOwner, delegate, attacker] = await ethers.getSigners();
+
+    // Deploy contracts
+    const UptimeToken = await ethers.getContractFactory("UptimeToken");
+    const uptimeToken = await UptimeToken.deploy();
+
+    const NodeRegistry = await ethers.getContractFactory("NodeRegistry");
+    nodeRegistry = await NodeRegistry.deploy(await uptimeToken.getAddress(), 0);
+
+    const StatusReport = await ethers.getContractFactory("StatusReport");
+    statusReport = await StatusReport.deploy(await nodeRegistry.getAddress());
+    await nodeRegistry.setStatusReportContract(await statusReport.getAddress());
+
+    // Register a node owned by nodeOwner
+    await nodeRegistry.connect(nodeOwner).registerNode("Node", "http://node.example.com");
+    nodeId = 0;
+  });
+
+  describe("Authorized submissions", function () {
+    it("Should accept a report from the node owner", async function () {
+      await expect(statusReport.connect(nodeOwner).submitReport(1, nodeId, 1, 120, "Online"))
+        .to.emit(statusReport, "ReportSubmitted");
+
+      expect(await statusReport.getReportsByNode(nodeId)).to.deep.equal([0n]);
+
+      const details = await nodeRegistry.getNodeDetails(nodeId);
+      expect(details.reportsSubmitted).to.equal(1n);
+    });
+
+    it("Should accept reports from an authorized delegate", async function () {
+      await nodeRegistry.connect(nodeOwner).setNodeDelegate(nodeId, delegate.address, true);
+
+      await statusReport.connect(delegate).submitReport(1, nodeId, 1, 120, "Online");
+      await statusReport.connect(delegate).submitReports([2, 3], nodeId, [1, 2], [80, 0], ["Online", "Offline"]);
+
+      expect(await statusReport.getReportsByNode(nodeId)).to.deep.equal([0n, 1n, 2n]);
+    });
+  });
+
+  describe("Batch submissions", function () {
+    it("Should store every report and emit an event for each", async function () {
+      const ids = await statusReport.connect(nodeOwner).submitReports.staticCall(
+        [1, 2, 3], nodeId, [1, 2, 3], [80, 0, 900], ["Online", "Offline", "Slow"]
+      );
+      expect(ids).to.deep.equal([0n, 1n, 2n]);
+
+      const tx = statusReport.connect(nodeOwner).submitReports(
+        [1, 2, 3], nodeId, [1, 2, 3], [80, 0, 900], ["Online", "Offline", "Slow"]
+      );
+      await expect(tx).to.emit(statusReport, "ReportSubmitted").withArgs(0, 1, nodeId, 1, 80, anyValue);
+      await expect(tx).to.emit(statusReport, "ReportSubmitted").withArgs(1, 2, nodeId, 2, 0, anyValue);
+      await expect(tx).to.emit(statusReport, "ReportSubmitted").withArgs(2, 3, nodeId, 3, 900, anyValue);
+
+      const details = await statusReport.getReportDetails(2);
+      expect(details.websiteId).to.equal(3n);
+      expect(details.status).to.equal(3n);
+      expect(details.statusMessage).to.equal("Slow");
+      expect(await statusReport.getReportsByNode(nodeId)).to.deep.equal([0n, 1n, 2n]);
+    });
+
+    it("Should reject an empty batch", async function () {
+      await expect(
+        statusReport.connect(nodeOwner).submitReports([], nodeId, [], [], [])
+      ).to.be.revertedWith("StatusReport: Empty batch");
+    });
+
+    it("Should reject arrays of different lengths", async function () {
+      await expect(
+        statusReport.connect(nodeOwner).submitReports([1, 2], nodeId, [1], [80, 90], ["Online", "Online"])
+      ).to.be.revertedWith("StatusReport: Array length mismatch");
+
+      await expect(
+        statusReport.connect(nodeOwner).submitReports([1, 2], nodeId, [1, 1], [80], ["Online", "Online"])
+      ).to.be.revertedWith("StatusReport: Array length mismatch");
+
+      await expect(
+        statusReport.connect(nodeOwner).submitReports([1, 2], nodeId, [1, 1], [80, 90], ["Online"])
+      ).to.be.revertedWith("StatusReport: Array length mismatch");
+    });
+  });
+
+  describe("Merkle batches", function () {
+    // Submit Online reports for websites 1..count through submitReportBatchRoot, with a tree built by the node client
+    async function submitMerkleBatch(count) {
+      const reports = Array.from({ length: count }, (_, i) => {
+        const websiteId = i + 1;
+        const detailsHash = MerkleTree.hashDetails(JSON.stringify({ websiteId, status: 1, message: `Online ${websiteId}` }));
+
+        return { websiteId, status: 1, responseTime: 100 + i, detailsHash };
+      });
+      const tree = new MerkleTree(reports.map(report =>
+        MerkleTree.hashLeaf(report.websiteId, report.status, report.responseTime, report.detailsHash)
+      ));
+
+      await statusReport.connect(nodeOwner).submitReportBatchRoot(
+        reports.map(report => report.websiteId),
+        nodeId,
+        reports.map(report => report.status),
+        reports.map(report => report.responseTime),
+        tree.getRoot()
+      );
+
+      return { reports, tree };
+    }
+
+    for (const count of [1, 2, 5, 7]) {
+      it(`Should verify proofs built by the node client for a batch of ${count}`, async function () {
+        const { reports, tree } = await submitMerkleBatch(count);
+
+        for (let i = 0; i < count; i++) {
+          expect(await statusReport.verifyReport(0, i, reports[i].detailsHash, tree.getProof(i))).to.equal(true);
+        }
+      });
+    }
+
+    it("Should verify the unpaired report of an odd batch with a shorter proof", async function () {
+      const { reports, tree } = await submitMerkleBatch(5);
+
+      // The fifth leaf has no sibling on the first two levels
+      expect(tree.getProof(4)).to.have.length(1);
+      expect(tree.getProof(0)).to.have.length(3);
+      expect(await statusReport.verifyReport(0, 4, reports[4].detailsHash, tree.getProof(4))).to.equal(true);
+    });
+
+    it("Should verify the report of a single-report batch with an empty proof", async function () {
+      const { reports, tree } = await submitMerkleBatch(1);
+
+      expect(tree.getRoot()).to.equal(
+        MerkleTree.hashLeaf(reports[0].websiteId, reports[0].status, reports[0].responseTime, reports[0].detailsHash)
+      );
+      expect(await statusReport.verifyReport(0, 0, reports[0].detailsHash, [])).to.equal(true);
+    });
+
+    it("Should reject other details, proofs and reports", async function () {
+      const { reports, tree } = await submitMerkleBatch(5);
+      await submitMerkleBatch(2);
+
+      expect(await statusReport.verifyReport(0, 1, reports[2].detailsHash, tree.getProof(1))).to.equal(false);
+      expect(await statusReport.verifyReport(0, 1, reports[1].detailsHash, tree.getProof(2))).to.equal(false);
+
+      // Report 5 belongs to the second batch
+      expect(await statusReport.verifyReport(0, 5, reports[0].detailsHash, tree.getProof(0))).to.equal(false);
+      expect(await statusReport.verifyReport(1, 0, reports[0].detailsHash, tree.getProof(0))).to.equal(false);
+    });
+  });
+
+  describe("Forged submissions", function () {
+    it("Should reject a report from an address that does not own the node", async function () {
+      await expect(
+        statusReport.connect(attacker).submitReport(1, nodeId, 2, 0, "Offline")
+      ).to.be.revertedWith("StatusReport: Not the node owner or delegate");
+    });
+
+    it("Should reject batch and Merkle submissions from an address that does not own the node", async function () {
+      await expect(
+        statusReport.connect(attacker).submitReports([1], nodeId, [2], [0], ["Offline"])
+      ).to.be.revertedWith("StatusReport: Not the node owner or delegate");
+
+      await expect(
+        statusReport.connect(attacker).submitReportBatchRoot([1], nodeId, [2], [0], ethers.id("root"))
+      ).to.be.revertedWith("StatusReport: Not the node owner or delegate");
+    });
+
+    it("Should reject a report for a node that does not exist", async function () {
+      await expect(
+        statusReport.connect(nodeOwner).submitReport(1, 5, 1, 120, "Online")
+      ).to.be.revertedWith("StatusReport: Not the node owner or delegate");
+    });
+
+    it("Should reject reports from a revoked delegate", async function () {
+      await nodeRegistry.connect(nodeOwner).setNodeDelegate(nodeId, delegate.address, true);
+      await nodeRegistry.connect(nodeOwner).setNodeDelegate(nodeId, delegate.address, false);
+
+      await expect(
+        statusReport.connect(delegate).submitReport(1, nodeId, 1, 120, "Online")
+      ).to.be.revertedWith("StatusReport: Not the node owner or delegate");
+    });
+
+    it("Should not let anyone but the node owner authorize a delegate", async function () {
+      await expect(
+        nodeRegistry.connect(attacker).setNodeDelegate(nodeId, attacker.address, true)
+      ).to.be.revertedWith("NodeRegistry: Not the node owner");
+    });
+
+    it("Should reject reports for an inactive node", async function () {
+      await nodeRegistry.connect(nodeOwner).setNodeActive(nodeId, false);
+
+      await expect(
+        statusReport.connect(nodeOwner).submitReport(1, nodeId, 1, 120, "Online")
+      ).to.be.revertedWith("StatusReport: Node is not active");
+    });
+  });
+});
@@ -0,0 +1,239 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("WebsiteRegistry", function () {
+  const PRICE_PER_CHECK = ethers.parseEther("0.1");
+
+  let uptimeToken;
+  let websiteRegistry;
+  let owner;
+  let websiteOwner;
+  let rewardDistribution;
+  let attacker;
+
+  beforeEach(async function () {
+    // Get signers (rewardDistribution stands in for that contract)
+    [owner, websiteOwner, rewardDistribution, attacker] = await ethers.getSigners();
+
+    // Deploy contracts
+    const UptimeToken = await ethers.getContractFactory("UptimeToken");
+    uptimeToken = await UptimeToken.deploy();
+
+    const WebsiteRegistry = await ethers.getContractFactory("WebsiteRegistry");
+    websiteRegistry = await WebsiteRegistry.deploy(await uptimeToken.getAddress(), PRICE_PER_CHECK);
+    await websiteRegistry.setRewardDistributionContract(rewardDistribution.address);
+
+    // Fund the website owner and register a website
+    await uptimeToken.transfer(websiteOwner.address, ethers.parseEther("100"));
+    await uptimeToken.connect(websiteOwner).approve(await websiteRegistry.getAddress(), ethers.parseEther("100"));
+    await websiteRegistry.connect(websiteOwner).registerWebsite("https://example.com", "Example");
+  });
+
+  describe("Pricing", function () {
+    it("Should price checks by region count and days by check frequency", async function () {
+      expect(await websiteRegistry.getCheckPrice(0)).to.equal(PRICE_PER_CHECK);
+
+      await websiteRegistry.connect(websiteOwner).setRegionCount(0, 3);
+      await websiteRegistry.connect(websiteOwner).setCheckFrequency(0, 10);
+
+      // 3 regions, 144 checks a day
+      expect(await websiteRegistry.getCheckPrice(0)).to.equal(PRICE_PER_CHECK * 3n);
+      expect(await websiteRegistry.getDailyPrice(0)).to.equal(PRICE_PER_CHECK * 3n * 144n);
+    });
+
+    it("Should reject invalid region counts and other callers", async function () {
+      await expect(
+        websiteRegistry.connect(websiteOwner).setRegionCount(0, 11)
+      ).to.be.revertedWith("WebsiteRegistry: Invalid region count");
+
+      await expect(
+        websiteRegistry.connect(attacker).setRegionCount(0, 2)
+      ).to.be.revertedWith("WebsiteRegistry: Not the website owner");
+    });
+  });
+
+  describe("Check frequency", function () {
+    it("Should default to 5 minutes", async function () {
+      expect(await websiteRegistry.DEFAULT_CHECK_FREQUENCY()).to.equal(5n);
+      expect(await websiteRegistry.getCheckFrequency(0)).to.equal(5n);
+    });
+
+    it("Should let the website owner set a frequency from 1 to 1440 minutes", async function () {
+      await expect(websiteRegistry.connect(websiteOwner).setCheckFrequency(0, 1))
+        .to.emit(websiteRegistry, "CheckFrequencyUpdated")
+        .withArgs(0, 1);
+      expect(await websiteRegistry.getCheckFrequency(0)).to.equal(1n);
+
+      await websiteRegistry.connect(websiteOwner).setCheckFrequency(0, 1440);
+      expect(await websiteRegistry.getCheckFrequency(0)).to.equal(1440n);
+    });
+
+    it("Should reject frequencies outside 1 to 1440 minutes", async function () {
+      await expect(
+        websiteRegistry.connect(websiteOwner).setCheckFrequency(0, 0)
+      ).to.be.revertedWith("WebsiteRegistry: Invalid check frequency");
+
+      await expect(
+        websiteRegistry.connect(websiteOwner).setCheckFrequency(0, 1441)
+      ).to.be.revertedWith("WebsiteRegistry: Invalid check frequency");
+    });
+
+    it("Should only let the website owner set the frequency", async function () {
+      await expect(
+        websiteRegistry.connect(attacker).setCheckFrequency(0, 10)
+      ).to.be.revertedWith("WebsiteRegistry: Not the website owner");
+
+      await expect(
+        websiteRegistry.connect(websiteOwner).setCheckFrequency(1, 10)
+      ).to.be.revertedWith("WebsiteRegistry: Invalid website ID");
+    });
+
+    it("Should register a website with its configuration and frequency", async function () {
+      const config = JSON.stringify({ type: "tcp", port: 443 });
+
+      await expect(websiteRegistry.connect(websiteOwner).registerWebsiteWithConfig("example.org", "Example", config, 15))
+        .to.emit(websiteRegistry, "WebsiteRegistered")
+        .withArgs(1, "example.org", websiteOwner.address)
+        .and.to.emit(websiteRegistry, "CheckConfigUpdated")
+        .withArgs(1)
+        .and.to.emit(websiteRegistry, "CheckFrequencyUpdated")
+        .withArgs(1, 15);
+
+      expect(await websiteRegistry.getCheckConfig(1)).to.equal(config);
+      expect(await websiteRegistry.getCheckFrequency(1)).to.equal(15n);
+    });
+
+    it("Should register a website with the defaults for an empty configuration and zero frequency", async function () {
+      await expect(websiteRegistry.connect(websiteOwner).registerWebsiteWithConfig("https://example.org", "Example", "", 0))
+        .not.to.emit(websiteRegistry, "CheckFrequencyUpdated");
+
+      expect(await websiteRegistry.getCheckConfig(1)).to.equal("");
+      expect(await websiteRegistry.getCheckFrequency(1)).to.equal(5n);
+    });
+
+    it("Should reject a registration with an invalid frequency", async function () {
+      await expect(
+        websiteRegistry.connect(websiteOwner).registerWebsiteWithConfig("https://example.org", "Example", "", 1441)
+      ).to.be.revertedWith("WebsiteRegistry: Invalid check frequency");
+
+      expect(await websiteRegistry.websiteCount()).to.equal(1n);
+    });
+  });
+
+  describe("Escrow", function () {
+    it("Should hold top-ups and return withdrawals", async function () {
+      await expect(websiteRegistry.connect(websiteOwner).topUpEscrow(0, ethers.parseEther("5")))
+        .to.emit(websiteRegistry, "EscrowToppedUp")
+        .withArgs(0, websiteOwner.address, ethers.parseEther("5"), ethers.parseEther("5"));
+
+      await websiteRegistry.connect(websiteOwner).withdrawEscrow(0, ethers.parseEther("2"));
+
+      expect(await websiteRegistry.getEscrowBalance(0)).to.equal(ethers.parseEther("3"));
+      expect(await uptimeToken.balanceOf(websiteOwner.address)).to.equal(ethers.parseEther("97"));
+    });
+
+    it("Should not let anyone else withdraw", async function () {
+      await websiteRegistry.connect(websiteOwner).topUpEscrow(0, ethers.parseEther("5"));
+
+      await expect(
+        websiteRegistry.connect(attacker).withdrawEscrow(0, ethers.parseEther("5"))
+      ).to.be.revertedWith("WebsiteRegistry: Not the website owner");
+    });
+
+    it("Should only let the RewardDistribution contract charge the escrow", async function () {
+      await websiteRegistry.connect(websiteOwner).topUpEscrow(0, ethers.parseEther("1"));
+
+      await expect(
+        websiteRegistry.connect(attacker).chargeEscrow(0, PRICE_PER_CHECK)
+      ).to.be.revertedWith("WebsiteRegistry: Caller is not the RewardDistribution contract");
+
+      await expect(websiteRegistry.connect(rewardDistribution).chargeEscrow(0, PRICE_PER_CHECK))
+        .to.emit(websiteRegistry, "EscrowCharged")
+        .withArgs(0, PRICE_PER_CHECK, ethers.parseEther("0.9"));
+
+      expect(await uptimeToken.balanceOf(rewardDistribution.address)).to.equal(PRICE_PER_CHECK);
+    });
+
+    it("Should deactivate the website once the escrow cannot pay for a check", async function () {
+      await websiteRegistry.connect(websiteOwner).topUpEscrow(0, ethers.parseEther("0.15"));
+
+      await expect(websiteRegistry.connect(rewardDistribution).chargeEscrow(0, PRICE_PER_CHECK))
+        .to.emit(websiteRegistry, "EscrowDepleted")
+        .withArgs(0);
+
+      expect((await websiteRegistry.getWebsiteDetails(0)).active).to.equal(false);
+
+      // Reactivating requires enough escrow for a check
+      await expect(
+        websiteRegistry.connect(websiteOwner).setWebsiteActive(0, true)
+      ).to.be.revertedWith("WebsiteRegistry: Insufficient escrow");
+
+      await websiteRegistry.connect(websiteOwner).topUpEscrow(0, PRICE_PER_CHECK);
+      await websiteRegistry.connect(websiteOwner).setWebsiteActive(0, true);
+
+      expect((await websiteRegistry.getWebsiteDetails(0)).active).to.equal(true);
+    });
+
+    it("Should register websites as active by default", async function () {
+      expect(await websiteRegistry.activateOnFunding()).to.equal(false);
+      expect((await websiteRegistry.getWebsiteDetails(0)).active).to.equal(true);
+
+      await expect(websiteRegistry.connect(websiteOwner).topUpEscrow(0, PRICE_PER_CHECK))
+        .not.to.emit(websiteRegistry, "WebsiteStatusChanged");
+    });
+
+    it("Should keep a new website inactive until its escrow can pay for a check with activateOnFunding", async function () {
+      await expect(websiteRegistry.setActivateOnFunding(true))
+        .to.emit(websiteRegistry, "ActivateOnFundingChanged")
+        .withArgs(false, true);
+      await websiteRegistry.connect(websiteOwner).registerWebsite("https://example.org", "Other");
+
+      // Websites registered before the change keep their status
+      expect((await websiteRegistry.getWebsiteDetails(0)).active).to.equal(true);
+      expect((await websiteRegistry.getWebsiteDetails(1)).active).to.equal(false);
+
+      await websiteRegistry.connect(websiteOwner).topUpEscrow(1, PRICE_PER_CHECK / 2n);
+      expect((await websiteRegistry.getWebsiteDetails(1)).active).to.equal(false);
+
+      await expect(websiteRegistry.connect(websiteOwner).topUpEscrow(1, PRICE_PER_CHECK / 2n))
+        .to.emit(websiteRegistry, "WebsiteStatusChanged")
+        .withArgs(1, true);
+      expect((await websiteRegistry.getWebsiteDetails(1)).active).to.equal(true);
+    });
+
+    it("Should not reactivate a website its owner deactivated when it is topped up", async function () {
+      await websiteRegistry.setActivateOnFunding(true);
+      await websiteRegistry.connect(websiteOwner).registerWebsite("https://example.org", "Other");
+      await websiteRegistry.connect(websiteOwner).setWebsiteActive(1, false);
+
+      await expect(websiteRegistry.connect(websiteOwner).topUpEscrow(1, PRICE_PER_CHECK))
+        .not.to.emit(websiteRegistry, "WebsiteStatusChanged");
+      expect((await websiteRegistry.getWebsiteDetails(1)).active).to.equal(false);
+    });
+
+    it("Should only let the owner set activateOnFunding", async function () {
+      await expect(
+        websiteRegistry.connect(attacker).setActivateOnFunding(true)
+      ).to.be.revertedWithCustomError(websiteRegistry, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should charge the escrow at most once per check frequency interval", async function () {
+      await websiteRegistry.connect(websiteOwner).topUpEscrow(0, ethers.parseEther("1"));
+      await websiteRegistry.connect(websiteOwner).setCheckFrequency(0, 10);
+
+      expect(await websiteRegistry.getNextChargeTime(0)).to.equal(0n);
+      await websiteRegistry.connect(rewardDistribution).chargeEscrow(0, PRICE_PER_CHECK);
+      expect(await websiteRegistry.getNextChargeTime(0)).to.equal(BigInt(await time.latest()) + 600n);
+
+      await expect(websiteRegistry.connect(rewardDistribution).chargeEscrow(0, PRICE_PER_CHECK))
+        .not.to.emit(websiteRegistry, "EscrowCharged");
+      expect(await websiteRegistry.getEscrowBalance(0)).to.equal(ethers.parseEther("0.9"));
+
+      await time.increase(10 * 60);
+      await expect(websiteRegistry.connect(rewardDistribution).chargeEscrow(0, PRICE_PER_CHECK))
+        .to.emit(websiteRegistry, "EscrowCharged")
+        .withArgs(0, PRICE_PER_CHECK, ethers.parseEther("0.8"));
+    });
+  });
+});